@@ -7,18 +7,43 @@ document.addEventListener('DOMContentLoaded', () => {
     const extruder = new Extruder();
     let vectorData = null;
     let webcamStream = null; // Flux de la webcam
+    let imageName = 'extrudator'; // Nom de l'image source (utilisé dans les exports)
+    let sizeAxis = 'fit'; // Dimension saisie en dernier ('width', 'height' ou 'fit' par défaut)
+    let sizingBeforeDXF = null; // Dimensionnement choisi avant le chargement d'un DXF, rétabli pour l'image suivante
     
     // Récupérer les éléments du DOM
     const imageInput = document.getElementById('image-input');
     const thresholdInput = document.getElementById('threshold');
     const thresholdValue = document.getElementById('threshold-value');
+    const thresholdMethodSelect = document.getElementById('threshold-method');
+    const histogramCanvas = document.getElementById('histogram-canvas');
+    const sourceChannelSelect = document.getElementById('source-channel');
+    const invertBinarizationInput = document.getElementById('invert-binarization');
+    const transparentBackgroundInput = document.getElementById('transparent-background');
     const extrusionInput = document.getElementById('extrusion');
     const simplificationInput = document.getElementById('simplification');
     const simplificationValue = document.getElementById('simplification-value');
     const processBtn = document.getElementById('process-btn');
     const exportStlBtn = document.getElementById('export-stl-btn');
     const exportDxfBtn = document.getElementById('export-dxf-btn');
-    const modelPreviewDiv = document.getElementById('model-preview');
+    const dxfVersionSelect = document.getElementById('dxf-version');
+    const exportSvgBtn = document.getElementById('export-svg-btn');
+    const export3mfBtn = document.getElementById('export-3mf-btn');
+    const exportStlZipBtn = document.getElementById('export-stl-zip-btn');
+    const stlFormatSelect = document.getElementById('stl-format');
+    const modelDimensionsDiv = document.getElementById('model-dimensions');
+    const modelWarningsDiv = document.getElementById('model-warnings');
+    const meshReportDiv = document.getElementById('mesh-report');
+    
+    // Éléments du dimensionnement
+    const sizeModeSelect = document.getElementById('size-mode');
+    const sizeDimensionsDiv = document.getElementById('size-dimensions');
+    const sizeDpiDiv = document.getElementById('size-dpi');
+    const sizeMmpxDiv = document.getElementById('size-mmpx');
+    const targetWidthInput = document.getElementById('target-width');
+    const targetHeightInput = document.getElementById('target-height');
+    const targetDpiInput = document.getElementById('target-dpi');
+    const targetMmpxInput = document.getElementById('target-mmpx');
     
     // Éléments des options avancées
     const turdsizeInput = document.getElementById('turdsize');
@@ -42,6 +67,82 @@ document.addEventListener('DOMContentLoaded', () => {
     const strokewidthValue = document.getElementById('strokewidth-value');
     const rightangleenhanceInput = document.getElementById('rightangleenhance');
     const preserveholesInput = document.getElementById('preserveholes');
+    const adaptiveModeSelect = document.getElementById('adaptive-mode');
+    const adaptiveWindowInput = document.getElementById('adaptive-window');
+    const adaptiveWindowValue = document.getElementById('adaptive-window-value');
+    const adaptiveOffsetInput = document.getElementById('adaptive-offset');
+    const adaptiveOffsetValue = document.getElementById('adaptive-offset-value');
+    const adaptiveKInput = document.getElementById('adaptive-k');
+    const adaptiveKValue = document.getElementById('adaptive-k-value');
+    const morphOperationSelect = document.getElementById('morph-operation');
+    const morphRadiusInput = document.getElementById('morph-radius');
+    const morphRadiusValue = document.getElementById('morph-radius-value');
+    const morphShapeSelect = document.getElementById('morph-shape');
+    const morphFillHolesInput = document.getElementById('morph-fill-holes');
+    const morphRemoveSpecksInput = document.getElementById('morph-remove-specks');
+    
+    // Éléments du type de modèle
+    const modelModeSelect = document.getElementById('model-mode');
+    const cutterSettingsDiv = document.getElementById('cutter-settings');
+    const cutterWallInput = document.getElementById('cutter-wall');
+    const cutterFlangeWidthInput = document.getElementById('cutter-flange-width');
+    const cutterFlangeHeightInput = document.getElementById('cutter-flange-height');
+    const cutterEdgeWidthInput = document.getElementById('cutter-edge-width');
+    const cutterEdgeHeightInput = document.getElementById('cutter-edge-height');
+    const stampSettingsDiv = document.getElementById('stamp-settings');
+    const stampBlockInput = document.getElementById('stamp-block');
+    const stampMarginInput = document.getElementById('stamp-margin');
+    const stampHandleSelect = document.getElementById('stamp-handle');
+    const stampHandleHeightInput = document.getElementById('stamp-handle-height');
+    const stampHandleDiameterInput = document.getElementById('stamp-handle-diameter');
+    const heightmapSettingsDiv = document.getElementById('heightmap-settings');
+    const heightmapResolutionInput = document.getElementById('heightmap-resolution');
+    const heightmapShapeSelect = document.getElementById('heightmap-shape');
+    const heightmapCurveInput = document.getElementById('heightmap-curve');
+    const reliefBaseSettingDiv = document.getElementById('relief-base-setting');
+    const reliefBaseInput = document.getElementById('relief-base');
+    const lithophaneSettingsDiv = document.getElementById('lithophane-settings');
+    const lithophaneMinInput = document.getElementById('lithophane-min');
+    const lithophaneMaxInput = document.getElementById('lithophane-max');
+    const levelsSettingsDiv = document.getElementById('levels-settings');
+    const levelsCountInput = document.getElementById('levels-count');
+    const levelsMethodSelect = document.getElementById('levels-method');
+    const colorsSettingsDiv = document.getElementById('colors-settings');
+    const colorsCountInput = document.getElementById('colors-count');
+    const colorPaletteDiv = document.getElementById('color-palette');
+    const paletteResetBtn = document.getElementById('palette-reset-btn');
+    const colorsIgnoreBackgroundInput = document.getElementById('colors-ignore-background');
+    
+    // Éléments de la plaque de base
+    const baseTypeSelect = document.getElementById('base-type');
+    const baseThicknessInput = document.getElementById('base-thickness');
+    const baseMarginInput = document.getElementById('base-margin');
+    const baseRadiusInput = document.getElementById('base-radius');
+    
+    // Éléments des chanfreins et arrondis
+    const edgeTopTypeSelect = document.getElementById('edge-top-type');
+    const edgeTopSizeInput = document.getElementById('edge-top-size');
+    const edgeTopSegmentsInput = document.getElementById('edge-top-segments');
+    const edgeBottomTypeSelect = document.getElementById('edge-bottom-type');
+    const edgeBottomSizeInput = document.getElementById('edge-bottom-size');
+    const edgeBottomSegmentsInput = document.getElementById('edge-bottom-segments');
+    
+    // Éléments de la dépouille et de la torsion
+    const taperTypeSelect = document.getElementById('taper-type');
+    const taperAngleInput = document.getElementById('taper-angle');
+    const taperTwistInput = document.getElementById('taper-twist');
+    
+    // Éléments de retouche de l'image
+    const editToolSelect = document.getElementById('edit-tool');
+    const rotateLeftBtn = document.getElementById('rotate-left-btn');
+    const rotateRightBtn = document.getElementById('rotate-right-btn');
+    const flipXBtn = document.getElementById('flip-x-btn');
+    const flipYBtn = document.getElementById('flip-y-btn');
+    const undoStrokeBtn = document.getElementById('undo-stroke-btn');
+    const resetEditsBtn = document.getElementById('reset-edits-btn');
+    const rotationAngleInput = document.getElementById('rotation-angle');
+    const rotationAngleValue = document.getElementById('rotation-angle-value');
+    const brushSizeInput = document.getElementById('brush-size');
     
     // Éléments de la webcam
     const webcamBtn = document.getElementById('webcam-btn');
@@ -50,6 +151,14 @@ document.addEventListener('DOMContentLoaded', () => {
     const captureBtn = document.getElementById('capture-btn');
     const cancelWebcamBtn = document.getElementById('cancel-webcam-btn');
     const webcamCanvas = document.getElementById('webcam-canvas');
+    const webcamLiveDiv = document.getElementById('webcam-live');
+    const scanContainer = document.getElementById('scan-container');
+    const rectifyBtn = document.getElementById('rectify-btn');
+    const skipRectifyBtn = document.getElementById('skip-rectify-btn');
+    const retakeBtn = document.getElementById('retake-btn');
+    const scanner = new DocumentScanner(document.getElementById('scan-canvas'));
+    const livePreviewToggle = document.getElementById('live-preview-toggle');
+    const liveContoursInput = document.getElementById('live-contours');
     
     // Fonction pour démarrer la webcam
     function startWebcam() {
@@ -78,6 +187,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 webcamVideo.srcObject = stream;
                 return webcamVideo.play();
             })
+            .then(() => updateLivePreview())
             .catch(error => {
                 console.error("Erreur lors de l'accès à la webcam:", error);
                 alert("Impossible d'accéder à la webcam: " + error.message);
@@ -93,9 +203,36 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         webcamVideo.srcObject = null;
         webcamContainer.style.display = 'none';
+        showWebcamLive();
     }
     
-    // Capturer une image depuis la webcam
+    // Revenir au flux vidéo (après une capture abandonnée)
+    function showWebcamLive() {
+        scanContainer.style.display = 'none';
+        webcamLiveDiv.style.display = 'block';
+        updateLivePreview();
+    }
+    
+    // Aperçu en direct de la binarisation avec les réglages courants
+    const livePreview = new LivePreview(webcamVideo, document.getElementById('live-preview-canvas'), () => ({
+        threshold: parseInt(thresholdInput.value),
+        thresholdMethod: thresholdMethodSelect.value,
+        adaptiveThreshold: getAdvancedOptions().adaptiveThreshold,
+        binarization: getBinarizationOptions(),
+        blurradius: parseFloat(blurradiusInput.value),
+        showContours: liveContoursInput.checked
+    }));
+    
+    // Démarrer ou arrêter l'aperçu en direct selon l'état de la webcam
+    function updateLivePreview() {
+        if (webcamStream && livePreviewToggle.checked && webcamLiveDiv.style.display !== 'none') {
+            livePreview.start();
+        } else {
+            livePreview.stop();
+        }
+    }
+    
+    // Capturer une image depuis la webcam (le redressement est proposé ensuite)
     function captureImage() {
         if (!webcamStream) return;
         
@@ -109,7 +246,15 @@ document.addEventListener('DOMContentLoaded', () => {
         const ctx = canvas.getContext('2d');
         ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
         
-        // Créer une image à partir du canvas
+        // Détecter la feuille et laisser l'utilisateur ajuster ses coins
+        webcamLiveDiv.style.display = 'none';
+        updateLivePreview();
+        scanContainer.style.display = 'block';
+        scanner.setImage(canvas);
+    }
+    
+    // Charger une image capturée (redressée ou non) dans le vectorizer
+    function loadCapturedCanvas(canvas) {
         canvas.toBlob(blob => {
             // Créer un objet File à partir du Blob
             const capturedFile = new File([blob], "webcam-capture.png", { type: "image/png" });
@@ -117,6 +262,12 @@ document.addEventListener('DOMContentLoaded', () => {
             // Charger l'image capturée dans le vectorizer
             vectorizer.loadImage(capturedFile)
                 .then(() => {
+                    imageName = 'webcam-capture';
+                    imageEditor.setSource(vectorizer.imageData);
+                    resetImageEdits();
+                    updateSizingForSource();
+                    onImageChanged();
+                    
                     // Activer le bouton de traitement
                     processBtn.disabled = false;
                     processBtn.textContent = "Traiter l'image";
@@ -131,9 +282,78 @@ document.addEventListener('DOMContentLoaded', () => {
         }, "image/png");
     }
     
+    // Retouches non destructives: l'image retouchée remplace l'image du vectorizer
+    const imageEditor = new ImageEditor(document.getElementById('original-canvas'), (imageData) => {
+        vectorizer.setImageData(imageData);
+        onImageChanged();
+    });
+    imageEditor.setBackground(getEditBackground());
+    
+    // Remettre les réglages de retouche à zéro (nouvelle image)
+    function resetImageEdits() {
+        rotationAngleInput.value = 0;
+        rotationAngleValue.textContent = '0°';
+    }
+    
+    // Mettre à jour les réglages qui dépendent de l'image (dimensions, palette, histogramme)
+    function onImageChanged() {
+        syncSizeInputs();
+        resetPalette();
+        updateHistogram();
+    }
+    
+    // Obtenir les réglages de binarisation (canal, inversion, transparence)
+    function getBinarizationOptions() {
+        return {
+            channel: sourceChannelSelect.value,
+            invert: invertBinarizationInput.checked,
+            transparentAsBackground: transparentBackgroundInput.checked
+        };
+    }
+    
+    // Couleur qui devient du fond après binarisation, pour les coins découverts
+    // et les zones exclues des retouches (transparent quand la transparence est du fond)
+    function getEditBackground() {
+        const options = getBinarizationOptions();
+        if (options.channel === 'alpha' || options.transparentAsBackground) return null;
+        return options.invert ? '#000000' : '#FFFFFF';
+    }
+    
+    // Appliquer les réglages de binarisation: l'histogramme et la palette en dépendent
+    function applyBinarizationOptions() {
+        vectorizer.setBinarization(getBinarizationOptions());
+        imageEditor.setBackground(getEditBackground());
+        if (vectorizer.imageData) {
+            resetPalette();
+            updateHistogram();
+        }
+    }
+    
+    // Histogramme de luminance: faire glisser la ligne fixe un seuil manuel
+    const histogramWidget = new HistogramWidget(histogramCanvas, (threshold) => {
+        thresholdInput.value = threshold;
+        thresholdMethodSelect.value = 'manual';
+        updateSliderValues();
+    });
+    
+    // Afficher l'histogramme de l'image chargée
+    function updateHistogram() {
+        histogramWidget.setHistogram(vectorizer.computeHistogram());
+        applyThresholdMethod();
+    }
+    
+    // Placer le curseur de seuil sur la valeur calculée par la méthode automatique
+    function applyThresholdMethod() {
+        if (thresholdMethodSelect.value !== 'manual' && vectorizer.imageData) {
+            thresholdInput.value = vectorizer.computeAutoThreshold(thresholdMethodSelect.value);
+            updateSliderValues();
+        }
+    }
+    
     // Mettre à jour les valeurs affichées des sliders
     function updateSliderValues() {
         thresholdValue.textContent = thresholdInput.value;
+        histogramWidget.setThreshold(parseInt(thresholdInput.value));
         simplificationValue.textContent = simplificationInput.value;
         turdsizeValue.textContent = turdsizeInput.value;
         alphamaxValue.textContent = alphamaxInput.value;
@@ -144,11 +364,16 @@ document.addEventListener('DOMContentLoaded', () => {
         blurdeltaValue.textContent = blurdeltaInput.value;
         opttoleranceValue.textContent = opttoleranceInput.value;
         strokewidthValue.textContent = strokewidthInput.value;
+        adaptiveWindowValue.textContent = adaptiveWindowInput.value;
+        adaptiveOffsetValue.textContent = adaptiveOffsetInput.value;
+        adaptiveKValue.textContent = adaptiveKInput.value;
+        morphRadiusValue.textContent = morphRadiusInput.value;
     }
     
     // Obtenir les options avancées à partir des inputs
     function getAdvancedOptions() {
         return {
+            thresholdMethod: thresholdMethodSelect.value,
             turdsize: parseInt(turdsizeInput.value),
             alphamax: parseFloat(alphamaxInput.value),
             ltres: parseFloat(ltresInput.value),
@@ -160,17 +385,358 @@ document.addEventListener('DOMContentLoaded', () => {
             opttolerance: parseFloat(opttoleranceInput.value),
             strokewidth: parseFloat(strokewidthInput.value),
             rightangleenhance: rightangleenhanceInput.checked,
-            preserveholes: preserveholesInput.checked
+            preserveholes: preserveholesInput.checked,
+            binarization: getBinarizationOptions(),
+            adaptiveThreshold: {
+                mode: adaptiveModeSelect.value,
+                windowSize: parseInt(adaptiveWindowInput.value),
+                offset: parseFloat(adaptiveOffsetInput.value),
+                k: parseFloat(adaptiveKInput.value)
+            },
+            morphology: {
+                operation: morphOperationSelect.value,
+                radius: parseInt(morphRadiusInput.value),
+                shape: morphShapeSelect.value,
+                fillHoles: parseInt(morphFillHolesInput.value) || 0,
+                removeSpecks: parseInt(morphRemoveSpecksInput.value) || 0
+            }
+        };
+    }
+    
+    // Obtenir les dimensions d'origine (pixels) du dessin courant
+    function getSourceSize() {
+        if (vectorizer.imageData) {
+            return { width: vectorizer.width, height: vectorizer.height };
+        }
+        if (vectorData) {
+            return { width: vectorData.width, height: vectorData.height };
+        }
+        return null;
+    }
+    
+    // Recalculer la largeur ou la hauteur affichée pour conserver les proportions
+    function syncSizeInputs(editedInput = null) {
+        const size = getSourceSize();
+        if (!size) return;
+        
+        const scale = extruder.getScale(size.width, size.height);
+        if (editedInput !== targetWidthInput) {
+            targetWidthInput.value = (size.width * scale).toFixed(1);
+        }
+        if (editedInput !== targetHeightInput) {
+            targetHeightInput.value = (size.height * scale).toFixed(1);
+        }
+    }
+    
+    // Transmettre le dimensionnement choisi à l'extrudeur
+    function applySizing(editedInput = null) {
+        const mode = sizeModeSelect.value;
+        
+        sizeDimensionsDiv.style.display = mode === 'size' ? 'flex' : 'none';
+        sizeDpiDiv.style.display = mode === 'dpi' ? 'flex' : 'none';
+        sizeMmpxDiv.style.display = mode === 'mmPerPixel' ? 'flex' : 'none';
+        
+        if (mode === 'dpi') {
+            extruder.setSizing('dpi', parseFloat(targetDpiInput.value));
+        } else if (mode === 'mmPerPixel') {
+            extruder.setSizing('mmPerPixel', parseFloat(targetMmpxInput.value));
+        } else if (sizeAxis === 'width') {
+            extruder.setSizing('width', parseFloat(targetWidthInput.value));
+        } else if (sizeAxis === 'height') {
+            extruder.setSizing('height', parseFloat(targetHeightInput.value));
+        } else {
+            extruder.setSizing('fit', extruder.modelSize);
+        }
+        
+        syncSizeInputs(editedInput);
+    }
+    
+    // Afficher les dimensions réelles du modèle à côté de l'aperçu 3D
+    function updateModelDimensions() {
+        const dimensions = extruder.getModelDimensions();
+        
+        if (!dimensions) {
+            modelDimensionsDiv.textContent = 'Dimensions: -';
+            return;
+        }
+        
+        modelDimensionsDiv.textContent = `Dimensions: ${dimensions.x.toFixed(1)} × ` +
+            `${dimensions.y.toFixed(1)} × ${dimensions.z.toFixed(1)} mm`;
+    }
+    
+    // Signaler les réglages que le modèle n'a pas pu respecter (valeurs ramenées dans leurs limites)
+    function updateModelWarnings() {
+        modelWarningsDiv.innerHTML = '';
+        for (const warning of extruder.warnings) {
+            const item = document.createElement('div');
+            item.textContent = warning;
+            modelWarningsDiv.appendChild(item);
+        }
+    }
+    
+    // Lister les défauts relevés par le contrôle des maillages
+    function getMeshProblems(report) {
+        const problems = [];
+        if (report.openEdges > 0) {
+            problems.push(`${report.openEdges} arête(s) ouverte(s) : le maillage n'est pas étanche`);
+        }
+        if (report.nonManifoldEdges > 0) {
+            problems.push(`${report.nonManifoldEdges} arête(s) partagée(s) par plus de deux triangles`);
+        }
+        if (report.degenerate > 0) {
+            problems.push(`${report.degenerate} triangle(s) dégénéré(s) ou d'aire nulle`);
+        }
+        if (report.flipped > 0) {
+            problems.push(`${report.flipped} triangle(s) aux normales inversées`);
+        }
+        if (report.selfIntersections > 0) {
+            problems.push(`${report.selfIntersections} auto-intersection(s)`);
+        }
+        return problems;
+    }
+    
+    // Afficher le rapport de contrôle des maillages sous les boutons d'exportation
+    function showMeshReport(report) {
+        meshReportDiv.innerHTML = '';
+        meshReportDiv.classList.toggle('valid', report.valid);
+        meshReportDiv.classList.toggle('invalid', !report.valid);
+        
+        const lines = [`Triangles : ${report.triangles}`];
+        if (report.size) {
+            lines.push(`Boîte englobante : ${report.size.x.toFixed(1)} × ${report.size.y.toFixed(1)} × ` +
+                `${report.size.z.toFixed(1)} mm`);
+        }
+        if (report.valid) {
+            lines.push('Maillage valide : étanche, sans triangle dégénéré, normales orientées vers l\'extérieur');
+        } else {
+            lines.push(...getMeshProblems(report));
+        }
+        if (!report.intersectionsComplete) {
+            lines.push('Recherche des auto-intersections interrompue (maillage trop grand)');
+        }
+        
+        for (const line of lines) {
+            const item = document.createElement('div');
+            item.textContent = line;
+            meshReportDiv.appendChild(item);
+        }
+    }
+    
+    // Contrôler les maillages avant un export et proposer la réparation automatique.
+    // Les exports en objets séparés (3MF, archive de STL) contrôlent chaque corps seul
+    function checkMeshesBeforeExport(options = {}) {
+        let report = extruder.validateMeshes(options);
+        showMeshReport(report);
+        
+        if (report.fixable) {
+            const message = 'Le maillage présente des défauts :\n- ' + getMeshProblems(report).join('\n- ') +
+                '\n\nRéparer automatiquement (soudure des sommets, suppression des triangles dégénérés, ' +
+                'réorientation des normales) avant l\'export ?';
+            if (confirm(message)) {
+                report = extruder.repairMeshes(options);
+                showMeshReport(report);
+            }
+        }
+    }
+    
+    // Indiquer si le type de modèle choisi est un relief en niveaux de gris
+    function isHeightmapMode() {
+        const mode = modelModeSelect.value;
+        return mode === 'relief' || mode === 'lithophane';
+    }
+    
+    // Créer le relief ou la lithophanie à partir de la luminance de l'image
+    function createHeightmapModel() {
+        const options = getModelOptions();
+        return extruder.createHeightmapModel(
+            vectorizer.getGrayscale(),
+            vectorizer.width,
+            vectorizer.height,
+            {
+                ...options.heightmap,
+                mode: options.mode,
+                reliefHeight: parseFloat(extrusionInput.value)
+            }
+        );
+    }
+    
+    // Afficher la palette du mode multicolore (une pastille modifiable par couleur)
+    function renderPalette(palette) {
+        colorPaletteDiv.innerHTML = '';
+        for (const color of palette) {
+            const swatch = document.createElement('input');
+            swatch.type = 'color';
+            swatch.value = '#' + [color.r, color.g, color.b]
+                .map(v => v.toString(16).padStart(2, '0')).join('');
+            colorPaletteDiv.appendChild(swatch);
+        }
+    }
+    
+    // Lire la palette choisie par l'utilisateur
+    function getPalette() {
+        return Array.from(colorPaletteDiv.querySelectorAll('input[type="color"]')).map(swatch => ({
+            r: parseInt(swatch.value.substring(1, 3), 16),
+            g: parseInt(swatch.value.substring(3, 5), 16),
+            b: parseInt(swatch.value.substring(5, 7), 16)
+        }));
+    }
+    
+    // Recalculer la palette à partir de l'image (uniquement en mode multicolore)
+    function resetPalette() {
+        if (modelModeSelect.value === 'colors' && vectorizer.imageData) {
+            renderPalette(vectorizer.computePalette(parseInt(colorsCountInput.value)));
+        } else {
+            colorPaletteDiv.innerHTML = '';
+        }
+    }
+    
+    // Créer le modèle 3D à partir des contours vectorisés
+    function createVectorModel() {
+        const extrusionHeight = parseFloat(extrusionInput.value);
+        
+        // Les niveaux et les couleurs ne sont disponibles qu'après un traitement dans le mode correspondant
+        if (modelModeSelect.value === 'levels' && vectorData.layers) {
+            return extruder.createLayeredModel(vectorData, extrusionHeight, getModelOptions());
+        }
+        if (modelModeSelect.value === 'colors' && vectorData.colors) {
+            return extruder.createColorModel(vectorData, extrusionHeight, getModelOptions());
+        }
+        return extruder.createModel(vectorData, extrusionHeight, getModelOptions());
+    }
+    
+    // Recréer le modèle 3D avec les paramètres courants
+    function refreshModel() {
+        if (isHeightmapMode()) {
+            // Ne reconstruire le relief qu'une fois l'image traitée
+            if (vectorizer.imageData && extruder.meshes.length > 0) {
+                createHeightmapModel();
+            }
+        } else if (vectorData) {
+            createVectorModel();
+        }
+        
+        updateExportButtons();
+        updateModelDimensions();
+        updateModelWarnings();
+    }
+    
+    // Activer les boutons d'exportation selon le modèle affiché
+    function updateExportButtons() {
+        const hasModel = extruder.meshes.length > 0;
+        exportStlBtn.disabled = !hasModel;
+        export3mfBtn.disabled = !hasModel;
+        exportStlZipBtn.disabled = !hasModel;
+        
+        // Le rapport de contrôle concerne le modèle précédent
+        meshReportDiv.innerHTML = '';
+        meshReportDiv.classList.remove('valid', 'invalid');
+        
+        // Un relief en niveaux de gris n'a pas de contours à exporter en DXF ou en SVG
+        exportDxfBtn.disabled = !hasModel || isHeightmapMode();
+        exportSvgBtn.disabled = !hasModel || isHeightmapMode() || !vectorData;
+    }
+    
+    // Obtenir les options du modèle 3D à partir des inputs
+    function getModelOptions() {
+        return {
+            mode: modelModeSelect.value,
+            cutter: {
+                wallThickness: parseFloat(cutterWallInput.value),
+                flangeWidth: parseFloat(cutterFlangeWidthInput.value),
+                flangeHeight: parseFloat(cutterFlangeHeightInput.value),
+                edgeThickness: parseFloat(cutterEdgeWidthInput.value),
+                edgeHeight: parseFloat(cutterEdgeHeightInput.value)
+            },
+            stamp: {
+                blockThickness: parseFloat(stampBlockInput.value),
+                margin: parseFloat(stampMarginInput.value),
+                handle: stampHandleSelect.value,
+                handleHeight: parseFloat(stampHandleHeightInput.value),
+                handleDiameter: parseFloat(stampHandleDiameterInput.value)
+            },
+            heightmap: {
+                resolution: parseFloat(heightmapResolutionInput.value),
+                shape: heightmapShapeSelect.value,
+                curveAngle: parseFloat(heightmapCurveInput.value),
+                baseThickness: parseFloat(reliefBaseInput.value),
+                minThickness: parseFloat(lithophaneMinInput.value),
+                maxThickness: parseFloat(lithophaneMaxInput.value)
+            },
+            base: {
+                type: baseTypeSelect.value,
+                thickness: parseFloat(baseThicknessInput.value),
+                margin: parseFloat(baseMarginInput.value),
+                cornerRadius: parseFloat(baseRadiusInput.value)
+            },
+            edges: {
+                top: {
+                    type: edgeTopTypeSelect.value,
+                    size: parseFloat(edgeTopSizeInput.value),
+                    segments: parseInt(edgeTopSegmentsInput.value)
+                },
+                bottom: {
+                    type: edgeBottomTypeSelect.value,
+                    size: parseFloat(edgeBottomSizeInput.value),
+                    segments: parseInt(edgeBottomSegmentsInput.value)
+                }
+            },
+            taper: {
+                type: taperTypeSelect.value,
+                angle: parseFloat(taperAngleInput.value),
+                twist: parseFloat(taperTwistInput.value) || 0
+            }
         };
     }
     
     // Écouter les clics sur les boutons liés à la webcam
     webcamBtn.addEventListener('click', startWebcam);
     captureBtn.addEventListener('click', captureImage);
+    rectifyBtn.addEventListener('click', () => {
+        try {
+            loadCapturedCanvas(scanner.rectify());
+        } catch (error) {
+            console.error("Erreur lors du redressement de l'image:", error);
+            alert("Erreur lors du redressement de l'image: " + error.message);
+        }
+    });
+    skipRectifyBtn.addEventListener('click', () => loadCapturedCanvas(webcamCanvas));
+    retakeBtn.addEventListener('click', showWebcamLive);
+    livePreviewToggle.addEventListener('change', updateLivePreview);
+    
+    // Écouter les outils de retouche de l'image
+    editToolSelect.addEventListener('change', () => {
+        imageEditor.tool = editToolSelect.value;
+    });
+    brushSizeInput.addEventListener('input', () => {
+        imageEditor.brushSize = parseInt(brushSizeInput.value);
+    });
+    rotateLeftBtn.addEventListener('click', () => imageEditor.rotateQuarter(-1));
+    rotateRightBtn.addEventListener('click', () => imageEditor.rotateQuarter(1));
+    flipXBtn.addEventListener('click', () => imageEditor.flip('x'));
+    flipYBtn.addEventListener('click', () => imageEditor.flip('y'));
+    undoStrokeBtn.addEventListener('click', () => imageEditor.undoStroke());
+    resetEditsBtn.addEventListener('click', () => {
+        resetImageEdits();
+        imageEditor.reset();
+    });
+    rotationAngleInput.addEventListener('input', () => {
+        rotationAngleValue.textContent = `${rotationAngleInput.value}°`;
+    });
+    rotationAngleInput.addEventListener('change', () => {
+        imageEditor.setAngle(parseFloat(rotationAngleInput.value));
+    });
     cancelWebcamBtn.addEventListener('click', stopWebcam);
     
     // Écouter les changements de valeur des sliders
-    thresholdInput.addEventListener('input', updateSliderValues);
+    thresholdInput.addEventListener('input', () => {
+        // Un seuil choisi à la main n'est plus automatique
+        thresholdMethodSelect.value = 'manual';
+        updateSliderValues();
+    });
+    thresholdMethodSelect.addEventListener('change', applyThresholdMethod);
+    sourceChannelSelect.addEventListener('change', applyBinarizationOptions);
+    invertBinarizationInput.addEventListener('change', applyBinarizationOptions);
+    transparentBackgroundInput.addEventListener('change', applyBinarizationOptions);
     simplificationInput.addEventListener('input', updateSliderValues);
     turdsizeInput.addEventListener('input', updateSliderValues);
     alphamaxInput.addEventListener('input', updateSliderValues);
@@ -181,6 +747,10 @@ document.addEventListener('DOMContentLoaded', () => {
     blurdeltaInput.addEventListener('input', updateSliderValues);
     opttoleranceInput.addEventListener('input', updateSliderValues);
     strokewidthInput.addEventListener('input', updateSliderValues);
+    adaptiveWindowInput.addEventListener('input', updateSliderValues);
+    adaptiveOffsetInput.addEventListener('input', updateSliderValues);
+    adaptiveKInput.addEventListener('input', updateSliderValues);
+    morphRadiusInput.addEventListener('input', updateSliderValues);
     
     // Écouter les changements d'image
     imageInput.addEventListener('change', (event) => {
@@ -188,14 +758,25 @@ document.addEventListener('DOMContentLoaded', () => {
             // Réinitialiser l'interface au changement d'image
             exportStlBtn.disabled = true;
             exportDxfBtn.disabled = true;
+            exportSvgBtn.disabled = true;
+            export3mfBtn.disabled = true;
+            exportStlZipBtn.disabled = true;
             
             // Afficher un message de chargement
             processBtn.disabled = true;
             processBtn.textContent = "Chargement...";
             
             // Charger l'image sélectionnée
-            vectorizer.loadImage(event.target.files[0])
+            const file = event.target.files[0];
+            vectorizer.loadImage(file)
                 .then(() => {
+                    // Retenir le nom du fichier sans extension
+                    imageName = file.name.replace(/\.[^.]+$/, '') || 'extrudator';
+                    imageEditor.setSource(vectorizer.imageData);
+                    resetImageEdits();
+                    updateSizingForSource();
+                    onImageChanged();
+                    
                     // Activer le bouton de traitement
                     processBtn.disabled = false;
                     processBtn.textContent = "Traiter l'image";
@@ -258,15 +839,48 @@ document.addEventListener('DOMContentLoaded', () => {
         // Créer une promesse qui se résout après un court délai
         const delayPromise = new Promise(resolve => setTimeout(resolve, 100));
         
-        // Réinitialiser l'aperçu 3D
+        // Réinitialiser l'aperçu 3D (le rendu reste attaché au conteneur)
         extruder.cleanup();
-        while (modelPreviewDiv.firstChild) {
-            modelPreviewDiv.removeChild(modelPreviewDiv.firstChild);
+        
+        // Les reliefs en niveaux de gris n'ont pas besoin de vectorisation
+        if (isHeightmapMode()) {
+            delayPromise
+                .then(() => createHeightmapModel())
+                .then(mesh => onModelCreated(mesh))
+                .catch(error => onProcessError(error));
+            return;
         }
         
         // Chaîner les promesses
         delayPromise
-            .then(() => vectorizer.vectorize(threshold, simplification, advancedOptions))
+            .then(() => {
+                // Un modèle multi-niveaux vectorise une couche par niveau de gris
+                if (modelModeSelect.value === 'colors') {
+                    // Calculer la palette si elle n'a pas encore été choisie
+                    if (getPalette().length !== parseInt(colorsCountInput.value)) {
+                        resetPalette();
+                    }
+                    return vectorizer.vectorizeColors(
+                        getPalette(),
+                        simplification,
+                        advancedOptions,
+                        colorsIgnoreBackgroundInput.checked
+                    );
+                }
+                if (modelModeSelect.value === 'levels') {
+                    return vectorizer.vectorizeLevels(
+                        parseInt(levelsCountInput.value),
+                        levelsMethodSelect.value,
+                        simplification,
+                        advancedOptions
+                    );
+                }
+                // Un SVG fournit directement ses contours, tant que l'image n'est pas retouchée
+                if (vectorizer.vectorSource && !imageEditor.hasEdits()) {
+                    return vectorizer.useVectorSource();
+                }
+                return vectorizer.vectorize(threshold, simplification, advancedOptions);
+            })
             .then(data => {
                 // Vérifier si nous avons des contours
                 if (!data || !data.contours || data.contours.length === 0) {
@@ -278,53 +892,174 @@ document.addEventListener('DOMContentLoaded', () => {
             .then(data => {
                 vectorData = data;
                 
-                // Créer le modèle 3D avec la hauteur d'extrusion
-                const extrusionHeight = parseFloat(extrusionInput.value);
+                // Afficher le seuil effectivement utilisé (méthode automatique)
+                if (data.threshold !== undefined) {
+                    thresholdInput.value = data.threshold;
+                    updateSliderValues();
+                }
                 
                 // Petit délai supplémentaire pour permettre au DOM de se mettre à jour
                 return new Promise(resolve => {
                     setTimeout(() => {
-                        const mesh = extruder.createModel(vectorData, extrusionHeight);
+                        const mesh = createVectorModel();
                         resolve(mesh);
                     }, 100);
                 });
             })
-            .then(mesh => {
-                // Activer les boutons d'exportation si le modèle a été créé
-                const exportEnabled = mesh !== null;
-                exportStlBtn.disabled = !exportEnabled;
-                exportDxfBtn.disabled = !exportEnabled;
-                
-                // Réactiver le bouton de traitement
-                processBtn.disabled = false;
-                processBtn.textContent = "Traiter l'image";
-            })
-            .catch(error => {
-                console.error('Erreur lors du traitement:', error);
-                alert('Erreur lors du traitement: ' + (error.message || "Erreur inconnue"));
-                
-                // Réactiver le bouton en cas d'erreur
-                processBtn.disabled = false;
-                processBtn.textContent = "Traiter l'image";
-            });
+            .then(mesh => onModelCreated(mesh))
+            .catch(error => onProcessError(error));
     });
     
+    // Mettre à jour l'interface une fois le modèle créé
+    function onModelCreated(mesh) {
+        // Activer les boutons d'exportation si le modèle a été créé
+        updateExportButtons();
+        
+        // Afficher les dimensions obtenues
+        syncSizeInputs();
+        updateModelDimensions();
+        updateModelWarnings();
+        
+        // Réactiver le bouton de traitement
+        processBtn.disabled = false;
+        processBtn.textContent = "Traiter l'image";
+    }
+    
+    // Signaler une erreur de traitement
+    function onProcessError(error) {
+        console.error('Erreur lors du traitement:', error);
+        alert('Erreur lors du traitement: ' + (error.message || "Erreur inconnue"));
+        
+        // Réactiver le bouton en cas d'erreur
+        processBtn.disabled = false;
+        processBtn.textContent = "Traiter l'image";
+    }
+    
+    // Un dessin DXF garde ses dimensions réelles; la source suivante (image ou webcam)
+    // retrouve le dimensionnement choisi avant le DXF
+    function updateSizingForSource() {
+        const source = vectorizer.vectorSource;
+        
+        if (source && source.mmPerPixel) {
+            if (!sizingBeforeDXF) {
+                sizingBeforeDXF = { mode: sizeModeSelect.value, mmPerPixel: targetMmpxInput.value };
+            }
+            sizeModeSelect.value = 'mmPerPixel';
+            targetMmpxInput.value = parseFloat(source.mmPerPixel.toPrecision(6));
+            applySizing();
+        } else if (sizingBeforeDXF) {
+            sizeModeSelect.value = sizingBeforeDXF.mode;
+            targetMmpxInput.value = sizingBeforeDXF.mmPerPixel;
+            sizingBeforeDXF = null;
+            applySizing();
+        }
+    }
+    
     // Écouter les changements de hauteur d'extrusion
-    extrusionInput.addEventListener('input', () => {
-        if (vectorData) {
-            const extrusionHeight = parseFloat(extrusionInput.value);
-            extruder.createModel(vectorData, extrusionHeight);
+    extrusionInput.addEventListener('input', refreshModel);
+    
+    // Écouter les changements de dimensionnement
+    sizeModeSelect.addEventListener('change', () => {
+        // Un choix explicite remplace le dimensionnement mis de côté pour un DXF
+        sizingBeforeDXF = null;
+        applySizing();
+        refreshModel();
+    });
+    targetWidthInput.addEventListener('input', () => {
+        sizeAxis = 'width';
+        applySizing(targetWidthInput);
+        refreshModel();
+    });
+    targetHeightInput.addEventListener('input', () => {
+        sizeAxis = 'height';
+        applySizing(targetHeightInput);
+        refreshModel();
+    });
+    targetDpiInput.addEventListener('input', () => {
+        applySizing();
+        refreshModel();
+    });
+    targetMmpxInput.addEventListener('input', () => {
+        applySizing();
+        refreshModel();
+    });
+    
+    // Afficher les réglages propres au type de modèle choisi
+    function updateModeSettings() {
+        const mode = modelModeSelect.value;
+        cutterSettingsDiv.style.display = mode === 'cutter' ? 'block' : 'none';
+        stampSettingsDiv.style.display = mode === 'stamp' ? 'block' : 'none';
+        heightmapSettingsDiv.style.display = isHeightmapMode() ? 'block' : 'none';
+        reliefBaseSettingDiv.style.display = mode === 'relief' ? 'flex' : 'none';
+        lithophaneSettingsDiv.style.display = mode === 'lithophane' ? 'block' : 'none';
+        levelsSettingsDiv.style.display = mode === 'levels' ? 'block' : 'none';
+        colorsSettingsDiv.style.display = mode === 'colors' ? 'block' : 'none';
+        
+        // Montrer l'aperçu vectorisé en miroir pour un tampon
+        vectorizer.setPreviewMirrored(mode === 'stamp');
+    }
+    
+    // Écouter les changements du type de modèle
+    modelModeSelect.addEventListener('change', () => {
+        updateModeSettings();
+        if (modelModeSelect.value === 'colors' && getPalette().length === 0) {
+            resetPalette();
         }
+        refreshModel();
     });
     
+    // Écouter les changements de la palette du mode multicolore
+    colorsCountInput.addEventListener('change', resetPalette);
+    paletteResetBtn.addEventListener('click', resetPalette);
+    cutterWallInput.addEventListener('input', refreshModel);
+    cutterFlangeWidthInput.addEventListener('input', refreshModel);
+    cutterFlangeHeightInput.addEventListener('input', refreshModel);
+    cutterEdgeWidthInput.addEventListener('input', refreshModel);
+    cutterEdgeHeightInput.addEventListener('input', refreshModel);
+    stampBlockInput.addEventListener('input', refreshModel);
+    stampMarginInput.addEventListener('input', refreshModel);
+    stampHandleSelect.addEventListener('change', refreshModel);
+    stampHandleHeightInput.addEventListener('input', refreshModel);
+    stampHandleDiameterInput.addEventListener('input', refreshModel);
+    heightmapResolutionInput.addEventListener('change', refreshModel);
+    heightmapShapeSelect.addEventListener('change', refreshModel);
+    heightmapCurveInput.addEventListener('change', refreshModel);
+    reliefBaseInput.addEventListener('input', refreshModel);
+    lithophaneMinInput.addEventListener('input', refreshModel);
+    lithophaneMaxInput.addEventListener('input', refreshModel);
+    
+    // Écouter les changements de la plaque de base
+    baseTypeSelect.addEventListener('change', refreshModel);
+    baseThicknessInput.addEventListener('input', refreshModel);
+    baseMarginInput.addEventListener('input', refreshModel);
+    baseRadiusInput.addEventListener('input', refreshModel);
+    
+    // Écouter les changements des chanfreins et arrondis
+    edgeTopTypeSelect.addEventListener('change', refreshModel);
+    edgeTopSizeInput.addEventListener('input', refreshModel);
+    edgeTopSegmentsInput.addEventListener('input', refreshModel);
+    edgeBottomTypeSelect.addEventListener('change', refreshModel);
+    edgeBottomSizeInput.addEventListener('input', refreshModel);
+    edgeBottomSegmentsInput.addEventListener('input', refreshModel);
+    
+    // Écouter les changements de la dépouille et de la torsion
+    taperTypeSelect.addEventListener('change', refreshModel);
+    taperAngleInput.addEventListener('input', refreshModel);
+    taperTwistInput.addEventListener('input', refreshModel);
+    
     // Écouter le clic sur le bouton d'exportation STL
     exportStlBtn.addEventListener('click', () => {
         try {
-            // Exporter le modèle en STL
-            const stlBlob = extruder.exportSTL();
+            checkMeshesBeforeExport();
             
-            // Télécharger le fichier
-            const fileName = 'extrudator_model.stl';
+            // Exporter le modèle en STL dans le format choisi
+            const stlBlob = extruder.exportSTL({
+                binary: stlFormatSelect.value !== 'ascii',
+                name: imageName
+            });
+            
+            // Télécharger le fichier, nommé d'après l'image source
+            const fileName = `${imageName}.stl`;
             saveAs(stlBlob, fileName);
         } catch (error) {
             console.error('Erreur lors de l\'exportation STL:', error);
@@ -332,11 +1067,52 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     
-    // Écouter le clic sur le bouton d'exportation DXF
+    // Écouter le clic sur le bouton d'exportation 3MF
+    export3mfBtn.addEventListener('click', () => {
+        const showError = (error) => {
+            console.error('Erreur lors de l\'exportation 3MF:', error);
+            alert('Erreur lors de l\'exportation 3MF: ' + error.message);
+        };
+        
+        try {
+            checkMeshesBeforeExport({ separateBodies: true });
+            
+            // Exporter le modèle en 3MF (un objet et une couleur par pièce),
+            // nommé d'après l'image source
+            extruder.export3MF({ name: imageName })
+                .then(blob => saveAs(blob, `${imageName}.3mf`))
+                .catch(showError);
+        } catch (error) {
+            showError(error);
+        }
+    });
+    
+    exportStlZipBtn.addEventListener('click', () => {
+        const showError = (error) => {
+            console.error('Erreur lors de l\'exportation des pièces STL:', error);
+            alert('Erreur lors de l\'exportation des pièces STL: ' + error.message);
+        };
+        
+        try {
+            checkMeshesBeforeExport({ separateBodies: true });
+            
+            // Exporter chaque pièce dans un STL séparé; l'archive et les fichiers
+            // qu'elle contient sont nommés d'après l'image source
+            extruder.exportSTLZip({
+                binary: stlFormatSelect.value !== 'ascii',
+                name: imageName
+            })
+                .then(blob => saveAs(blob, `${imageName}.zip`))
+                .catch(showError);
+        } catch (error) {
+            showError(error);
+        }
+    });
+    
     exportDxfBtn.addEventListener('click', () => {
         try {
             // Exporter les contours en DXF
-            const dxfBlob = extruder.exportDXF();
+            const dxfBlob = extruder.exportDXF({ version: dxfVersionSelect.value });
             
             // Télécharger le fichier
             const fileName = 'extrudator_contours.dxf';
@@ -347,16 +1123,33 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     
+    exportSvgBtn.addEventListener('click', () => {
+        try {
+            // Exporter les contours vectorisés en SVG, aux dimensions du modèle
+            const svgBlob = extruder.exportSVG(vectorData, {
+                mode: modelModeSelect.value,
+                name: imageName
+            });
+            saveAs(svgBlob, 'extrudator_contours.svg');
+        } catch (error) {
+            console.error('Erreur lors de l\'exportation SVG:', error);
+            alert('Erreur lors de l\'exportation SVG: ' + error.message);
+        }
+    });
+    
     // Désactiver les boutons au démarrage
     processBtn.disabled = true;
     exportStlBtn.disabled = true;
     exportDxfBtn.disabled = true;
+    exportSvgBtn.disabled = true;
     
     // Initialiser la scène 3D vide pour éviter des erreurs
     extruder.initScene();
     
     // Initialiser les valeurs affichées
     updateSliderValues();
+    updateModeSettings();
+    applySizing();
     
     // Afficher un message de bienvenue
     console.log('Extrudator est prêt!');
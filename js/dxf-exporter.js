@@ -0,0 +1,462 @@
+/**
+ * DXFExporter - Module d'exportation des contours au format DXF
+ * Chaque contour devient une polyligne fermée, en millimètres ($INSUNITS = 4).
+ * Les contours extérieurs et les trous sont placés sur des calques distincts.
+ * Deux versions sont proposées: R12 (AC1009, POLYLINE) pour les logiciels anciens
+ * et AutoCAD 2000 (AC1015, LWPOLYLINE).
+ */
+class DXFExporter {
+    /**
+     * Calques utilisés (nom et couleur d'index AutoCAD)
+     */
+    static get LAYERS() {
+        return {
+            outer: { name: 'CONTOURS', color: 7 },
+            hole: { name: 'TROUS', color: 1 }
+        };
+    }
+
+    /**
+     * Convertit des contours (coordonnées de l'image) en document DXF
+     * @param {Array} contours - Contours en pixels, origine en haut à gauche
+     * (contours extérieurs d'aire positive, trous d'aire négative)
+     * @param {Object} options - Options d'export
+     * @param {number} options.imageHeight - Hauteur de l'image d'origine (retournement de l'axe Y)
+     * @param {number} options.scale - Échelle en mm par pixel (la même que le modèle 3D)
+     * @param {string} options.version - 'R12' ou '2000'
+     * @returns {string} - Contenu du fichier DXF
+     */
+    parse(contours, options = {}) {
+        this.version = options.version === 'R12' ? 'R12' : '2000';
+        this.lines = [];
+        this.nextHandle = 1;
+
+        const polylines = this.createPolylines(contours, options.imageHeight || 0, options.scale || 1);
+
+        if (this.version === 'R12') {
+            this.writeHeader(polylines);
+            this.writeTablesR12();
+            this.writeEntities(polylines);
+        } else {
+            // Les handles des tables et des blocs sont réservés avant d'écrire l'en-tête
+            const handles = this.reserveHandles();
+            const body = this.capture(() => {
+                this.writeTables2000(handles);
+                this.writeBlocks2000(handles);
+                this.writeEntities(polylines, handles.modelSpace);
+                this.writeObjects2000(handles);
+            });
+            this.writeHeader(polylines);
+            this.lines.push(...body);
+        }
+
+        this.pair(0, 'EOF');
+        return this.lines.join('\n') + '\n';
+    }
+
+    /**
+     * Convertit les contours en polylignes en millimètres, repère DXF (origine en bas à gauche)
+     * @param {Array} contours - Contours en pixels
+     * @param {number} imageHeight - Hauteur de l'image d'origine
+     * @param {number} scale - Échelle en mm par pixel
+     * @returns {Array} - Polylignes {layer, points}
+     */
+    createPolylines(contours, imageHeight, scale) {
+        const polylines = [];
+
+        for (const contour of contours) {
+            let points = contour.map(point => ({ x: point.x * scale, y: (imageHeight - point.y) * scale }));
+
+            // La polyligne est fermée par son drapeau: le point de fermeture répété est inutile
+            const first = points[0];
+            const last = points[points.length - 1];
+            if (points.length > 2 && first.x === last.x && first.y === last.y) {
+                points = points.slice(0, -1);
+            }
+            if (points.length < 2) continue;
+
+            const isHole = PolygonUtils.signedArea(contour) < 0;
+            polylines.push({
+                layer: isHole ? DXFExporter.LAYERS.hole : DXFExporter.LAYERS.outer,
+                points
+            });
+        }
+
+        return polylines;
+    }
+
+    /**
+     * Ajoute une paire (code de groupe, valeur)
+     * @param {number} code - Code de groupe
+     * @param {string|number} value - Valeur
+     */
+    pair(code, value) {
+        this.lines.push(String(code), typeof value === 'number' ? this.formatNumber(value) : value);
+    }
+
+    /**
+     * Formate un nombre sans notation exponentielle, à 6 décimales au plus
+     * @param {number} value - Nombre
+     * @returns {string} - Texte du nombre
+     */
+    formatNumber(value) {
+        return Number.isInteger(value) ? String(value) : String(parseFloat(value.toFixed(6)));
+    }
+
+    /**
+     * Attribue un nouveau handle (identifiant hexadécimal des objets AutoCAD 2000)
+     * @returns {string} - Handle
+     */
+    handle() {
+        return (this.nextHandle++).toString(16).toUpperCase();
+    }
+
+    /**
+     * Exécute une fonction d'écriture et renvoie les lignes produites à part
+     * @param {Function} write - Fonction d'écriture
+     * @returns {Array} - Lignes produites
+     */
+    capture(write) {
+        const saved = this.lines;
+        this.lines = [];
+        write();
+        const captured = this.lines;
+        this.lines = saved;
+        return captured;
+    }
+
+    /**
+     * Réserve les handles des objets de structure (AutoCAD 2000)
+     * @returns {Object} - Handles nommés
+     */
+    reserveHandles() {
+        const names = ['dictionary', 'groupDictionary', 'vportTable', 'ltypeTable', 'layerTable', 'styleTable',
+            'viewTable', 'ucsTable', 'appidTable', 'dimstyleTable', 'blockRecordTable',
+            'modelSpace', 'paperSpace', 'modelBlock', 'modelBlockEnd', 'paperBlock', 'paperBlockEnd'];
+        const handles = {};
+        for (const name of names) {
+            handles[name] = this.handle();
+        }
+        return handles;
+    }
+
+    /**
+     * Écrit l'en-tête: version, unités et étendue du dessin
+     * @param {Array} polylines - Polylignes exportées
+     */
+    writeHeader(polylines) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const polyline of polylines) {
+            for (const point of polyline.points) {
+                minX = Math.min(minX, point.x);
+                minY = Math.min(minY, point.y);
+                maxX = Math.max(maxX, point.x);
+                maxY = Math.max(maxY, point.y);
+            }
+        }
+        if (!Number.isFinite(minX)) {
+            minX = minY = maxX = maxY = 0;
+        }
+
+        const header = this.capture(() => {
+            this.pair(0, 'SECTION');
+            this.pair(2, 'HEADER');
+            this.pair(9, '$ACADVER');
+            this.pair(1, this.version === 'R12' ? 'AC1009' : 'AC1015');
+            if (this.version !== 'R12') {
+                // Prochain handle libre
+                this.pair(9, '$HANDSEED');
+                this.pair(5, this.handle());
+            }
+            this.pair(9, '$INSUNITS');
+            this.pair(70, 4); // Millimètres
+            this.pair(9, '$MEASUREMENT');
+            this.pair(70, 1); // Système métrique
+            this.pair(9, '$EXTMIN');
+            this.pair(10, minX);
+            this.pair(20, minY);
+            this.pair(30, 0);
+            this.pair(9, '$EXTMAX');
+            this.pair(10, maxX);
+            this.pair(20, maxY);
+            this.pair(30, 0);
+            this.pair(0, 'ENDSEC');
+        });
+        this.lines.unshift(...header);
+    }
+
+    /**
+     * Écrit les tables R12: type de ligne continu et calques
+     */
+    writeTablesR12() {
+        const layers = [{ name: '0', color: 7 }, ...Object.values(DXFExporter.LAYERS)];
+
+        this.pair(0, 'SECTION');
+        this.pair(2, 'TABLES');
+
+        this.pair(0, 'TABLE');
+        this.pair(2, 'LTYPE');
+        this.pair(70, 1);
+        this.pair(0, 'LTYPE');
+        this.pair(2, 'CONTINUOUS');
+        this.pair(70, 0);
+        this.pair(3, 'Solid line');
+        this.pair(72, 65);
+        this.pair(73, 0);
+        this.pair(40, 0);
+        this.pair(0, 'ENDTAB');
+
+        this.pair(0, 'TABLE');
+        this.pair(2, 'LAYER');
+        this.pair(70, layers.length);
+        for (const layer of layers) {
+            this.pair(0, 'LAYER');
+            this.pair(2, layer.name);
+            this.pair(70, 0);
+            this.pair(62, layer.color);
+            this.pair(6, 'CONTINUOUS');
+        }
+        this.pair(0, 'ENDTAB');
+
+        this.pair(0, 'ENDSEC');
+    }
+
+    /**
+     * Écrit le début d'une table AutoCAD 2000
+     * @param {string} name - Nom de la table
+     * @param {string} handle - Handle de la table
+     * @param {number} count - Nombre d'entrées
+     */
+    beginTable2000(name, handle, count) {
+        this.pair(0, 'TABLE');
+        this.pair(2, name);
+        this.pair(5, handle);
+        this.pair(330, '0');
+        this.pair(100, 'AcDbSymbolTable');
+        this.pair(70, count);
+        if (name === 'DIMSTYLE') {
+            this.pair(100, 'AcDbDimStyleTable');
+        }
+    }
+
+    /**
+     * Écrit le début d'une entrée de table AutoCAD 2000
+     * @param {string} type - Type de l'entrée (LAYER, LTYPE...)
+     * @param {string} owner - Handle de la table
+     * @param {string} subclass - Sous-classe de l'entrée
+     * @param {string} handle - Handle de l'entrée (nouveau par défaut)
+     */
+    beginRecord2000(type, owner, subclass, handle = this.handle()) {
+        this.pair(0, type);
+        this.pair(5, handle);
+        this.pair(330, owner);
+        this.pair(100, 'AcDbSymbolTableRecord');
+        this.pair(100, subclass);
+    }
+
+    /**
+     * Écrit les tables AutoCAD 2000
+     * @param {Object} handles - Handles réservés
+     */
+    writeTables2000(handles) {
+        const layers = [{ name: '0', color: 7 }, ...Object.values(DXFExporter.LAYERS)];
+
+        this.pair(0, 'SECTION');
+        this.pair(2, 'TABLES');
+
+        this.beginTable2000('VPORT', handles.vportTable, 0);
+        this.pair(0, 'ENDTAB');
+
+        this.beginTable2000('LTYPE', handles.ltypeTable, 3);
+        for (const name of ['ByBlock', 'ByLayer', 'Continuous']) {
+            this.beginRecord2000('LTYPE', handles.ltypeTable, 'AcDbLinetypeTableRecord');
+            this.pair(2, name);
+            this.pair(70, 0);
+            this.pair(3, name === 'Continuous' ? 'Solid line' : '');
+            this.pair(72, 65);
+            this.pair(73, 0);
+            this.pair(40, 0);
+        }
+        this.pair(0, 'ENDTAB');
+
+        this.beginTable2000('LAYER', handles.layerTable, layers.length);
+        for (const layer of layers) {
+            this.beginRecord2000('LAYER', handles.layerTable, 'AcDbLayerTableRecord');
+            this.pair(2, layer.name);
+            this.pair(70, 0);
+            this.pair(62, layer.color);
+            this.pair(6, 'Continuous');
+        }
+        this.pair(0, 'ENDTAB');
+
+        this.beginTable2000('STYLE', handles.styleTable, 1);
+        this.beginRecord2000('STYLE', handles.styleTable, 'AcDbTextStyleTableRecord');
+        this.pair(2, 'Standard');
+        this.pair(70, 0);
+        this.pair(40, 0);
+        this.pair(41, 1);
+        this.pair(50, 0);
+        this.pair(71, 0);
+        this.pair(42, 2.5);
+        this.pair(3, 'txt');
+        this.pair(4, '');
+        this.pair(0, 'ENDTAB');
+
+        this.beginTable2000('VIEW', handles.viewTable, 0);
+        this.pair(0, 'ENDTAB');
+        this.beginTable2000('UCS', handles.ucsTable, 0);
+        this.pair(0, 'ENDTAB');
+
+        this.beginTable2000('APPID', handles.appidTable, 1);
+        this.beginRecord2000('APPID', handles.appidTable, 'AcDbRegAppTableRecord');
+        this.pair(2, 'ACAD');
+        this.pair(70, 0);
+        this.pair(0, 'ENDTAB');
+
+        this.beginTable2000('DIMSTYLE', handles.dimstyleTable, 0);
+        this.pair(0, 'ENDTAB');
+
+        this.beginTable2000('BLOCK_RECORD', handles.blockRecordTable, 2);
+        for (const [name, handle] of [['*Model_Space', handles.modelSpace], ['*Paper_Space', handles.paperSpace]]) {
+            this.beginRecord2000('BLOCK_RECORD', handles.blockRecordTable, 'AcDbBlockTableRecord', handle);
+            this.pair(2, name);
+        }
+        this.pair(0, 'ENDTAB');
+
+        this.pair(0, 'ENDSEC');
+    }
+
+    /**
+     * Écrit les blocs de l'espace objet et de l'espace papier (AutoCAD 2000)
+     * @param {Object} handles - Handles réservés
+     */
+    writeBlocks2000(handles) {
+        const blocks = [
+            { name: '*Model_Space', owner: handles.modelSpace, begin: handles.modelBlock, end: handles.modelBlockEnd },
+            { name: '*Paper_Space', owner: handles.paperSpace, begin: handles.paperBlock, end: handles.paperBlockEnd }
+        ];
+
+        this.pair(0, 'SECTION');
+        this.pair(2, 'BLOCKS');
+        for (const block of blocks) {
+            this.pair(0, 'BLOCK');
+            this.pair(5, block.begin);
+            this.pair(330, block.owner);
+            this.pair(100, 'AcDbEntity');
+            this.pair(8, '0');
+            this.pair(100, 'AcDbBlockBegin');
+            this.pair(2, block.name);
+            this.pair(70, 0);
+            this.pair(10, 0);
+            this.pair(20, 0);
+            this.pair(30, 0);
+            this.pair(3, block.name);
+            this.pair(1, '');
+
+            this.pair(0, 'ENDBLK');
+            this.pair(5, block.end);
+            this.pair(330, block.owner);
+            this.pair(100, 'AcDbEntity');
+            this.pair(8, '0');
+            this.pair(100, 'AcDbBlockEnd');
+        }
+        this.pair(0, 'ENDSEC');
+    }
+
+    /**
+     * Écrit le dictionnaire racine exigé par AutoCAD 2000
+     * @param {Object} handles - Handles réservés
+     */
+    writeObjects2000(handles) {
+        this.pair(0, 'SECTION');
+        this.pair(2, 'OBJECTS');
+
+        this.pair(0, 'DICTIONARY');
+        this.pair(5, handles.dictionary);
+        this.pair(330, '0');
+        this.pair(100, 'AcDbDictionary');
+        this.pair(281, 1);
+        this.pair(3, 'ACAD_GROUP');
+        this.pair(350, handles.groupDictionary);
+
+        this.pair(0, 'DICTIONARY');
+        this.pair(5, handles.groupDictionary);
+        this.pair(330, handles.dictionary);
+        this.pair(100, 'AcDbDictionary');
+        this.pair(281, 1);
+
+        this.pair(0, 'ENDSEC');
+    }
+
+    /**
+     * Écrit les polylignes fermées
+     * @param {Array} polylines - Polylignes {layer, points}
+     * @param {string} owner - Handle de l'espace objet (AutoCAD 2000)
+     */
+    writeEntities(polylines, owner) {
+        this.pair(0, 'SECTION');
+        this.pair(2, 'ENTITIES');
+
+        for (const polyline of polylines) {
+            if (this.version === 'R12') {
+                this.writePolylineR12(polyline);
+            } else {
+                this.writeLWPolyline(polyline, owner);
+            }
+        }
+
+        this.pair(0, 'ENDSEC');
+    }
+
+    /**
+     * Écrit une polyligne fermée R12 (POLYLINE, VERTEX..., SEQEND)
+     * @param {Object} polyline - Polyligne {layer, points}
+     */
+    writePolylineR12(polyline) {
+        const layer = polyline.layer.name;
+
+        this.pair(0, 'POLYLINE');
+        this.pair(8, layer);
+        this.pair(66, 1); // Des sommets suivent
+        this.pair(10, 0);
+        this.pair(20, 0);
+        this.pair(30, 0);
+        this.pair(70, 1); // Fermée
+
+        for (const point of polyline.points) {
+            this.pair(0, 'VERTEX');
+            this.pair(8, layer);
+            this.pair(10, point.x);
+            this.pair(20, point.y);
+            this.pair(30, 0);
+        }
+
+        this.pair(0, 'SEQEND');
+        this.pair(8, layer);
+    }
+
+    /**
+     * Écrit une polyligne légère fermée (AutoCAD 2000)
+     * @param {Object} polyline - Polyligne {layer, points}
+     * @param {string} owner - Handle de l'espace objet
+     */
+    writeLWPolyline(polyline, owner) {
+        this.pair(0, 'LWPOLYLINE');
+        this.pair(5, this.handle());
+        this.pair(330, owner);
+        this.pair(100, 'AcDbEntity');
+        this.pair(8, polyline.layer.name);
+        this.pair(100, 'AcDbPolyline');
+        this.pair(90, polyline.points.length);
+        this.pair(70, 1); // Fermée
+        this.pair(43, 0); // Largeur constante
+
+        for (const point of polyline.points) {
+            this.pair(10, point.x);
+            this.pair(20, point.y);
+        }
+    }
+}
+
+// Exporter la classe
+window.DXFExporter = DXFExporter;
@@ -0,0 +1,653 @@
+/**
+ * DXFImporter - Lecture des contours d'un fichier DXF
+ * Les entités LINE, LWPOLYLINE, POLYLINE, ARC, CIRCLE, ELLIPSE et SPLINE sont converties en contours.
+ * Les morceaux ouverts (lignes isolées, arcs...) sont raccordés bout à bout en boucles fermées.
+ * Les zones imbriquées alternent matière et trou (règle pair-impair).
+ */
+class DXFImporter {
+    constructor() {
+        this.tolerance = 0.01; // Écart maximal entre une courbe et ses segments (unités du dessin), recalculé par parse
+        this.joinTolerance = 0.01; // Distance maximale entre deux extrémités raccordées, recalculée par parse
+    }
+
+    /**
+     * Millimètres par unité de dessin, selon la variable $INSUNITS de l'en-tête
+     * (0 = sans unité: le millimètre est supposé)
+     */
+    static get UNITS() {
+        return {
+            0: { name: 'mm', mm: 1 },
+            1: { name: 'in', mm: 25.4 },
+            2: { name: 'ft', mm: 304.8 },
+            3: { name: 'mi', mm: 1609344 },
+            4: { name: 'mm', mm: 1 },
+            5: { name: 'cm', mm: 10 },
+            6: { name: 'm', mm: 1000 },
+            7: { name: 'km', mm: 1000000 },
+            8: { name: 'µin', mm: 0.0000254 },
+            9: { name: 'mil', mm: 0.0254 },
+            10: { name: 'yd', mm: 914.4 },
+            13: { name: 'µm', mm: 0.001 },
+            14: { name: 'dm', mm: 100 }
+        };
+    }
+
+    /**
+     * Lit un fichier DXF (format texte)
+     * @param {string} text - Contenu du fichier
+     * @returns {Object} - {contours, width, height, units, mmPerUnit, openChains}: contours en unités
+     * du dessin, origine en haut à gauche et axe Y vers le bas comme une image
+     * (contours extérieurs d'aire positive, trous d'aire négative)
+     */
+    parse(text) {
+        const pairs = this.readPairs(text);
+        if (pairs.length === 0) {
+            throw new Error("Le fichier DXF n'est pas valide");
+        }
+
+        const header = this.readHeader(pairs);
+        const entities = this.readEntities(pairs);
+
+        // Étendue du dessin pour adapter les tolérances à sa taille
+        const extent = this.getExtent(entities);
+        const size = Math.max(extent.maxX - extent.minX, extent.maxY - extent.minY, 1e-6);
+        this.tolerance = size / 2000;
+        this.joinTolerance = size / 10000;
+
+        const loops = [];
+        const pieces = [];
+        for (const entity of entities) {
+            for (const path of this.convertEntity(entity)) {
+                if (path.points.length < 2) continue;
+                if (path.closed) {
+                    loops.push(path.points);
+                } else {
+                    pieces.push(path.points);
+                }
+            }
+        }
+
+        const chained = this.chainPieces(pieces);
+        loops.push(...chained.loops);
+
+        // Repère de l'image: origine en haut à gauche, Y vers le bas
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const loop of loops) {
+            for (const point of loop) {
+                minX = Math.min(minX, point.x);
+                minY = Math.min(minY, point.y);
+                maxX = Math.max(maxX, point.x);
+                maxY = Math.max(maxY, point.y);
+            }
+        }
+        const flipped = loops
+            .filter(loop => loop.length >= 3)
+            .map(loop => loop.map(point => ({ x: point.x - minX, y: maxY - point.y })));
+
+        // Les boucles imbriquées forment des trous puis des îlots
+        let contours;
+        if (PolygonUtils.isAvailable()) {
+            contours = [];
+            for (const shape of PolygonUtils.fill(flipped, 'evenodd')) {
+                contours.push(shape.outer);
+                contours.push(...shape.holes);
+            }
+        } else {
+            contours = PolygonUtils.orientByNesting(flipped);
+        }
+
+        const units = DXFImporter.UNITS[header.insunits] || DXFImporter.UNITS[0];
+        return {
+            contours,
+            width: contours.length > 0 ? maxX - minX : 0,
+            height: contours.length > 0 ? maxY - minY : 0,
+            units: units.name,
+            mmPerUnit: units.mm,
+            openChains: chained.openCount
+        };
+    }
+
+    /**
+     * Découpe le fichier en paires (code de groupe, valeur)
+     * @param {string} text - Contenu du fichier
+     * @returns {Array} - Paires {code, value}
+     */
+    readPairs(text) {
+        const lines = text.split(/\r?\n/);
+        const pairs = [];
+
+        for (let i = 0; i + 1 < lines.length; i += 2) {
+            const code = parseInt(lines[i].trim(), 10);
+            if (Number.isNaN(code)) break;
+            pairs.push({ code, value: lines[i + 1].trim() });
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Lit les variables utiles de l'en-tête
+     * @param {Array} pairs - Paires du fichier
+     * @returns {Object} - {insunits}
+     */
+    readHeader(pairs) {
+        const header = { insunits: 0 };
+
+        for (let i = 0; i + 1 < pairs.length; i++) {
+            if (pairs[i].code === 9 && pairs[i].value === '$INSUNITS' && pairs[i + 1].code === 70) {
+                header.insunits = parseInt(pairs[i + 1].value, 10) || 0;
+            }
+            if (pairs[i].code === 0 && pairs[i].value === 'ENDSEC' && header.insunits) break;
+        }
+
+        return header;
+    }
+
+    /**
+     * Extrait les entités de la section ENTITIES
+     * Les sommets (VERTEX) d'une POLYLINE lui sont rattachés.
+     * @param {Array} pairs - Paires du fichier
+     * @returns {Array} - Entités {type, pairs, vertices}
+     */
+    readEntities(pairs) {
+        const entities = [];
+        let inEntities = false;
+        let current = null;
+        let polyline = null;
+
+        for (let i = 0; i < pairs.length; i++) {
+            const { code, value } = pairs[i];
+
+            if (code === 0 && value === 'SECTION' && pairs[i + 1] && pairs[i + 1].code === 2) {
+                inEntities = pairs[i + 1].value === 'ENTITIES';
+                i++;
+                continue;
+            }
+            if (!inEntities) continue;
+
+            if (code === 0) {
+                if (value === 'ENDSEC') {
+                    inEntities = false;
+                    current = null;
+                    continue;
+                }
+
+                current = { type: value, pairs: [] };
+                if (value === 'VERTEX' && polyline) {
+                    polyline.vertices.push(current);
+                } else if (value === 'SEQEND') {
+                    polyline = null;
+                } else {
+                    entities.push(current);
+                    if (value === 'POLYLINE') {
+                        current.vertices = [];
+                        polyline = current;
+                    }
+                }
+                continue;
+            }
+
+            if (current) {
+                current.pairs.push({ code, value });
+            }
+        }
+
+        return entities;
+    }
+
+    /**
+     * Valeur numérique d'un code de groupe
+     * @param {Object} entity - Entité
+     * @param {number} code - Code de groupe
+     * @param {number} defaultValue - Valeur si le code est absent
+     * @returns {number} - Première valeur trouvée
+     */
+    getNumber(entity, code, defaultValue = 0) {
+        const pair = entity.pairs.find(item => item.code === code);
+        const value = pair ? parseFloat(pair.value) : NaN;
+        return Number.isFinite(value) ? value : defaultValue;
+    }
+
+    /**
+     * Toutes les valeurs numériques d'un code de groupe, dans l'ordre
+     * @param {Object} entity - Entité
+     * @param {number} code - Code de groupe
+     * @returns {Array} - Valeurs
+     */
+    getNumbers(entity, code) {
+        return entity.pairs.filter(item => item.code === code).map(item => parseFloat(item.value));
+    }
+
+    /**
+     * Étendue approximative du dessin (points de définition des entités)
+     * @param {Array} entities - Entités
+     * @returns {Object} - {minX, minY, maxX, maxY}
+     */
+    getExtent(entities) {
+        const extent = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        const add = (x, y) => {
+            if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+            extent.minX = Math.min(extent.minX, x);
+            extent.minY = Math.min(extent.minY, y);
+            extent.maxX = Math.max(extent.maxX, x);
+            extent.maxY = Math.max(extent.maxY, y);
+        };
+
+        for (const entity of entities) {
+            const xs = this.getNumbers(entity, 10);
+            const ys = this.getNumbers(entity, 20);
+            const radius = this.getNumber(entity, 40, 0);
+            xs.forEach((x, i) => {
+                // Le rayon d'un cercle ou d'un arc étend la zone (ratio pour une ellipse: sans effet notable)
+                const r = entity.type === 'CIRCLE' || entity.type === 'ARC' ? radius : 0;
+                add(x - r, ys[i] - r);
+                add(x + r, ys[i] + r);
+            });
+            for (const vertex of entity.vertices || []) {
+                add(this.getNumber(vertex, 10), this.getNumber(vertex, 20));
+            }
+        }
+
+        if (!Number.isFinite(extent.minX)) {
+            return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+        }
+        return extent;
+    }
+
+    /**
+     * Convertit une entité en chemins
+     * @param {Object} entity - Entité
+     * @returns {Array} - Chemins {points, closed}
+     */
+    convertEntity(entity) {
+        // Les entités planes (cercle, arc, polylignes) sont exprimées dans leur repère propre:
+        // une direction d'extrusion vers -Z retourne le dessin (miroir en X)
+        const mirrored = this.getNumber(entity, 230, 1) < 0;
+        const toWorld = (points) => mirrored ? points.map(point => ({ x: -point.x, y: point.y })) : points;
+
+        switch (entity.type) {
+            case 'LINE':
+                return [{
+                    points: [
+                        { x: this.getNumber(entity, 10), y: this.getNumber(entity, 20) },
+                        { x: this.getNumber(entity, 11), y: this.getNumber(entity, 21) }
+                    ],
+                    closed: false
+                }];
+
+            case 'LWPOLYLINE':
+                return [{
+                    points: toWorld(this.flattenVertices(this.readLWPolylineVertices(entity),
+                        (this.getNumber(entity, 70) & 1) === 1)),
+                    closed: (this.getNumber(entity, 70) & 1) === 1
+                }];
+
+            case 'POLYLINE': {
+                // Les maillages 3D (polygon mesh, polyface) ne sont pas des contours
+                const flags = this.getNumber(entity, 70);
+                if (flags & (16 | 64)) return [];
+
+                const vertices = entity.vertices.map(vertex => ({
+                    x: this.getNumber(vertex, 10),
+                    y: this.getNumber(vertex, 20),
+                    bulge: this.getNumber(vertex, 42)
+                }));
+                return [{
+                    points: toWorld(this.flattenVertices(vertices, (flags & 1) === 1)),
+                    closed: (flags & 1) === 1
+                }];
+            }
+
+            case 'CIRCLE': {
+                const radius = this.getNumber(entity, 40);
+                if (!(radius > 0)) return [];
+                return [{
+                    points: toWorld(this.getArcPoints(this.getNumber(entity, 10), this.getNumber(entity, 20),
+                        radius, 0, Math.PI * 2, false)),
+                    closed: true
+                }];
+            }
+
+            case 'ARC': {
+                const radius = this.getNumber(entity, 40);
+                if (!(radius > 0)) return [];
+                const start = this.getNumber(entity, 50) * Math.PI / 180;
+                let end = this.getNumber(entity, 51) * Math.PI / 180;
+                // Les arcs DXF tournent toujours dans le sens trigonométrique
+                while (end <= start) end += Math.PI * 2;
+                return [{
+                    points: toWorld(this.getArcPoints(this.getNumber(entity, 10), this.getNumber(entity, 20),
+                        radius, start, end - start, true)),
+                    closed: false
+                }];
+            }
+
+            case 'ELLIPSE':
+                return [this.convertEllipse(entity)];
+
+            case 'SPLINE':
+                return [this.convertSpline(entity)];
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Lit les sommets d'une LWPOLYLINE (avec le renflement de chaque segment)
+     * @param {Object} entity - Entité LWPOLYLINE
+     * @returns {Array} - Sommets {x, y, bulge}
+     */
+    readLWPolylineVertices(entity) {
+        const vertices = [];
+        let vertex = null;
+
+        for (const { code, value } of entity.pairs) {
+            if (code === 10) {
+                vertex = { x: parseFloat(value), y: 0, bulge: 0 };
+                vertices.push(vertex);
+            } else if (vertex && code === 20) {
+                vertex.y = parseFloat(value);
+            } else if (vertex && code === 42) {
+                vertex.bulge = parseFloat(value) || 0;
+            }
+        }
+
+        return vertices;
+    }
+
+    /**
+     * Convertit des sommets de polyligne en points, les segments renflés devenant des arcs
+     * @param {Array} vertices - Sommets {x, y, bulge}
+     * @param {boolean} closed - true si la polyligne est fermée
+     * @returns {Array} - Points (le dernier sommet n'est pas répété pour une polyligne fermée)
+     */
+    flattenVertices(vertices, closed) {
+        const points = [];
+        const count = vertices.length;
+
+        for (let i = 0; i < count; i++) {
+            const vertex = vertices[i];
+            points.push({ x: vertex.x, y: vertex.y });
+
+            const next = i + 1 < count ? vertices[i + 1] : (closed ? vertices[0] : null);
+            if (next && vertex.bulge) {
+                this.appendBulge(points, vertex, next, vertex.bulge);
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * Ajoute les points intermédiaires d'un segment renflé (arc défini par son « bulge »)
+     * Le renflement vaut tan(angle / 4), positif pour un arc dans le sens trigonométrique.
+     * @param {Array} points - Points à compléter (les extrémités ne sont pas ajoutées)
+     * @param {Object} start - Début du segment {x, y}
+     * @param {Object} end - Fin du segment {x, y}
+     * @param {number} bulge - Renflement
+     */
+    appendBulge(points, start, end, bulge) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const chord = Math.hypot(dx, dy);
+        if (chord === 0) return;
+
+        const angle = 4 * Math.atan(bulge);
+        const radius = chord / (2 * Math.abs(Math.sin(angle / 2)));
+
+        // Le centre est sur la médiatrice de la corde
+        const offset = (chord / 2) / Math.tan(angle / 2);
+        const cx = (start.x + end.x) / 2 - dy / chord * offset;
+        const cy = (start.y + end.y) / 2 + dx / chord * offset;
+        const startAngle = Math.atan2(start.y - cy, start.x - cx);
+
+        const arc = this.getArcPoints(cx, cy, radius, startAngle, angle, true);
+        points.push(...arc.slice(1, -1));
+    }
+
+    /**
+     * Points d'un arc de cercle, assez nombreux pour respecter la tolérance
+     * @param {number} cx - Centre X
+     * @param {number} cy - Centre Y
+     * @param {number} radius - Rayon
+     * @param {number} startAngle - Angle de départ en radians
+     * @param {number} sweepAngle - Ouverture en radians (négative dans le sens horaire)
+     * @param {boolean} includeEnd - true pour inclure le point d'arrivée
+     * @returns {Array} - Points de l'arc
+     */
+    getArcPoints(cx, cy, radius, startAngle, sweepAngle, includeEnd) {
+        const maxStep = radius > this.tolerance ? 2 * Math.acos(1 - this.tolerance / radius) : Math.PI / 2;
+        const segments = Math.min(1000, Math.max(4, Math.ceil(Math.abs(sweepAngle) / maxStep)));
+
+        const points = [];
+        const last = includeEnd ? segments : segments - 1;
+        for (let i = 0; i <= last; i++) {
+            const angle = startAngle + sweepAngle * i / segments;
+            points.push({ x: cx + radius * Math.cos(angle), y: cy + radius * Math.sin(angle) });
+        }
+
+        return points;
+    }
+
+    /**
+     * Convertit une ellipse (ou un arc d'ellipse)
+     * @param {Object} entity - Entité ELLIPSE
+     * @returns {Object} - Chemin {points, closed}
+     */
+    convertEllipse(entity) {
+        const cx = this.getNumber(entity, 10);
+        const cy = this.getNumber(entity, 20);
+        const majorX = this.getNumber(entity, 11);
+        const majorY = this.getNumber(entity, 21);
+        const ratio = this.getNumber(entity, 40, 1);
+        const start = this.getNumber(entity, 41, 0);
+        let end = this.getNumber(entity, 42, Math.PI * 2);
+        while (end <= start) end += Math.PI * 2;
+
+        // Direction d'extrusion vers -Z: le paramètre tourne dans l'autre sens
+        const sign = this.getNumber(entity, 230, 1) < 0 ? -1 : 1;
+        const minorX = -majorY * ratio * sign;
+        const minorY = majorX * ratio * sign;
+
+        const sweep = end - start;
+        const closed = Math.abs(sweep - Math.PI * 2) < 1e-6;
+        const radius = Math.hypot(majorX, majorY);
+        const maxStep = radius > this.tolerance ? 2 * Math.acos(1 - this.tolerance / radius) : Math.PI / 2;
+        const segments = Math.min(1000, Math.max(8, Math.ceil(sweep / maxStep)));
+
+        const points = [];
+        const last = closed ? segments - 1 : segments;
+        for (let i = 0; i <= last; i++) {
+            const t = start + sweep * i / segments;
+            points.push({
+                x: cx + majorX * Math.cos(t) + minorX * Math.sin(t),
+                y: cy + majorY * Math.cos(t) + minorY * Math.sin(t)
+            });
+        }
+
+        return { points, closed };
+    }
+
+    /**
+     * Convertit une spline (B-spline rationnelle non uniforme) en polyligne
+     * À défaut de nœuds valides, les points de lissage ou les points de contrôle sont reliés.
+     * @param {Object} entity - Entité SPLINE
+     * @returns {Object} - Chemin {points, closed}
+     */
+    convertSpline(entity) {
+        const flags = this.getNumber(entity, 70);
+        const degree = this.getNumber(entity, 71, 3);
+        const knots = this.getNumbers(entity, 40);
+        const weights = this.getNumbers(entity, 41);
+        const controlX = this.getNumbers(entity, 10);
+        const controlY = this.getNumbers(entity, 20);
+        const fitX = this.getNumbers(entity, 11);
+        const fitY = this.getNumbers(entity, 21);
+
+        const controls = controlX.map((x, i) => ({ x, y: controlY[i], w: weights[i] > 0 ? weights[i] : 1 }));
+        let points;
+
+        const validKnots = degree >= 1 && controls.length > degree &&
+            knots.length === controls.length + degree + 1 && knots[controls.length] > knots[degree];
+
+        if (validKnots) {
+            points = [];
+            const last = knots[controls.length];
+
+            // Échantillonner chaque intervalle de nœuds non vide
+            const samples = 16;
+            for (let span = degree; span < controls.length; span++) {
+                const from = knots[span];
+                const to = knots[span + 1];
+                if (to <= from) continue;
+
+                for (let i = 0; i < samples; i++) {
+                    points.push(this.evaluateSpline(degree, knots, controls, span, from + (to - from) * i / samples));
+                }
+            }
+            points.push(this.evaluateSpline(degree, knots, controls,
+                this.findSpan(degree, knots, controls.length, last), last));
+        } else if (fitX.length >= 2) {
+            points = fitX.map((x, i) => ({ x, y: fitY[i] }));
+        } else {
+            points = controls.map(point => ({ x: point.x, y: point.y }));
+        }
+
+        // Fermée par drapeau (1 = fermée, 2 = périodique) ou parce que les extrémités se rejoignent
+        let closed = (flags & 3) !== 0;
+        if (points.length > 2 && this.distance(points[0], points[points.length - 1]) <= this.joinTolerance) {
+            points.pop();
+            closed = true;
+        }
+
+        return { points, closed };
+    }
+
+    /**
+     * Trouve l'intervalle de nœuds contenant un paramètre
+     * @param {number} degree - Degré de la spline
+     * @param {Array} knots - Vecteur de nœuds
+     * @param {number} count - Nombre de points de contrôle
+     * @param {number} t - Paramètre
+     * @returns {number} - Indice de l'intervalle
+     */
+    findSpan(degree, knots, count, t) {
+        for (let span = count - 1; span >= degree; span--) {
+            if (knots[span] <= t && knots[span + 1] > knots[span]) return span;
+        }
+        return degree;
+    }
+
+    /**
+     * Évalue une spline rationnelle par l'algorithme de De Boor
+     * @param {number} degree - Degré de la spline
+     * @param {Array} knots - Vecteur de nœuds
+     * @param {Array} controls - Points de contrôle {x, y, w}
+     * @param {number} span - Intervalle de nœuds contenant t
+     * @param {number} t - Paramètre
+     * @returns {Object} - Point {x, y}
+     */
+    evaluateSpline(degree, knots, controls, span, t) {
+        // Coordonnées homogènes (x·w, y·w, w)
+        const d = [];
+        for (let j = 0; j <= degree; j++) {
+            const point = controls[span - degree + j];
+            d.push([point.x * point.w, point.y * point.w, point.w]);
+        }
+
+        for (let r = 1; r <= degree; r++) {
+            for (let j = degree; j >= r; j--) {
+                const i = span - degree + j;
+                const denominator = knots[i + degree + 1 - r] - knots[i];
+                const alpha = denominator === 0 ? 0 : (t - knots[i]) / denominator;
+                for (let k = 0; k < 3; k++) {
+                    d[j][k] = (1 - alpha) * d[j - 1][k] + alpha * d[j][k];
+                }
+            }
+        }
+
+        const [x, y, w] = d[degree];
+        return { x: x / w, y: y / w };
+    }
+
+    /**
+     * Raccorde les morceaux ouverts dont les extrémités se touchent (à la tolérance près)
+     * @param {Array} pieces - Morceaux ouverts (tableaux de points)
+     * @returns {Object} - {loops: boucles fermées, openCount: nombre de chaînes restées ouvertes}
+     */
+    chainPieces(pieces) {
+        const tolerance = this.joinTolerance;
+        const used = new Array(pieces.length).fill(false);
+
+        // Grille des extrémités pour trouver rapidement les voisines
+        const grid = new Map();
+        const cellKey = (x, y) => `${Math.floor(x / tolerance)},${Math.floor(y / tolerance)}`;
+        pieces.forEach((piece, index) => {
+            for (const atStart of [true, false]) {
+                const point = atStart ? piece[0] : piece[piece.length - 1];
+                const key = cellKey(point.x, point.y);
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push({ index, atStart });
+            }
+        });
+
+        const findNeighbor = (point) => {
+            const cellX = Math.floor(point.x / tolerance);
+            const cellY = Math.floor(point.y / tolerance);
+            for (let gx = cellX - 1; gx <= cellX + 1; gx++) {
+                for (let gy = cellY - 1; gy <= cellY + 1; gy++) {
+                    for (const entry of grid.get(`${gx},${gy}`) || []) {
+                        if (used[entry.index]) continue;
+                        const piece = pieces[entry.index];
+                        const end = entry.atStart ? piece[0] : piece[piece.length - 1];
+                        if (this.distance(point, end) <= tolerance) return entry;
+                    }
+                }
+            }
+            return null;
+        };
+
+        const loops = [];
+        let openCount = 0;
+
+        for (let i = 0; i < pieces.length; i++) {
+            if (used[i]) continue;
+            used[i] = true;
+            const chain = pieces[i].slice();
+
+            // Prolonger la chaîne par son extrémité jusqu'à revenir au départ
+            while (this.distance(chain[0], chain[chain.length - 1]) > tolerance || chain.length < 3) {
+                const neighbor = findNeighbor(chain[chain.length - 1]);
+                if (!neighbor) break;
+
+                used[neighbor.index] = true;
+                const piece = pieces[neighbor.index];
+                const oriented = neighbor.atStart ? piece : piece.slice().reverse();
+                chain.push(...oriented.slice(1));
+            }
+
+            if (chain.length > 3 && this.distance(chain[0], chain[chain.length - 1]) <= tolerance) {
+                chain.pop();
+                loops.push(chain);
+            } else {
+                openCount++;
+            }
+        }
+
+        return { loops, openCount };
+    }
+
+    /**
+     * Distance entre deux points
+     * @param {Object} a - Point {x, y}
+     * @param {Object} b - Point {x, y}
+     * @returns {number} - Distance
+     */
+    distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+}
+
+// Exporter la classe
+window.DXFImporter = DXFImporter;
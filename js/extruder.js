@@ -8,8 +8,67 @@ class Extruder {
         this.renderer = null;
         this.controls = null;
         this.meshes = [];
+        this.modelGroup = null;
         this.modelSize = 100; // Taille par défaut du modèle en mm
+        this.sizing = { mode: 'fit', value: this.modelSize }; // Conversion pixels -> mm
         this.animationId = null;
+        this.warnings = []; // Réglages ajustés lors de la création du modèle, à signaler à l'utilisateur
+    }
+    
+    /**
+     * Définit la conversion des unités de l'image (pixels) en millimètres
+     * @param {string} mode - 'fit' (plus grand côté), 'width', 'height', 'dpi' ou 'mmPerPixel'
+     * @param {number} value - Taille cible en mm, résolution en DPI ou nombre de mm par pixel
+     */
+    setSizing(mode, value) {
+        if (!(value > 0)) {
+            console.warn("Valeur de dimensionnement invalide:", value);
+            return;
+        }
+        
+        this.sizing = { mode, value };
+    }
+    
+    /**
+     * Calcule l'échelle (mm par pixel) à appliquer pour des dimensions d'origine
+     * @param {number} width - Largeur d'origine en pixels
+     * @param {number} height - Hauteur d'origine en pixels
+     * @returns {number} - Nombre de millimètres par pixel
+     */
+    getScale(width, height) {
+        const { mode, value } = this.sizing;
+        
+        switch (mode) {
+            case 'width':
+                return value / width;
+            case 'height':
+                return value / height;
+            case 'dpi':
+                // 1 pouce = 25,4 mm
+                return 25.4 / value;
+            case 'mmPerPixel':
+                return value;
+            default:
+                return value / Math.max(width, height);
+        }
+    }
+    
+    /**
+     * Calcule les dimensions du modèle actuellement affiché
+     * @returns {Object|null} - Dimensions {x, y, z} en mm, ou null si aucun modèle
+     */
+    getModelDimensions() {
+        if (this.meshes.length === 0) return null;
+        
+        const box = new THREE.Box3();
+        for (const mesh of this.meshes) {
+            box.expandByObject(mesh);
+        }
+        
+        const size = new THREE.Vector3();
+        box.getSize(size);
+        
+        return { x: size.x, y: size.y, z: size.z };
     }
     
     /**
@@ -75,7 +134,7 @@ class Extruder {
     cleanup() {
         // Supprimer tous les maillages existants
         for (const mesh of this.meshes) {
-            this.scene.remove(mesh);
+            if (mesh.parent) mesh.parent.remove(mesh);
             if (mesh.geometry) mesh.geometry.dispose();
             if (mesh.material) {
                 if (Array.isArray(mesh.material)) {
@@ -86,17 +145,31 @@ class Extruder {
             }
         }
         
+        // Retirer le groupe du modèle précédent
+        if (this.modelGroup) {
+            this.scene.remove(this.modelGroup);
+            this.modelGroup = null;
+        }
+        
         // Réinitialiser le tableau de maillages
         this.meshes = [];
+        this.warnings = [];
     }
     
     /**
      * Crée un modèle 3D à partir des contours vectorisés
      * @param {Object} contourData - Données des contours (retour de Vectorizer.vectorize)
      * @param {number} height - Hauteur d'extrusion en mm
+     * @param {Object} options - Options du modèle
+     * @param {string} options.mode - 'solid' (extrusion pleine), 'cutter' (emporte-pièce) ou 'stamp' (tampon)
+     * @param {Object} options.base - Plaque de base {type, thickness, margin, cornerRadius}
+     * @param {Object} options.cutter - Emporte-pièce {wallThickness, flangeWidth, flangeHeight, edgeThickness, edgeHeight}
+     * @param {Object} options.stamp - Tampon {blockThickness, margin, handle, handleHeight, handleDiameter}
+     * @param {Object} options.edges - Arêtes {top, bottom}, chacune {type: 'none' | 'chamfer' | 'round', size, segments}
+     * @param {Object} options.taper - Dépouille {type: 'none' | 'draft' | 'pyramid', angle, twist} (angles en degrés)
      * @returns {Object} - Mesh THREE.js du modèle
      */
-    createModel(contourData, height = 10) {
+    createModel(contourData, height = 10, options = {}) {
         if (!contourData || !contourData.contours || contourData.contours.length === 0) {
             console.error("Aucun contour disponible pour la création du modèle");
             return null;
@@ -107,61 +180,377 @@ class Extruder {
         // Créer un groupe pour contenir tous les maillages
         const group = new THREE.Group();
         this.scene.add(group);
+        this.modelGroup = group;
         
         // Récupérer les dimensions d'origine
         const originalWidth = contourData.width;
         const originalHeight = contourData.height;
         
         // Définir l'échelle pour la conversion des unités (mm)
-        const scale = this.modelSize / Math.max(originalWidth, originalHeight);
-        
-        // Analyser les contours pour distinguer extérieurs et trous
-        const analyzeContour = (contour) => {
-            // Calculer le sens d'orientation (horaire/anti-horaire) du contour
-            let area = 0;
-            for (let i = 0; i < contour.length; i++) {
-                const j = (i + 1) % contour.length;
-                area += contour[i].x * contour[j].y;
-                area -= contour[j].x * contour[i].y;
+        const scale = this.getScale(originalWidth, originalHeight);
+        
+        // Regrouper les contours en formes extérieures avec leurs trous
+        const validShapes = this.groupContours(contourData.contours);
+        
+        // Convertir un point de l'image en coordonnées du modèle
+        // (mm, origine au centre, axe Y vers le haut), en miroir pour un tampon
+        const mirror = options.mode === 'stamp' ? -1 : 1;
+        const toModel = (point) => ({
+            x: mirror * (point.x - originalWidth / 2) * scale,
+            y: (originalHeight / 2 - point.y) * scale
+        });
+        
+        if (options.mode === 'cutter') {
+            // Mode emporte-pièce: des parois fines suivent les contours extérieurs
+            try {
+                const cutterMeshes = this.createCookieCutter(
+                    validShapes.map(shape => shape.external.map(toModel)),
+                    height,
+                    options.cutter || {}
+                );
+                
+                cutterMeshes.forEach(mesh => {
+                    group.add(mesh);
+                    this.meshes.push(mesh);
+                });
+                
+                // Stocker les contours originaux pour l'export DXF
+                if (cutterMeshes.length > 0) {
+                    cutterMeshes[0].userData.contours = validShapes.map(shape => shape.external);
+                    cutterMeshes[0].userData.imageHeight = originalHeight;
+                    cutterMeshes[0].userData.scale = scale;
+                }
+            } catch (error) {
+                console.error("Erreur lors de la création de l'emporte-pièce:", error);
             }
-            return { 
-                isHole: area < 0,
-                area: Math.abs(area / 2),
-                points: contour
+        } else {
+            // Plaque de base optionnelle: les formes sont posées dessus.
+            // Un tampon a toujours un bloc de support sous son relief
+            const stamp = options.stamp || {};
+            const base = options.mode === 'stamp' ? {
+                type: 'rounded',
+                thickness: stamp.blockThickness,
+                margin: stamp.margin,
+                // Coins arrondis de 2 mm au plus, sans entamer le relief quand la marge est faible
+                cornerRadius: Math.min(2, 2 * Math.max(0, stamp.margin || 0))
+            } : (options.base || {});
+            const baseThickness = base.type && base.type !== 'none' ? Math.max(0.1, base.thickness || 2) : 0;
+            
+            // Chanfreins et arrondis des arêtes, dépouille et torsion. Posée sur une plaque
+            // de base, l'arête du bas se confond avec la plaque: seule celle du haut est travaillée
+            const edges = options.edges || {};
+            const taper = options.taper || {};
+            const profileEdges = {
+                top: taper.type === 'pyramid' ? null : edges.top,
+                bottom: baseThickness > 0 ? null : edges.bottom
             };
-        };
+            let levels = ProfileExtrusion.getProfile(height, profileEdges, taper);
+            
+            const shapes = validShapes.map(shape => ({
+                outer: shape.external.map(toModel),
+                holes: shape.holes.map(holePoints => holePoints.map(toModel))
+            }));
+            
+            // Les retraits sont réduits là où les contours se croiseraient (parties étroites)
+            let fit = 1;
+            if (levels) {
+                fit = ProfileExtrusion.getFit(shapes, levels);
+                if (fit < 1) {
+                    levels = levels.map(level => Object.assign({}, level, { inset: level.inset * fit }));
+                    
+                    const worked = [profileEdges.top, profileEdges.bottom]
+                        .some(edge => edge && edge.type && edge.type !== 'none' && edge.size > 0);
+                    if (worked) {
+                        this.warnings.push(`Chanfreins et arrondis réduits à ${Math.round(fit * 100)} % de leur taille : la forme est trop étroite par endroits`);
+                    }
+                }
+            }
+            
+            // Torsion réduite si les formes se heurtent en tournant autour de leur centre
+            if (levels && taper.twist) {
+                const twistFit = ProfileExtrusion.getTwistFit(shapes, levels);
+                if (twistFit < 1) {
+                    levels = levels.map(level => Object.assign({}, level, { rotation: level.rotation * twistFit }));
+                    this.warnings.push(`Torsion ramenée à ${+(taper.twist * twistFit).toFixed(1)}° au lieu de ${taper.twist}° : les formes se heurteraient en tournant`);
+                }
+            }
+            
+            // Angle de dépouille réellement obtenu (limité à 60° par getProfile, puis par la forme)
+            if (taper.type === 'draft' && taper.angle) {
+                const limited = Math.max(-60, Math.min(60, taper.angle));
+                const angle = Math.atan(Math.tan(limited * Math.PI / 180) * fit) * 180 / Math.PI;
+                if (Math.abs(angle - taper.angle) > 0.05) {
+                    const reason = fit < 1 ? 'la forme est trop étroite par endroits' : 'angle maximal';
+                    this.warnings.push(`Angle de dépouille ramené à ${+angle.toFixed(1)}° au lieu de ${taper.angle}° : ${reason}`);
+                }
+            }
+            
+            // La plaque de base (ou le bloc et la poignée d'un tampon) et les formes
+            // posées dessus forment un seul solide
+            const builder = new SolidBuilder();
+            
+            if (baseThickness > 0) {
+                try {
+                    const baseShapes = this.getBaseShapes(shapes.map(shape => shape.outer), base);
+                    builder.addPrism(baseShapes, 0, baseThickness);
+                    
+                    // Poignée du tampon, au dos du bloc
+                    const handle = options.mode === 'stamp' ? this.getStampHandle(baseShapes, stamp) : null;
+                    if (handle) {
+                        builder.addPrism(handle.shapes, -handle.height, 0);
+                    }
+                } catch (error) {
+                    console.error("Erreur lors de la création de la plaque de base:", error);
+                }
+            }
+            
+            shapes.forEach(({ outer, holes }) => {
+                try {
+                    if (levels) {
+                        // Extrusion suivant le profil, à partir du dessus de la plaque
+                        builder.addLoft(ProfileExtrusion.createLoft(outer, holes, levels.map(level =>
+                            Object.assign({}, level, { z: baseThickness + level.z }))));
+                    } else {
+                        builder.addPrism([{ outer, holes }], baseThickness, baseThickness + height);
+                    }
+                } catch (error) {
+                    console.error("Erreur lors de la création du maillage:", error);
+                }
+            });
+            
+            try {
+                for (const geometry of builder.build()) {
+                    const mesh = this.createMesh(geometry);
+                    group.add(mesh);
+                    this.meshes.push(mesh);
+                }
+            } catch (error) {
+                console.error("Erreur lors de la création du maillage:", error);
+            }
+            
+            // Stocker les contours originaux pour l'export DXF
+            if (this.meshes.length > 0) {
+                this.meshes[0].userData.contours = validShapes.flatMap(shape => [shape.external, ...shape.holes]);
+                this.meshes[0].userData.imageHeight = originalHeight;
+                this.meshes[0].userData.scale = scale;
+            }
+        }
+        
+        // Repositionner la caméra pour voir tout le modèle
+        this.resetCamera();
+        
+        return this.meshes.length > 0 ? this.meshes[0] : null;
+    }
+    
+    /**
+     * Crée un modèle 3D à plusieurs niveaux (modèle "topographique"):
+     * chaque niveau de gris est extrudé sur sa propre tranche de hauteur
+     * @param {Object} levelData - Données des niveaux (retour de Vectorizer.vectorizeLevels)
+     * @param {number} height - Hauteur totale des niveaux en mm
+     * @param {Object} options - Options du modèle (voir createModel, seule la plaque de base s'applique)
+     * @returns {Object} - Mesh THREE.js du modèle
+     */
+    createLayeredModel(levelData, height = 10, options = {}) {
+        if (!levelData || !levelData.layers || levelData.layers.length === 0) {
+            console.error("Aucun niveau disponible pour la création du modèle");
+            return null;
+        }
+        
+        this.cleanup();
+        
+        // Créer un groupe pour contenir tous les maillages
+        const group = new THREE.Group();
+        this.scene.add(group);
+        this.modelGroup = group;
         
-        // Stocker les contours avec leur orientation
-        const analyzedContours = contourData.contours.map(contour => analyzeContour(contour));
+        const originalWidth = levelData.width;
+        const originalHeight = levelData.height;
+        const scale = this.getScale(originalWidth, originalHeight);
         
-        // Trier par aire décroissante pour traiter les plus grandes formes d'abord
-        analyzedContours.sort((a, b) => b.area - a.area);
+        // Convertir un point de l'image en coordonnées du modèle
+        const toModel = (point) => ({
+            x: (point.x - originalWidth / 2) * scale,
+            y: (originalHeight / 2 - point.y) * scale
+        });
         
-        // Séparer les contours extérieurs et les trous
-        const externalContours = analyzedContours.filter(c => !c.isHole);
-        const holes = analyzedContours.filter(c => c.isHole);
+        // Plaque de base optionnelle sous le premier niveau
+        const base = options.base || {};
+        const baseThickness = base.type && base.type !== 'none' ? Math.max(0.1, base.thickness || 2) : 0;
         
-        // Associer les trous à leurs contours parents
-        const shapesWithHoles = [];
+        const layerCount = levelData.layers.length;
+        const layerHeight = height / layerCount;
+        const levelShapes = this.getLevelShapes(levelData.layers);
+        let footprint = [];
         
-        for (const external of externalContours) {
-            // Créer un objet pour cette forme
-            const shape = {
-                external: external.points,
-                holes: []
-            };
+        // Les niveaux empilés (et la plaque de base) forment un seul solide: chaque marche
+        // est une tranche, sans face interne entre deux niveaux
+        const builder = new SolidBuilder();
+        
+        levelShapes.forEach((imageShapes, index) => {
+            if (imageShapes.length === 0) return;
             
-            // Trouver tous les trous à l'intérieur de ce contour
-            for (const hole of holes) {
-                // Vérifier si un point du trou est à l'intérieur du contour externe
-                if (this.isPointInContour(hole.points[0], external.points)) {
-                    shape.holes.push(hole.points);
-                }
+            const shapes = imageShapes.map(shape => ({
+                outer: shape.outer.map(toModel),
+                holes: shape.holes.map(holePoints => holePoints.map(toModel))
+            }));
+            
+            if (index === 0) {
+                footprint = shapes.map(shape => shape.outer);
             }
             
-            shapesWithHoles.push(shape);
+            const bottom = baseThickness + index * layerHeight;
+            builder.addPrism(shapes, bottom, bottom + layerHeight);
+        });
+        
+        // Plaque de base sous l'empreinte du premier niveau
+        if (baseThickness > 0 && footprint.length > 0) {
+            try {
+                builder.addPrism(this.getBaseShapes(footprint, base), 0, baseThickness);
+            } catch (error) {
+                console.error("Erreur lors de la création de la plaque de base:", error);
+            }
+        }
+        
+        try {
+            for (const geometry of builder.build()) {
+                const mesh = this.createMesh(geometry);
+                group.add(mesh);
+                this.meshes.push(mesh);
+            }
+        } catch (error) {
+            console.error("Erreur lors de la création des niveaux:", error);
+        }
+        
+        // Stocker les contours des niveaux pour l'export DXF
+        if (this.meshes.length > 0) {
+            this.meshes[0].userData.contours = levelShapes.flat().flatMap(shape => [shape.outer, ...shape.holes]);
+            this.meshes[0].userData.imageHeight = originalHeight;
+            this.meshes[0].userData.scale = scale;
+        }
+        
+        // Repositionner la caméra pour voir tout le modèle
+        this.resetCamera();
+        
+        return this.meshes.length > 0 ? this.meshes[0] : null;
+    }
+    
+    /**
+     * Crée un modèle 3D multicolore: chaque couleur forme un corps séparé
+     * (une pièce par matériau pour les imprimantes multi-matériaux)
+     * @param {Object} colorData - Données des couleurs (retour de Vectorizer.vectorizeColors)
+     * @param {number} height - Hauteur d'extrusion en mm
+     * @param {Object} options - Options du modèle (voir createModel, seule la plaque de base s'applique)
+     * @returns {Object} - Mesh THREE.js du modèle
+     */
+    createColorModel(colorData, height = 10, options = {}) {
+        if (!colorData || !colorData.colors || colorData.colors.length === 0) {
+            console.error("Aucune couleur disponible pour la création du modèle");
+            return null;
         }
         
+        this.cleanup();
+        
+        // Créer un groupe pour contenir tous les maillages
+        const group = new THREE.Group();
+        this.scene.add(group);
+        this.modelGroup = group;
+        
+        const originalWidth = colorData.width;
+        const originalHeight = colorData.height;
+        const scale = this.getScale(originalWidth, originalHeight);
+        
+        // Convertir un point de l'image en coordonnées du modèle
+        const toModel = (point) => ({
+            x: (point.x - originalWidth / 2) * scale,
+            y: (originalHeight / 2 - point.y) * scale
+        });
+        
+        // Plaque de base optionnelle sous l'ensemble des couleurs
+        const base = options.base || {};
+        const baseThickness = base.type && base.type !== 'none' ? Math.max(0.1, base.thickness || 2) : 0;
+        
+        const colorShapes = this.getColorShapes(colorData.colors);
+        const footprint = [];
+        
+        colorData.colors.forEach((layer, index) => {
+            try {
+                const imageShapes = colorShapes[index];
+                if (imageShapes.length === 0) return;
+                
+                const shapes = imageShapes.map(shape => ({
+                    outer: shape.outer.map(toModel),
+                    holes: shape.holes.map(holePoints => holePoints.map(toModel))
+                }));
+                footprint.push(...shapes.map(shape => shape.outer));
+                
+                const geometry = new THREE.ExtrudeGeometry(
+                    shapes.map(shape => this.createThreeShape(shape.outer, shape.holes)),
+                    { steps: 1, depth: height, bevelEnabled: false }
+                );
+                
+                const mesh = this.createMesh(geometry, new THREE.Color(layer.hex).getHex());
+                mesh.position.z = baseThickness;
+                mesh.name = `couleur_${index + 1}_${layer.hex.substring(1)}`;
+                
+                // Stocker les contours de la région attribuée à la couleur pour l'export DXF
+                mesh.userData.contours = imageShapes.flatMap(shape => [shape.outer, ...shape.holes]);
+                mesh.userData.imageHeight = originalHeight;
+                mesh.userData.scale = scale;
+                mesh.userData.color = layer.hex;
+                
+                group.add(mesh);
+                this.meshes.push(mesh);
+            } catch (error) {
+                console.error(`Erreur lors de la création de la couleur ${layer.hex}:`, error);
+            }
+        });
+        
+        // Créer la plaque de base sous l'ensemble des couleurs
+        if (baseThickness > 0 && footprint.length > 0) {
+            try {
+                const baseMesh = this.createBasePlate(footprint, base);
+                if (baseMesh) {
+                    baseMesh.name = 'base';
+                    group.add(baseMesh);
+                    this.meshes.push(baseMesh);
+                }
+            } catch (error) {
+                console.error("Erreur lors de la création de la plaque de base:", error);
+            }
+        }
+        
+        // Repositionner la caméra pour voir tout le modèle
+        this.resetCamera();
+        
+        return this.meshes.length > 0 ? this.meshes[0] : null;
+    }
+    
+    /**
+     * Regroupe les contours en formes: chaque contour extérieur avec ses trous
+     * Un trou n'est rattaché qu'au contour qui le contient directement (voir PolygonUtils.nestContours),
+     * un îlot dessiné dans un trou devient une nouvelle forme.
+     * Les formes qui se touchent ou se chevauchent sont ensuite fusionnées (union 2D): leurs
+     * contours ne se croisent plus. Le solide fermé de chaque région, avec les pièces posées
+     * dessus ou dessous (plaque de base, bloc, poignée), est construit par SolidBuilder.
+     * @param {Array} contours - Contours (les trous ont une orientation inverse)
+     * @returns {Array} - Formes {external, holes}, sans les formes trop petites
+     */
+    groupContours(contours) {
+        let shapes = PolygonUtils.nestContours(contours, 'orientation');
+        
+        if (PolygonUtils.isAvailable() && shapes.length > 0) {
+            try {
+                shapes = PolygonUtils.union(shapes);
+            } catch (error) {
+                console.warn("Fusion des formes impossible, formes conservées séparément:", error);
+            }
+        }
+        
+        const shapesWithHoles = shapes.map(shape => ({ external: shape.outer, holes: shape.holes }));
+        
+        // Les plus grandes formes d'abord
+        shapesWithHoles.sort((a, b) => this.calculateContourArea(b.external) - this.calculateContourArea(a.external));
+        
         // Retirer les contours qui n'ont pas une taille minimale
         const tinyShapeThreshold = 10; // pixels carrés
         const validShapes = shapesWithHoles.filter(shape => {
@@ -169,80 +558,430 @@ class Extruder {
             return area > tinyShapeThreshold;
         });
         
-        // Pour chaque forme, créer un maillage
-        validShapes.forEach(shape => {
+        return validShapes;
+    }
+    
+    /**
+     * Calcule les formes de chaque niveau d'un modèle multi-niveaux, en pixels de l'image
+     * Chaque niveau doit reposer entièrement sur le niveau inférieur pour que l'empilement
+     * forme un seul solide: il est limité à la forme de ce niveau.
+     * @param {Array} layers - Niveaux {contours}, du plus bas au plus haut
+     * @returns {Array} - Formes {outer, holes} de chaque niveau (liste vide pour un niveau absent)
+     */
+    getLevelShapes(layers) {
+        let previousShapes = null;
+        
+        return layers.map((layer, index) => {
             try {
-                // Créer une forme THREE.js avec les trous
-                const threeShape = new THREE.Shape();
-                
-                // Ajouter le contour extérieur
-                const firstPoint = shape.external[0];
-                threeShape.moveTo(
-                    (firstPoint.x - originalWidth / 2) * scale,
-                    (originalHeight / 2 - firstPoint.y) * scale
-                );
+                let shapes = this.groupContours(layer.contours).map(shape => ({
+                    outer: shape.external,
+                    holes: shape.holes
+                }));
                 
-                for (let i = 1; i < shape.external.length; i++) {
-                    const point = shape.external[i];
-                    threeShape.lineTo(
-                        (point.x - originalWidth / 2) * scale,
-                        (originalHeight / 2 - point.y) * scale
-                    );
+                if (previousShapes && PolygonUtils.isAvailable()) {
+                    shapes = PolygonUtils.intersection(shapes, previousShapes);
                 }
                 
-                // Ajouter les trous
-                shape.holes.forEach(holePoints => {
-                    const holePath = new THREE.Path();
-                    
-                    const firstHolePoint = holePoints[0];
-                    holePath.moveTo(
-                        (firstHolePoint.x - originalWidth / 2) * scale,
-                        (originalHeight / 2 - firstHolePoint.y) * scale
-                    );
-                    
-                    for (let i = 1; i < holePoints.length; i++) {
-                        const point = holePoints[i];
-                        holePath.lineTo(
-                            (point.x - originalWidth / 2) * scale,
-                            (originalHeight / 2 - point.y) * scale
-                        );
-                    }
-                    
-                    threeShape.holes.push(holePath);
-                });
-                
-                // Créer la géométrie d'extrusion
-                const extrudeSettings = {
-                    steps: 1,
-                    depth: height,
-                    bevelEnabled: false
-                };
+                previousShapes = shapes;
+                return shapes;
+            } catch (error) {
+                console.error(`Erreur lors de la création du niveau ${index + 1}:`, error);
+                return [];
+            }
+        });
+    }
+    
+    /**
+     * Calcule la région attribuée à chaque couleur d'un modèle multicolore, en pixels de l'image
+     * Les corps ne doivent pas se chevaucher: chaque couleur perd ce que les couleurs
+     * précédentes occupent déjà (les contours lissés débordent légèrement).
+     * @param {Array} colors - Couleurs {hex, contours}
+     * @returns {Array} - Formes {outer, holes} de chaque couleur
+     */
+    getColorShapes(colors) {
+        let occupied = [];
+        
+        return colors.map(layer => {
+            try {
+                let shapes = this.groupContours(layer.contours).map(shape => ({
+                    outer: shape.external,
+                    holes: shape.holes
+                }));
                 
-                const geometry = new THREE.ExtrudeGeometry(threeShape, extrudeSettings);
+                if (PolygonUtils.isAvailable()) {
+                    const claimed = shapes;
+                    if (occupied.length > 0) {
+                        shapes = PolygonUtils.difference(shapes, occupied);
+                    }
+                    occupied = occupied.concat(claimed);
+                }
                 
-                // Créer le matériau et le maillage
-                const material = new THREE.MeshPhongMaterial({ 
-                    color: 0x3f51b5,
-                    shininess: 40,
-                    flatShading: true
-                });
+                return shapes;
+            } catch (error) {
+                console.error(`Erreur lors de la création de la couleur ${layer.hex}:`, error);
+                return [];
+            }
+        });
+    }
+    
+    /**
+     * Crée une forme THREE.js à partir de contours en coordonnées du modèle
+     * @param {Array} outer - Points du contour extérieur {x, y}
+     * @param {Array} holes - Liste des trous (tableaux de points)
+     * @returns {THREE.Shape} - Forme THREE.js
+     */
+    createThreeShape(outer, holes = []) {
+        const threeShape = new THREE.Shape();
+        
+        // Ajouter le contour extérieur
+        threeShape.moveTo(outer[0].x, outer[0].y);
+        for (let i = 1; i < outer.length; i++) {
+            threeShape.lineTo(outer[i].x, outer[i].y);
+        }
+        
+        // Ajouter les trous
+        holes.forEach(holePoints => {
+            const holePath = new THREE.Path();
+            
+            holePath.moveTo(holePoints[0].x, holePoints[0].y);
+            for (let i = 1; i < holePoints.length; i++) {
+                holePath.lineTo(holePoints[i].x, holePoints[i].y);
+            }
+            
+            threeShape.holes.push(holePath);
+        });
+        
+        return threeShape;
+    }
+    
+    /**
+     * Crée un maillage avec le matériau de prévisualisation
+     * @param {THREE.BufferGeometry} geometry - Géométrie du maillage
+     * @param {number} color - Couleur de prévisualisation
+     * @returns {THREE.Mesh} - Maillage THREE.js
+     */
+    createMesh(geometry, color = 0x3f51b5) {
+        const material = new THREE.MeshPhongMaterial({ 
+            color: color,
+            shininess: 40,
+            flatShading: true
+        });
+        
+        return new THREE.Mesh(geometry, material);
+    }
+    
+    /**
+     * Crée la plaque de base placée sous les formes extrudées
+     * @param {Array} outlines - Contours extérieurs des formes, en coordonnées du modèle (mm)
+     * @param {Object} options - Options de la plaque (voir getBaseShapes)
+     * @param {number} options.thickness - Épaisseur en mm
+     * @returns {THREE.Mesh|null} - Maillage de la plaque
+     */
+    createBasePlate(outlines, options) {
+        const thickness = Math.max(0.1, options.thickness || 2);
+        const shapes = this.getBaseShapes(outlines, options);
+        if (shapes.length === 0) return null;
+        
+        const geometry = new THREE.ExtrudeGeometry(
+            shapes.map(shape => this.createThreeShape(shape.outer, shape.holes)),
+            { steps: 1, depth: thickness, bevelEnabled: false }
+        );
+        
+        const mesh = this.createMesh(geometry, 0x7986cb);
+        mesh.userData.isBase = true;
+        
+        return mesh;
+    }
+    
+    /**
+     * Calcule l'empreinte de la plaque de base
+     * @param {Array} outlines - Contours extérieurs des formes, en coordonnées du modèle (mm)
+     * @param {Object} options - Options de la plaque
+     * @param {string} options.type - 'rectangle', 'rounded', 'ellipse' ou 'outline'
+     * @param {number} options.margin - Marge autour des formes en mm
+     * @param {number} options.cornerRadius - Rayon des coins (rectangle arrondi) en mm, limité à deux fois la marge
+     * @returns {Array} - Formes {outer, holes} en mm (vide si aucune forme)
+     */
+    getBaseShapes(outlines, options) {
+        const margin = Math.max(0, options.margin || 0);
+        
+        // Boîte englobante de toutes les formes
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        for (const outline of outlines) {
+            for (const point of outline) {
+                minX = Math.min(minX, point.x);
+                minY = Math.min(minY, point.y);
+                maxX = Math.max(maxX, point.x);
+                maxY = Math.max(maxY, point.y);
+            }
+        }
+        
+        if (!isFinite(minX)) return [];
+        
+        minX -= margin;
+        minY -= margin;
+        maxX += margin;
+        maxY += margin;
+        
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+        const halfWidth = (maxX - minX) / 2;
+        const halfHeight = (maxY - minY) / 2;
+        
+        const threeShapes = [];
+        let curveSegments = 24;
+        
+        // L'arrondi ne doit pas entamer les formes: un coin de la boîte des formes est à
+        // margin·√2 de l'angle de la plaque, l'arc en passe à radius·(√2 - 1)
+        const requestedRadius = Math.max(0, options.cornerRadius || 0);
+        const radius = Math.min(requestedRadius, 2 * margin, halfWidth, halfHeight);
+        if (options.type === 'rounded' && radius < requestedRadius && 2 * margin < Math.min(halfWidth, halfHeight)) {
+            this.warnings.push(`Rayon des coins de la plaque ramené à ${+radius.toFixed(2)} mm pour ne pas entamer les formes (marge de ${+margin.toFixed(2)} mm)`);
+        }
+        
+        switch (options.type === 'rounded' && radius === 0 ? 'rectangle' : options.type) {
+            case 'rounded': {
+                // Un petit arc est découpé en moins de segments: chaque segment doit s'écarter
+                // de sa corde de plus que la grille de Clipper, sinon ses points s'alignent
+                curveSegments = Math.max(1, Math.min(24, Math.ceil(radius * 3)));
+                const shape = new THREE.Shape();
                 
-                const mesh = new THREE.Mesh(geometry, material);
+                shape.moveTo(minX + radius, minY);
+                shape.lineTo(maxX - radius, minY);
+                shape.absarc(maxX - radius, minY + radius, radius, -Math.PI / 2, 0, false);
+                shape.lineTo(maxX, maxY - radius);
+                shape.absarc(maxX - radius, maxY - radius, radius, 0, Math.PI / 2, false);
+                shape.lineTo(minX + radius, maxY);
+                shape.absarc(minX + radius, maxY - radius, radius, Math.PI / 2, Math.PI, false);
+                shape.lineTo(minX, minY + radius);
+                shape.absarc(minX + radius, minY + radius, radius, Math.PI, Math.PI * 1.5, false);
                 
-                // Stocker les contours originaux pour l'export DXF
-                mesh.userData.contours = [shape.external, ...shape.holes];
-                mesh.userData.imageHeight = originalHeight;
+                threeShapes.push(shape);
+                break;
+            }
+            case 'ellipse': {
+                // Ellipse de mêmes proportions passant par les coins de la boîte
+                const shape = new THREE.Shape();
+                shape.absellipse(
+                    centerX, centerY,
+                    halfWidth * Math.SQRT2, halfHeight * Math.SQRT2,
+                    0, Math.PI * 2, false, 0
+                );
                 
-                // Ajouter au groupe
-                group.add(mesh);
+                threeShapes.push(shape);
+                break;
+            }
+            case 'outline': {
+                // Contour épousant les formes, élargi de la marge
+                if (!PolygonUtils.isAvailable()) {
+                    throw new Error("Clipper n'est pas disponible pour calculer le contour");
+                }
                 
-                // Stocker pour l'exportation
-                this.meshes.push(mesh);
+                // Une fermeture (grossir puis amincir) relie les formes voisines
+                // pour obtenir une seule plaque sous les îlots séparés
+                const bridge = 0.15 * Math.hypot(maxX - minX, maxY - minY);
+                const grown = PolygonUtils.offset(PolygonUtils.fromContours(outlines), margin + bridge, 'round');
+                return PolygonUtils.offset(grown, -bridge, 'round');
+            }
+            default: {
+                const shape = new THREE.Shape();
+                shape.moveTo(minX, minY);
+                shape.lineTo(maxX, minY);
+                shape.lineTo(maxX, maxY);
+                shape.lineTo(minX, maxY);
                 
-            } catch (error) {
-                console.error("Erreur lors de la création du maillage:", error);
+                threeShapes.push(shape);
             }
+        }
+        
+        // Arcs et ellipses découpés comme par ExtrudeGeometry, sans points répétés
+        // (point de fermeture de l'ellipse, côté droit réduit à rien entre deux arcs)
+        return threeShapes.map(shape => {
+            const points = shape.extractPoints(curveSegments);
+            return {
+                outer: ProfileExtrusion.cleanContour(points.shape),
+                holes: points.holes.map(hole => ProfileExtrusion.cleanContour(hole))
+            };
         });
+    }
+    
+    /**
+     * Crée un emporte-pièce: une paroi fine autour de chaque contour extérieur,
+     * avec une collerette à la base et une arête de coupe optionnelle au sommet
+     * Les réglages hors limites sont ramenés à la valeur utilisable la plus proche
+     * et signalés dans this.warnings.
+     * @param {Array} outlines - Contours extérieurs en coordonnées du modèle (mm)
+     * @param {number} height - Hauteur totale de la paroi en mm
+     * @param {Object} options - Options de l'emporte-pièce
+     * @param {number} options.wallThickness - Épaisseur de la paroi en mm
+     * @param {number} options.flangeWidth - Largeur de la collerette en mm (0 = aucune)
+     * @param {number} options.flangeHeight - Hauteur de la collerette en mm
+     * @param {number} options.edgeThickness - Épaisseur de l'arête de coupe en mm (0 = aucune)
+     * @param {number} options.edgeHeight - Hauteur de l'arête de coupe en mm
+     * @returns {Array} - Maillages THREE.js (un par emporte-pièce d'un seul tenant)
+     */
+    createCookieCutter(outlines, height, options = {}) {
+        if (!PolygonUtils.isAvailable()) {
+            throw new Error("Clipper n'est pas disponible pour décaler les contours");
+        }
+        
+        // Plus petite épaisseur imprimable, et plus petit écart entre la paroi,
+        // la collerette et l'arête de coupe
+        const minimum = 0.2;
+        const format = (value) => `${+value.toFixed(2)} mm`;
+        
+        // Une épaisseur nulle ou illisible est ramenée au minimum comme les autres réglages
+        let wall = options.wallThickness === undefined ? 1.2 : options.wallThickness;
+        if (!(wall >= minimum)) {
+            this.warnings.push(`Épaisseur de paroi portée à ${format(minimum)} (minimum)`);
+            wall = minimum;
+        }
+        
+        // La collerette doit dépasser la paroi
+        let flangeWidth = Math.max(0, options.flangeWidth || 0);
+        let flangeHeight = Math.max(0, options.flangeHeight || 0);
+        if (flangeWidth > 0 && flangeWidth <= wall) {
+            flangeWidth = wall + minimum;
+            this.warnings.push(`Largeur de collerette portée à ${format(flangeWidth)} pour dépasser la paroi`);
+        }
+        if (flangeWidth > 0 && flangeHeight > height) {
+            flangeHeight = height;
+            this.warnings.push(`Hauteur de collerette ramenée à la hauteur de l'emporte-pièce (${format(height)})`);
+        }
+        if (flangeWidth === 0) flangeHeight = 0;
+        
+        // L'arête de coupe doit être plus fine que la paroi, et tenir au-dessus de la collerette
+        let edge = Math.max(0, options.edgeThickness || 0);
+        let edgeHeight = Math.max(0, options.edgeHeight || 0);
+        if (edge >= wall) {
+            edge = wall - minimum;
+            if (edge >= minimum) {
+                this.warnings.push(`Épaisseur d'arête ramenée à ${format(edge)} pour rester plus fine que la paroi`);
+            } else {
+                edge = 0;
+                this.warnings.push("Arête de coupe ignorée : la paroi est trop fine pour une arête plus fine qu'elle");
+            }
+        }
+        if (edge > 0 && edgeHeight > height - flangeHeight) {
+            edgeHeight = height - flangeHeight;
+            this.warnings.push(`Hauteur d'arête ramenée à ${format(edgeHeight)} (place restante au-dessus de la collerette)`);
+        }
+        if (edge === 0) edgeHeight = 0;
+        
+        // Intérieur de l'emporte-pièce: la paroi pousse vers l'extérieur des contours
+        const inside = PolygonUtils.union(PolygonUtils.fromContours(outlines));
+        const ring = (thickness) => PolygonUtils.difference(
+            PolygonUtils.offset(inside, thickness, 'round'),
+            inside
+        );
+        
+        // Couches empilées de bas en haut, réunies en un seul solide
+        const builder = new SolidBuilder();
+        if (flangeWidth > 0) builder.addPrism(ring(flangeWidth), 0, flangeHeight);
+        builder.addPrism(ring(wall), flangeHeight, height - edgeHeight);
+        if (edge > 0) builder.addPrism(ring(edge), height - edgeHeight, height);
+        
+        return builder.build().map(geometry => this.createMesh(geometry));
+    }
+    
+    /**
+     * Calcule la poignée d'un tampon, placée sous le bloc de support (côté opposé au relief)
+     * @param {Array} blockShapes - Empreinte du bloc de support, formes {outer, holes} en mm
+     * @param {Object} options - Options du tampon
+     * @param {string} options.handle - 'none', 'knob' (bouton cylindrique) ou 'bar' (barre)
+     * @param {number} options.handleHeight - Hauteur de la poignée en mm
+     * @param {number} options.handleDiameter - Diamètre du bouton ou largeur de la barre en mm
+     * @returns {Object|null} - Poignée {shapes: empreinte {outer, holes} en mm, height: hauteur en mm}
+     */
+    getStampHandle(blockShapes, options) {
+        if (!options.handle || options.handle === 'none') return null;
+        
+        const height = Math.max(1, options.handleHeight || 20);
+        
+        // Dimensions du bloc pour centrer et limiter la poignée
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        for (const shape of blockShapes) {
+            for (const point of shape.outer) {
+                minX = Math.min(minX, point.x);
+                minY = Math.min(minY, point.y);
+                maxX = Math.max(maxX, point.x);
+                maxY = Math.max(maxY, point.y);
+            }
+        }
+        if (!isFinite(minX)) return null;
+        
+        const centerX = (minX + maxX) / 2;
+        const centerY = (minY + maxY) / 2;
+        const blockWidth = maxX - minX;
+        const blockDepth = maxY - minY;
+        const diameter = Math.min(Math.max(1, options.handleDiameter || 20), blockWidth, blockDepth);
+        
+        let outline;
+        if (options.handle === 'bar') {
+            // Barre transversale sur 80% de la largeur du bloc
+            const halfWidth = blockWidth * 0.4;
+            const halfDepth = diameter / 2;
+            outline = [
+                { x: centerX - halfWidth, y: centerY - halfDepth },
+                { x: centerX + halfWidth, y: centerY - halfDepth },
+                { x: centerX + halfWidth, y: centerY + halfDepth },
+                { x: centerX - halfWidth, y: centerY + halfDepth }
+            ];
+        } else {
+            // Bouton cylindrique, axe vertical
+            outline = [];
+            for (let i = 0; i < 32; i++) {
+                const angle = i / 32 * Math.PI * 2;
+                outline.push({
+                    x: centerX + Math.cos(angle) * diameter / 2,
+                    y: centerY + Math.sin(angle) * diameter / 2
+                });
+            }
+        }
+        
+        return { shapes: [{ outer: outline, holes: [] }], height };
+    }
+    
+    /**
+     * Crée un modèle 3D en relief (relief ou lithophanie) à partir de la luminance de l'image
+     * @param {Float32Array} gray - Luminance (0-255) de chaque pixel
+     * @param {number} width - Largeur de l'image en pixels
+     * @param {number} height - Hauteur de l'image en pixels
+     * @param {Object} options - Options du relief (voir HeightmapBuilder.build)
+     * @returns {Object} - Mesh THREE.js du modèle
+     */
+    createHeightmapModel(gray, width, height, options = {}) {
+        if (!gray || !width || !height) {
+            console.error("Aucune image disponible pour la création du relief");
+            return null;
+        }
+        
+        this.cleanup();
+        
+        // Créer un groupe pour contenir le maillage
+        const group = new THREE.Group();
+        this.scene.add(group);
+        this.modelGroup = group;
+        
+        // Dimensions physiques selon le dimensionnement choisi
+        const scale = this.getScale(width, height);
+        
+        try {
+            const builder = new HeightmapBuilder();
+            const geometry = builder.build(gray, width, height, {
+                ...options,
+                sizeX: width * scale,
+                sizeY: height * scale
+            });
+            
+            const mesh = this.createMesh(geometry);
+            group.add(mesh);
+            this.meshes.push(mesh);
+        } catch (error) {
+            console.error("Erreur lors de la création du relief:", error);
+        }
         
         // Repositionner la caméra pour voir tout le modèle
         this.resetCamera();
@@ -321,11 +1060,47 @@ class Extruder {
         this.camera.updateProjectionMatrix();
     }
     
+    /**
+     * Contrôle les maillages du modèle (étanchéité, triangles dégénérés, normales, auto-intersections)
+     * @param {Object} options - Réglages
+     * @param {boolean} options.separateBodies - true pour contrôler chaque corps seul (export en
+     * objets séparés); par défaut pour un modèle multicolore, dont les corps se touchent
+     * @returns {Object} - Rapport de MeshValidator.validate
+     */
+    validateMeshes(options = {}) {
+        return new MeshValidator().validate(this.meshes, this.getValidationOptions(options));
+    }
+    
+    /**
+     * Répare les maillages du modèle: soudure des sommets, suppression des triangles
+     * dégénérés et réorientation des normales
+     * @param {Object} options - Réglages du contrôle (voir validateMeshes)
+     * @returns {Object} - Rapport après réparation
+     */
+    repairMeshes(options = {}) {
+        return new MeshValidator().repair(this.meshes, this.getValidationOptions(options));
+    }
+    
+    /**
+     * Complète les réglages du contrôle des maillages
+     * @param {Object} options - Réglages (voir validateMeshes)
+     * @returns {Object} - Réglages de MeshValidator.validate
+     */
+    getValidationOptions(options) {
+        const multicolor = this.meshes.some(mesh => mesh.userData.color);
+        return {
+            separateBodies: options.separateBodies !== undefined ? options.separateBodies : multicolor
+        };
+    }
+    
     /**
      * Exporte le modèle au format STL
+     * @param {Object} options - Options d'export
+     * @param {boolean} options.binary - true pour un STL binaire (défaut), false pour ASCII
+     * @param {string} options.name - Nom du modèle écrit dans l'en-tête du fichier
      * @returns {Blob} - Blob contenant les données STL
      */
-    exportSTL() {
+    exportSTL(options = {}) {
         if (this.meshes.length === 0) {
             throw new Error("Aucun modèle à exporter");
         }
@@ -347,20 +1122,73 @@ class Extruder {
             objectToExport = group;
         }
         
-        // Exporter le modèle
-        const stlString = exporter.parse(objectToExport);
+        // Exporter le modèle (binaire par défaut, plus compact)
+        const binary = options.binary !== undefined ? options.binary : true;
+        const stlData = exporter.parse(objectToExport, {
+            binary: binary,
+            name: options.name || 'extrudator'
+        });
         
-        // Convertir la chaîne en Blob
-        const blob = new Blob([stlString], { type: 'application/octet-stream' });
+        // Convertir les données en Blob
+        const blob = new Blob([stlData], {
+            type: binary ? 'application/octet-stream' : 'text/plain'
+        });
         
         return blob;
     }
     
+    /**
+     * Exporte le modèle au format 3MF: un objet et un matériau par corps
+     * (chaque couleur en mode multicolore)
+     * @param {Object} options - Options d'export
+     * @param {string} options.name - Nom du modèle
+     * @returns {Promise<Blob>} - Promise résolue avec l'archive 3MF
+     */
+    export3MF(options = {}) {
+        if (this.meshes.length === 0) {
+            return Promise.reject(new Error("Aucun modèle à exporter"));
+        }
+        
+        const exporter = new ThreeMFExporter();
+        return exporter.parse(this.meshes, { name: options.name || 'extrudator' });
+    }
+    
+    /**
+     * Exporte chaque corps du modèle dans un fichier STL séparé, réunis dans une archive zip
+     * @param {Object} options - Options d'export
+     * @param {boolean} options.binary - true pour des STL binaires (défaut), false pour ASCII
+     * @param {string} options.name - Nom du modèle (préfixe des fichiers)
+     * @returns {Promise<Blob>} - Promise résolue avec l'archive zip
+     */
+    exportSTLZip(options = {}) {
+        if (this.meshes.length === 0) {
+            return Promise.reject(new Error("Aucun modèle à exporter"));
+        }
+        if (typeof JSZip === 'undefined') {
+            return Promise.reject(new Error("JSZip n'est pas disponible"));
+        }
+        
+        const exporter = new THREE.STLExporter();
+        const binary = options.binary !== undefined ? options.binary : true;
+        const name = options.name || 'extrudator';
+        const zip = new JSZip();
+        
+        this.meshes.forEach((mesh, index) => {
+            const partName = mesh.name || `piece_${index + 1}`;
+            const stlData = exporter.parse(mesh, { binary: binary, name: `${name} ${partName}` });
+            zip.file(`${name}_${partName}.stl`, stlData);
+        });
+        
+        return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    }
+    
     /**
      * Exporte les contours au format DXF
+     * @param {Object} options - Options d'export
+     * @param {string} options.version - 'R12' ou '2000' (par défaut)
      * @returns {Blob} - Blob contenant les données DXF
      */
-    exportDXF() {
+    exportDXF(options = {}) {
         if (this.meshes.length === 0) {
             throw new Error("Aucun contour à exporter");
         }
@@ -368,6 +1196,7 @@ class Extruder {
         // Collecter tous les contours de tous les maillages
         const allContours = [];
         let imageHeight = 0;
+        let scale = 1;
         
         for (const mesh of this.meshes) {
             if (mesh.userData.contours) {
@@ -375,6 +1204,9 @@ class Extruder {
                 if (mesh.userData.imageHeight) {
                     imageHeight = mesh.userData.imageHeight;
                 }
+                if (mesh.userData.scale) {
+                    scale = mesh.userData.scale;
+                }
             }
         }
         
@@ -383,7 +1215,7 @@ class Extruder {
         }
         
         // Créer un nouveau document DXF
-        const dxf = this.createDXF(allContours, imageHeight);
+        const dxf = this.createDXF(allContours, imageHeight, scale, options.version);
         
         // Convertir la chaîne en Blob
         const blob = new Blob([dxf], { type: 'application/dxf' });
@@ -393,43 +1225,75 @@ class Extruder {
     
     /**
      * Crée un fichier DXF à partir des contours
+     * Chaque contour devient une polyligne fermée en millimètres, sur le calque
+     * des contours extérieurs ou des trous (voir DXFExporter).
      * @param {Array} contours - Liste des contours
      * @param {number} imageHeight - Hauteur de l'image d'origine
+     * @param {number} scale - Échelle en mm par pixel (la même que le modèle 3D)
+     * @param {string} version - 'R12' ou '2000'
      * @returns {string} - Contenu du fichier DXF
      */
-    createDXF(contours, imageHeight) {
-        // Début du fichier DXF
-        let dxf = '0\nSECTION\n2\nENTITIES\n';
+    createDXF(contours, imageHeight, scale = 1, version = '2000') {
+        const exporter = new DXFExporter();
+        return exporter.parse(contours, { imageHeight, scale, version });
+    }
+    
+    /**
+     * Exporte les contours vectorisés au format SVG, aux dimensions du modèle 3D
+     * En mode multi-niveaux ou multicolore, chaque niveau ou couleur forme un calque.
+     * Les contours sont ceux des formes extrudées (formes fusionnées, niveaux limités au
+     * niveau inférieur, région attribuée à chaque couleur): ils ne se chevauchent pas et
+     * la règle pair-impair remplit exactement la matière du modèle.
+     * @param {Object} vectorData - Données vectorielles {contours, width, height, layers?, colors?}
+     * @param {Object} options - Options d'export
+     * @param {string} options.mode - Type de modèle (voir createModel)
+     * @param {string} options.name - Titre du document
+     * @returns {Blob} - Blob contenant le document SVG
+     */
+    exportSVG(vectorData, options = {}) {
+        if (!vectorData || !vectorData.contours || vectorData.contours.length === 0) {
+            throw new Error("Aucun contour disponible pour l'exportation SVG");
+        }
         
-        // Pour chaque contour, créer une polyligne
-        contours.forEach(contour => {
-            if (contour.length < 2) return;
-            
-            // Pour chaque point du contour, créer une entité LINE
-            for (let i = 0; i < contour.length - 1; i++) {
-                const startPoint = contour[i];
-                const endPoint = contour[i + 1];
-                
-                // Inverser l'axe Y car DXF a l'origine en bas à gauche
-                const y1 = imageHeight - startPoint.y;
-                const y2 = imageHeight - endPoint.y;
-                
-                // Ajouter une entité LINE
-                dxf += '0\nLINE\n';
-                dxf += '8\n0\n'; // Calque 0
-                dxf += `10\n${startPoint.x}\n`; // Point de départ X
-                dxf += `20\n${y1}\n`; // Point de départ Y
-                dxf += '30\n0\n'; // Point de départ Z
-                dxf += `11\n${endPoint.x}\n`; // Point d'arrivée X
-                dxf += `21\n${y2}\n`; // Point d'arrivée Y
-                dxf += '31\n0\n'; // Point d'arrivée Z
-            }
-        });
+        const toContours = (shapes) => shapes.flatMap(shape => [shape.outer, ...shape.holes]);
         
-        // Fin du fichier DXF
-        dxf += '0\nENDSEC\n0\nEOF\n';
+        let layers;
+        if (options.mode === 'colors' && vectorData.colors) {
+            const colorShapes = this.getColorShapes(vectorData.colors);
+            layers = vectorData.colors.map((layer, index) => ({
+                name: `couleur_${index + 1}_${layer.hex.substring(1)}`,
+                color: layer.hex,
+                contours: toContours(colorShapes[index])
+            }));
+        } else if (options.mode === 'levels' && vectorData.layers) {
+            // Les niveaux les plus sombres sont dessinés par-dessus les plus clairs
+            const levelShapes = this.getLevelShapes(vectorData.layers);
+            layers = vectorData.layers.map((layer, index) => {
+                const gray = Math.round(layer.threshold * 0.8).toString(16).padStart(2, '0');
+                return {
+                    name: `niveau_${index + 1}`,
+                    color: `#${gray}${gray}${gray}`,
+                    contours: toContours(levelShapes[index])
+                };
+            });
+        } else {
+            const shapes = this.groupContours(vectorData.contours);
+            layers = [{
+                name: 'contours',
+                color: '#000000',
+                contours: shapes.flatMap(shape => [shape.external, ...shape.holes])
+            }];
+        }
+        
+        const exporter = new SVGExporter();
+        const svg = exporter.parse(layers, {
+            width: vectorData.width,
+            height: vectorData.height,
+            scale: this.getScale(vectorData.width, vectorData.height),
+            name: options.name
+        });
         
-        return dxf;
+        return new Blob([svg], { type: 'image/svg+xml' });
     }
     
     /**
@@ -463,10 +1327,22 @@ class Extruder {
 // Classe STLExporter simplifiée
 // Basée sur https://github.com/mrdoob/three.js/blob/dev/examples/jsm/exporters/STLExporter.js
 THREE.STLExporter = class {
+    /**
+     * Convertit un objet THREE.js (et ses enfants) en STL
+     * @param {THREE.Object3D} scene - Objet à exporter
+     * @param {Object} options - Options d'export
+     * @param {boolean} options.binary - true pour un STL binaire, false pour un STL ASCII
+     * @param {string} options.name - Nom du solide (en-tête binaire ou ligne "solid")
+     * @returns {ArrayBuffer|string} - Données STL
+     */
     parse(scene, options) {
         options = options || {};
         
         const binary = options.binary !== undefined ? options.binary : false;
+        const name = this.sanitizeName(options.name || 'extrudator');
+        
+        // S'assurer que les matrices monde sont à jour
+        scene.updateMatrixWorld(true);
         
         // Convertir la scène en géométrie
         const meshes = [];
@@ -482,23 +1358,24 @@ THREE.STLExporter = class {
         });
         
         // Fonction pour traiter les triangles
-        function handleTriangle(vertices, normal) {
-            if (normal === undefined) {
-                // Calculer la normale si elle n'est pas fournie
-                const cb = new THREE.Vector3();
-                const ab = new THREE.Vector3();
-                const vA = vertices[0];
-                const vB = vertices[1];
-                const vC = vertices[2];
-                
-                cb.subVectors(vC, vB);
-                ab.subVectors(vA, vB);
-                cb.cross(ab).normalize();
-                
-                normal = cb;
+        function handleTriangle(vertices) {
+            // Calculer la normale à partir des sommets transformés (règle de la main droite)
+            const cb = new THREE.Vector3();
+            const ab = new THREE.Vector3();
+            const vA = vertices[0];
+            const vB = vertices[1];
+            const vC = vertices[2];
+            
+            cb.subVectors(vC, vB);
+            ab.subVectors(vA, vB);
+            cb.cross(ab);
+            
+            // Un triangle dégénéré garde une normale nulle
+            if (cb.lengthSq() > 0) {
+                cb.normalize();
             }
             
-            return { vertices, normal };
+            return { vertices, normal: cb };
         }
         
         // Fonction pour créer STL binaire
@@ -507,9 +1384,11 @@ THREE.STLExporter = class {
             const buffer = new ArrayBuffer(bufferSize);
             const view = new DataView(buffer);
             
-            // En-tête (80 octets)
+            // En-tête (80 octets) : ne doit pas commencer par "solid" pour ne pas
+            // être confondu avec un fichier ASCII
+            const header = `Extrudator - ${name}`.slice(0, 80);
             for (let i = 0; i < 80; i++) {
-                view.setUint8(i, 0);
+                view.setUint8(i, i < header.length ? header.charCodeAt(i) : 0x20);
             }
             
             // Nombre de triangles
@@ -540,6 +1419,28 @@ THREE.STLExporter = class {
             return buffer;
         }
         
+        // Fonction pour créer STL ASCII
+        function toAsciiSTL(triangles) {
+            const lines = [`solid ${name}`];
+            
+            triangles.forEach(triangle => {
+                const { vertices, normal } = triangle;
+                
+                lines.push(`  facet normal ${normal.x} ${normal.y} ${normal.z}`);
+                lines.push('    outer loop');
+                for (let i = 0; i < 3; i++) {
+                    const vertex = vertices[i];
+                    lines.push(`      vertex ${vertex.x} ${vertex.y} ${vertex.z}`);
+                }
+                lines.push('    endloop');
+                lines.push('  endfacet');
+            });
+            
+            lines.push(`endsolid ${name}`);
+            
+            return lines.join('\n') + '\n';
+        }
+        
         // Collecter tous les triangles
         const triangles = [];
         
@@ -550,38 +1451,30 @@ THREE.STLExporter = class {
             // Traitement selon le type de géométrie
             if (geometry.isBufferGeometry) {
                 const positions = geometry.getAttribute('position');
-                const normals = geometry.getAttribute('normal');
+                const index = geometry.getIndex();
                 
                 if (positions) {
-                    for (let i = 0; i < positions.count; i += 3) {
+                    // Une géométrie indexée décrit ses triangles par l'index,
+                    // sinon chaque groupe de trois sommets forme un triangle
+                    const count = index ? index.count : positions.count;
+                    
+                    for (let i = 0; i + 2 < count; i += 3) {
                         const vertices = [];
                         
                         for (let j = 0; j < 3; j++) {
-                            const index = i + j;
+                            const vertexIndex = index ? index.getX(i + j) : i + j;
                             
                             const vertex = new THREE.Vector3(
-                                positions.getX(index),
-                                positions.getY(index),
-                                positions.getZ(index)
+                                positions.getX(vertexIndex),
+                                positions.getY(vertexIndex),
+                                positions.getZ(vertexIndex)
                             );
                             
                             vertex.applyMatrix4(matrixWorld);
                             vertices.push(vertex);
                         }
                         
-                        let normal;
-                        if (normals) {
-                            // Utiliser la normale fournie
-                            normal = new THREE.Vector3(
-                                normals.getX(i),
-                                normals.getY(i),
-                                normals.getZ(i)
-                            );
-                            
-                            normal.applyMatrix4(matrixWorld).normalize();
-                        }
-                        
-                        triangles.push(handleTriangle(vertices, normal));
+                        triangles.push(handleTriangle(vertices));
                     }
                 }
             } else {
@@ -593,10 +1486,24 @@ THREE.STLExporter = class {
             return toBinarySTL(triangles);
         }
         
-        // Note: ASCII STL n'est pas implémenté car nous utilisons uniquement le format binaire
-        return null;
+        return toAsciiSTL(triangles);
+    }
+    
+    /**
+     * Nettoie un nom pour l'en-tête STL (ASCII imprimable, une seule ligne)
+     * @param {string} name - Nom brut
+     * @returns {string} - Nom utilisable dans un fichier STL
+     */
+    sanitizeName(name) {
+        const cleaned = String(name)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\x20-\x7e]/g, '_')
+            .trim();
+        
+        return cleaned.length > 0 ? cleaned : 'extrudator';
     }
 };
 
 // Exporter la classe
-window.Extruder = Extruder; 
\ No newline at end of file
+window.Extruder = Extruder;
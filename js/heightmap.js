@@ -0,0 +1,219 @@
+/**
+ * HeightmapBuilder - Module de création de reliefs et lithophanies
+ * à partir de la luminance d'une image
+ */
+class HeightmapBuilder {
+    constructor() {
+        this.maxVertices = 250000; // Limite du nombre de points par surface
+    }
+
+    /**
+     * Construit un maillage fermé (étanche) à partir d'une carte de luminance
+     * @param {Float32Array} gray - Luminance (0-255) de chaque pixel
+     * @param {number} width - Largeur de l'image en pixels
+     * @param {number} height - Hauteur de l'image en pixels
+     * @param {Object} options - Options du relief
+     * @param {string} options.mode - 'relief' (le sombre est haut) ou 'lithophane' (épaisseur inversée)
+     * @param {number} options.sizeX - Largeur du modèle en mm
+     * @param {number} options.sizeY - Hauteur du modèle en mm
+     * @param {number} options.resolution - Pas d'échantillonnage en mm
+     * @param {number} options.baseThickness - Épaisseur du socle en mm (relief)
+     * @param {number} options.reliefHeight - Hauteur du relief au-dessus du socle en mm (relief)
+     * @param {number} options.minThickness - Épaisseur minimale en mm (lithophanie, zones claires)
+     * @param {number} options.maxThickness - Épaisseur maximale en mm (lithophanie, zones sombres)
+     * @param {string} options.shape - 'flat' (plan), 'curved' (panneau courbé) ou 'cylinder'
+     * @param {number} options.curveAngle - Angle couvert par un panneau courbé en degrés
+     * @returns {THREE.BufferGeometry} - Géométrie indexée du relief
+     */
+    build(gray, width, height, options = {}) {
+        const sizeX = options.sizeX || 100;
+        const sizeY = options.sizeY || sizeX * height / width;
+        const shape = options.shape || 'flat';
+        const wrap = shape === 'cylinder';
+
+        // Nombre de points de la grille selon la résolution demandée
+        const step = Math.max(0.05, options.resolution || 0.5);
+        let nx = Math.max(2, Math.round(sizeX / step) + 1);
+        let ny = Math.max(2, Math.round(sizeY / step) + 1);
+        if (nx * ny > this.maxVertices) {
+            const reduction = Math.sqrt(nx * ny / this.maxVertices);
+            nx = Math.max(2, Math.floor(nx / reduction));
+            ny = Math.max(2, Math.floor(ny / reduction));
+            console.warn(`Résolution réduite à ${nx}x${ny} points pour limiter la taille du maillage`);
+        }
+
+        // Fonction épaisseur en fonction de la luminance
+        const thicknessOf = this.createThicknessFunction(options);
+
+        // Échantillonner la luminance (moyenne sur chaque cellule)
+        const columns = wrap ? nx : nx - 1;
+        const samples = this.sampleGrid(gray, width, height, nx, ny, columns);
+
+        // Fonction de placement d'un point (i, j) à une épaisseur d
+        const position = this.createPositionFunction(shape, sizeX, sizeY, nx, ny, options.curveAngle);
+
+        // Sommets: surface supérieure puis surface inférieure
+        const vertexCount = nx * ny;
+        const positions = new Float32Array(vertexCount * 2 * 3);
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const k = j * nx + i;
+                const top = position(i, j, thicknessOf(samples[k]));
+                const bottom = position(i, j, 0);
+                positions.set(top, k * 3);
+                positions.set(bottom, (vertexCount + k) * 3);
+            }
+        }
+
+        const indices = [];
+        const T = (i, j) => j * nx + (i % nx);
+        const B = (i, j) => vertexCount + j * nx + (i % nx);
+
+        // Surfaces supérieure et inférieure
+        for (let j = 0; j < ny - 1; j++) {
+            for (let i = 0; i < columns; i++) {
+                indices.push(T(i, j), T(i, j + 1), T(i + 1, j));
+                indices.push(T(i + 1, j), T(i, j + 1), T(i + 1, j + 1));
+                indices.push(B(i, j), B(i + 1, j), B(i, j + 1));
+                indices.push(B(i + 1, j), B(i + 1, j + 1), B(i, j + 1));
+            }
+        }
+
+        // Parois: chaque arête de bord (u -> v) de la surface supérieure
+        // est reliée à la surface inférieure
+        const addWall = (u, v, bu, bv) => {
+            indices.push(v, u, bu);
+            indices.push(v, bu, bv);
+        };
+
+        for (let i = 0; i < columns; i++) {
+            // Bord haut de l'image (j = 0) et bord bas (j = ny - 1)
+            addWall(T(i + 1, 0), T(i, 0), B(i + 1, 0), B(i, 0));
+            addWall(T(i, ny - 1), T(i + 1, ny - 1), B(i, ny - 1), B(i + 1, ny - 1));
+        }
+
+        if (!wrap) {
+            for (let j = 0; j < ny - 1; j++) {
+                // Bord gauche (i = 0) et bord droit (i = nx - 1)
+                addWall(T(0, j), T(0, j + 1), B(0, j), B(0, j + 1));
+                addWall(T(nx - 1, j + 1), T(nx - 1, j), B(nx - 1, j + 1), B(nx - 1, j));
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+
+        return geometry;
+    }
+
+    /**
+     * Crée la fonction qui convertit une luminance en épaisseur
+     * @param {Object} options - Options du relief (voir build)
+     * @returns {Function} - Fonction (luminance 0-255) => épaisseur en mm
+     */
+    createThicknessFunction(options) {
+        if (options.mode === 'lithophane') {
+            // Lithophanie: les zones sombres sont épaisses pour bloquer la lumière
+            const minThickness = Math.max(0.1, options.minThickness || 0.8);
+            const maxThickness = Math.max(minThickness, options.maxThickness || 3);
+            return (value) => maxThickness - (value / 255) * (maxThickness - minThickness);
+        }
+
+        // Relief: socle plein surmonté d'un relief où le sombre est haut
+        const baseThickness = Math.max(0.1, options.baseThickness || 1);
+        const reliefHeight = Math.max(0, options.reliefHeight || 0);
+        return (value) => baseThickness + (1 - value / 255) * reliefHeight;
+    }
+
+    /**
+     * Crée la fonction de placement des points dans l'espace
+     * @param {string} shape - 'flat', 'curved' ou 'cylinder'
+     * @param {number} sizeX - Largeur du modèle en mm
+     * @param {number} sizeY - Hauteur du modèle en mm
+     * @param {number} nx - Nombre de points par ligne
+     * @param {number} ny - Nombre de points par colonne
+     * @param {number} curveAngle - Angle couvert par un panneau courbé en degrés
+     * @returns {Function} - Fonction (i, j, épaisseur) => [x, y, z]
+     */
+    createPositionFunction(shape, sizeX, sizeY, nx, ny, curveAngle = 120) {
+        if (shape === 'cylinder' || shape === 'curved') {
+            // Le panneau est enroulé autour d'un axe vertical et tient debout:
+            // l'axe Z porte la hauteur de l'image, l'épaisseur pousse vers l'extérieur
+            const wrap = shape === 'cylinder';
+            const angle = wrap ? Math.PI * 2 :
+                Math.min(Math.PI * 2, Math.max(1, curveAngle) * Math.PI / 180);
+            const radius = sizeX / angle;
+            const angleStep = angle / (wrap ? nx : nx - 1);
+            const startAngle = wrap ? 0 : -angle / 2;
+
+            return (i, j, thickness) => {
+                const theta = startAngle + i * angleStep;
+                const r = radius + thickness;
+                return [
+                    r * Math.sin(theta),
+                    -r * Math.cos(theta),
+                    sizeY * (1 - j / (ny - 1))
+                ];
+            };
+        }
+
+        // Plan: centré sur l'origine, axe Y vers le haut, épaisseur selon Z
+        return (i, j, thickness) => [
+            -sizeX / 2 + sizeX * i / (nx - 1),
+            sizeY / 2 - sizeY * j / (ny - 1),
+            thickness
+        ];
+    }
+
+    /**
+     * Échantillonne la luminance en moyennant les pixels autour de chaque point
+     * (image intégrale pour un coût constant par point)
+     * @param {Float32Array} gray - Luminance de chaque pixel
+     * @param {number} width - Largeur de l'image
+     * @param {number} height - Hauteur de l'image
+     * @param {number} nx - Nombre de points par ligne
+     * @param {number} ny - Nombre de points par colonne
+     * @param {number} columns - Nombre d'intervalles horizontaux (nx - 1, ou nx si enroulé)
+     * @returns {Float32Array} - Luminance moyenne de chaque point
+     */
+    sampleGrid(gray, width, height, nx, ny, columns) {
+        // Image intégrale (avec une ligne et une colonne de zéros)
+        const stride = width + 1;
+        const integral = new Float64Array(stride * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += gray[y * width + x];
+                integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+            }
+        }
+
+        const cellWidth = width / columns;
+        const cellHeight = height / (ny - 1);
+        const samples = new Float32Array(nx * ny);
+
+        for (let j = 0; j < ny; j++) {
+            const cy = j * cellHeight;
+            const y0 = Math.max(0, Math.min(height - 1, Math.floor(cy - cellHeight / 2)));
+            const y1 = Math.max(y0 + 1, Math.min(height, Math.ceil(cy + cellHeight / 2)));
+
+            for (let i = 0; i < nx; i++) {
+                // Sur un cylindre, le dernier point rejoint le premier
+                const cx = (i + (columns === nx ? 0.5 : 0)) * cellWidth;
+                const x0 = Math.max(0, Math.min(width - 1, Math.floor(cx - cellWidth / 2)));
+                const x1 = Math.max(x0 + 1, Math.min(width, Math.ceil(cx + cellWidth / 2)));
+
+                const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] -
+                    integral[y1 * stride + x0] + integral[y0 * stride + x0];
+                samples[j * nx + i] = sum / ((x1 - x0) * (y1 - y0));
+            }
+        }
+
+        return samples;
+    }
+}
+
+// Exporter la classe
+window.HeightmapBuilder = HeightmapBuilder;
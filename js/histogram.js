@@ -0,0 +1,110 @@
+/**
+ * HistogramWidget - Histogramme de luminance avec le seuil noir/blanc
+ * Le seuil est affiché par une ligne verticale que l'on peut faire glisser.
+ */
+class HistogramWidget {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas de dessin
+     * @param {Function} onChange - Appelée avec le nouveau seuil quand l'utilisateur déplace la ligne
+     */
+    constructor(canvas, onChange = null) {
+        this.canvas = canvas;
+        this.onChange = onChange;
+        this.histogram = null;
+        this.threshold = 128;
+        this.dragging = false;
+
+        this.canvas.addEventListener('pointerdown', (event) => {
+            if (!this.histogram) return;
+            this.dragging = true;
+            this.canvas.setPointerCapture(event.pointerId);
+            this.updateFromEvent(event);
+        });
+        this.canvas.addEventListener('pointermove', (event) => {
+            if (this.dragging) {
+                this.updateFromEvent(event);
+            }
+        });
+        this.canvas.addEventListener('pointerup', () => {
+            this.dragging = false;
+        });
+        this.canvas.addEventListener('pointercancel', () => {
+            this.dragging = false;
+        });
+
+        this.draw();
+    }
+
+    /**
+     * Définit l'histogramme à afficher
+     * @param {Uint32Array} histogram - Nombre de pixels par niveau (0-255), null pour effacer
+     */
+    setHistogram(histogram) {
+        this.histogram = histogram;
+        this.draw();
+    }
+
+    /**
+     * Déplace la ligne du seuil
+     * @param {number} threshold - Seuil (0-255)
+     */
+    setThreshold(threshold) {
+        this.threshold = threshold;
+        this.draw();
+    }
+
+    /**
+     * Calcule le seuil sous le pointeur et prévient l'application
+     * @param {PointerEvent} event - Événement du pointeur
+     */
+    updateFromEvent(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = (event.clientX - rect.left) / rect.width;
+        const threshold = Math.max(0, Math.min(255, Math.round(ratio * 256)));
+
+        if (threshold !== this.threshold) {
+            this.setThreshold(threshold);
+            if (this.onChange) {
+                this.onChange(threshold);
+            }
+        }
+    }
+
+    /**
+     * Dessine l'histogramme et la ligne du seuil
+     */
+    draw() {
+        const ctx = this.canvas.getContext('2d');
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, width, height);
+
+        if (!this.histogram) return;
+
+        // Échelle en racine carrée pour garder visibles les niveaux peu représentés
+        const max = Math.sqrt(Math.max(...this.histogram)) || 1;
+        const barWidth = width / 256;
+
+        for (let value = 0; value < 256; value++) {
+            const barHeight = Math.sqrt(this.histogram[value]) / max * (height - 2);
+
+            // Les niveaux sous le seuil deviennent noirs (le dessin)
+            ctx.fillStyle = value < this.threshold ? '#2c3e50' : '#bdc3c7';
+            ctx.fillRect(value * barWidth, height - barHeight, Math.ceil(barWidth), barHeight);
+        }
+
+        // Ligne du seuil
+        const x = this.threshold * barWidth;
+        ctx.strokeStyle = '#e74c3c';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+    }
+}
+
+// Exporter la classe
+window.HistogramWidget = HistogramWidget;
@@ -0,0 +1,370 @@
+/**
+ * ImageEditor - Retouches non destructives de l'image avant vectorisation
+ * Rotation (quarts de tour et angle libre), miroir, recadrage et zones exclues
+ * peintes au pinceau. L'image source n'est jamais modifiée: chaque changement
+ * recalcule l'image retouchée à partir de l'original.
+ */
+class ImageEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas d'affichage (image originale)
+     * @param {Function} onChange - Appelée avec l'image retouchée (ImageData) après chaque modification
+     */
+    constructor(canvas, onChange = null) {
+        this.canvas = canvas;
+        this.onChange = onChange;
+        this.source = null; // Canvas de l'image source
+        this.tool = 'crop'; // Outil actif: 'crop' (recadrage) ou 'exclude' (pinceau d'exclusion)
+        this.brushSize = 20; // Diamètre du pinceau en pixels de l'écran
+        this.background = null; // Couleur du fond (coins découverts, zones exclues), null = transparent
+        this.resetEdits();
+
+        this.pointerStart = null;
+        this.currentStroke = null;
+
+        this.canvas.addEventListener('pointerdown', (event) => this.onPointerDown(event));
+        this.canvas.addEventListener('pointermove', (event) => this.onPointerMove(event));
+        this.canvas.addEventListener('pointerup', () => this.onPointerUp());
+        this.canvas.addEventListener('pointercancel', () => this.onPointerUp());
+    }
+
+    /**
+     * Réinitialise toutes les retouches
+     */
+    resetEdits() {
+        this.quarterTurns = 0; // Rotation par quarts de tour (sens horaire)
+        this.angle = 0; // Rotation libre en degrés (-45 à 45)
+        this.flipX = false; // Miroir horizontal
+        this.flipY = false; // Miroir vertical
+        this.crop = null; // Rectangle {x, y, width, height} dans l'image tournée, null = image entière
+        this.strokes = []; // Zones exclues: traits {size, points} en coordonnées de l'image source
+    }
+
+    /**
+     * Définit l'image source et efface les retouches
+     * @param {ImageData} imageData - Image chargée
+     */
+    setSource(imageData) {
+        this.source = document.createElement('canvas');
+        this.source.width = imageData.width;
+        this.source.height = imageData.height;
+        this.source.getContext('2d').putImageData(imageData, 0, 0);
+
+        this.resetEdits();
+        this.draw();
+    }
+
+    /**
+     * Définit la couleur du fond: coins découverts par la rotation et zones exclues.
+     * Un fond transparent conserve le canal alpha de l'image retouchée.
+     * @param {string|null} color - Couleur CSS, null pour un fond transparent
+     */
+    setBackground(color) {
+        if (color === this.background) return;
+        this.background = color;
+        if (this.source && this.hasEdits()) this.apply();
+    }
+
+    /**
+     * Indique si l'image a été retouchée
+     * @returns {boolean} - true si au moins une retouche est active
+     */
+    hasEdits() {
+        return this.quarterTurns !== 0 || this.angle !== 0 || this.flipX || this.flipY ||
+            this.crop !== null || this.strokes.length > 0;
+    }
+
+    /**
+     * Tourne l'image d'un quart de tour
+     * @param {number} direction - 1 pour le sens horaire, -1 pour le sens anti-horaire
+     */
+    rotateQuarter(direction) {
+        this.quarterTurns = (this.quarterTurns + direction + 4) % 4;
+        this.crop = null; // Le recadrage dépend de l'orientation
+        this.apply();
+    }
+
+    /**
+     * Définit l'angle de rotation libre
+     * @param {number} angle - Angle en degrés
+     */
+    setAngle(angle) {
+        this.angle = angle;
+        this.crop = null;
+        this.apply();
+    }
+
+    /**
+     * Retourne l'image en miroir
+     * @param {string} axis - 'x' (miroir horizontal) ou 'y' (miroir vertical)
+     */
+    flip(axis) {
+        if (axis === 'y') {
+            this.flipY = !this.flipY;
+        } else {
+            this.flipX = !this.flipX;
+        }
+        this.crop = null;
+        this.apply();
+    }
+
+    /**
+     * Supprime le dernier trait d'exclusion
+     */
+    undoStroke() {
+        if (this.strokes.length === 0) return;
+        this.strokes.pop();
+        this.apply();
+    }
+
+    /**
+     * Annule toutes les retouches
+     */
+    reset() {
+        this.resetEdits();
+        this.apply();
+    }
+
+    /**
+     * Calcule la transformation de l'image source vers l'image tournée
+     * @returns {Object} - {width, height, matrix: [a, b, c, d, e, f]} (format de setTransform)
+     */
+    getTransform() {
+        const width = this.source.width;
+        const height = this.source.height;
+        const theta = (this.quarterTurns * 90 + this.angle) * Math.PI / 180;
+        const cos = Math.cos(theta);
+        const sin = Math.sin(theta);
+
+        // Dimensions de la boîte englobante de l'image tournée
+        const rotatedWidth = Math.round(Math.abs(width * cos) + Math.abs(height * sin));
+        const rotatedHeight = Math.round(Math.abs(width * sin) + Math.abs(height * cos));
+
+        // Centre -> miroir -> rotation -> centre de l'image tournée
+        const sx = this.flipX ? -1 : 1;
+        const sy = this.flipY ? -1 : 1;
+        const a = cos * sx;
+        const b = sin * sx;
+        const c = -sin * sy;
+        const d = cos * sy;
+        const e = rotatedWidth / 2 - (a * width / 2 + c * height / 2);
+        const f = rotatedHeight / 2 - (b * width / 2 + d * height / 2);
+
+        return { width: rotatedWidth, height: rotatedHeight, matrix: [a, b, c, d, e, f] };
+    }
+
+    /**
+     * Convertit un point de l'image tournée en coordonnées de l'image source
+     * @param {Object} point - Point {x, y} dans l'image tournée
+     * @returns {Object} - Point {x, y} dans l'image source
+     */
+    toSource(point) {
+        const [a, b, c, d, e, f] = this.getTransform().matrix;
+        const determinant = a * d - b * c;
+        const x = point.x - e;
+        const y = point.y - f;
+        return {
+            x: (d * x - c * y) / determinant,
+            y: (a * y - b * x) / determinant
+        };
+    }
+
+    /**
+     * Dessine l'image tournée avec les zones exclues
+     * @param {string|null} excludeStyle - Couleur de surlignage des zones exclues (aperçu),
+     * null pour les ramener au fond
+     * @returns {HTMLCanvasElement} - Canvas de l'image tournée (sans recadrage)
+     */
+    renderTransformed(excludeStyle = null) {
+        const transform = this.getTransform();
+        const canvas = document.createElement('canvas');
+        canvas.width = transform.width;
+        canvas.height = transform.height;
+        const ctx = canvas.getContext('2d');
+
+        // Les coins découverts par la rotation font partie du fond
+        // (laissés transparents si le fond l'est)
+        if (this.background) {
+            ctx.fillStyle = this.background;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+
+        ctx.setTransform(...transform.matrix);
+        ctx.drawImage(this.source, 0, 0);
+
+        // Zones exclues, dessinées dans le repère de l'image source:
+        // effacées si le fond est transparent, sinon peintes de la couleur du fond
+        const style = excludeStyle || this.background || '#000000';
+        if (!excludeStyle && !this.background) {
+            ctx.globalCompositeOperation = 'destination-out';
+        }
+        ctx.strokeStyle = style;
+        ctx.fillStyle = style;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        for (const stroke of this.strokes) {
+            ctx.lineWidth = stroke.size;
+            ctx.beginPath();
+            ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
+            for (const point of stroke.points.slice(1)) {
+                ctx.lineTo(point.x, point.y);
+            }
+            if (stroke.points.length === 1) {
+                ctx.arc(stroke.points[0].x, stroke.points[0].y, stroke.size / 2, 0, Math.PI * 2);
+                ctx.fill();
+            } else {
+                ctx.stroke();
+            }
+        }
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalCompositeOperation = 'source-over';
+        return canvas;
+    }
+
+    /**
+     * Calcule l'image retouchée (zones exclues ramenées au fond, rotation, miroir et recadrage)
+     * @returns {ImageData} - Image retouchée
+     */
+    getEditedImageData() {
+        const canvas = this.renderTransformed();
+        const crop = this.getCropRect(canvas.width, canvas.height);
+        return canvas.getContext('2d').getImageData(crop.x, crop.y, crop.width, crop.height);
+    }
+
+    /**
+     * Rectangle de recadrage limité à l'image
+     * @param {number} width - Largeur de l'image tournée
+     * @param {number} height - Hauteur de l'image tournée
+     * @returns {Object} - Rectangle {x, y, width, height} en pixels entiers
+     */
+    getCropRect(width, height) {
+        if (!this.crop) {
+            return { x: 0, y: 0, width, height };
+        }
+
+        const x = Math.max(0, Math.min(width - 1, Math.round(this.crop.x)));
+        const y = Math.max(0, Math.min(height - 1, Math.round(this.crop.y)));
+        return {
+            x,
+            y,
+            width: Math.max(1, Math.min(width - x, Math.round(this.crop.width))),
+            height: Math.max(1, Math.min(height - y, Math.round(this.crop.height)))
+        };
+    }
+
+    /**
+     * Redessine l'aperçu et transmet l'image retouchée
+     */
+    apply() {
+        if (!this.source) return;
+
+        this.draw();
+        if (this.onChange) {
+            this.onChange(this.getEditedImageData());
+        }
+    }
+
+    /**
+     * Dessine l'image tournée, les zones exclues et le cadre de recadrage
+     */
+    draw() {
+        if (!this.source) return;
+
+        const transformed = this.renderTransformed('rgba(231, 76, 60, 0.6)');
+        this.canvas.width = transformed.width;
+        this.canvas.height = transformed.height;
+        const ctx = this.canvas.getContext('2d');
+        ctx.drawImage(transformed, 0, 0);
+
+        if (this.crop) {
+            const crop = this.getCropRect(transformed.width, transformed.height);
+
+            // Assombrir la partie écartée par le recadrage
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+            ctx.beginPath();
+            ctx.rect(0, 0, transformed.width, transformed.height);
+            ctx.rect(crop.x, crop.y, crop.width, crop.height);
+            ctx.fill('evenodd');
+
+            ctx.strokeStyle = '#3498db';
+            ctx.lineWidth = Math.max(1, transformed.width / 300);
+            ctx.setLineDash([6 * ctx.lineWidth, 4 * ctx.lineWidth]);
+            ctx.strokeRect(crop.x, crop.y, crop.width, crop.height);
+            ctx.setLineDash([]);
+        }
+    }
+
+    /**
+     * Convertit la position du pointeur en coordonnées de l'image tournée
+     * @param {PointerEvent} event - Événement du pointeur
+     * @returns {Object} - Point {x, y}
+     */
+    getPointerPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * this.canvas.width / rect.width,
+            y: (event.clientY - rect.top) * this.canvas.height / rect.height
+        };
+    }
+
+    /**
+     * Début d'un recadrage ou d'un trait d'exclusion
+     * @param {PointerEvent} event - Événement du pointeur
+     */
+    onPointerDown(event) {
+        if (!this.source) return;
+        this.canvas.setPointerCapture(event.pointerId);
+
+        const point = this.getPointerPosition(event);
+        if (this.tool === 'exclude') {
+            // Taille du pinceau convertie de l'écran vers l'image
+            const rect = this.canvas.getBoundingClientRect();
+            const ratio = rect.width > 0 ? this.canvas.width / rect.width : 1;
+            this.currentStroke = { size: this.brushSize * ratio, points: [this.toSource(point)] };
+            this.strokes.push(this.currentStroke);
+        } else {
+            this.pointerStart = point;
+        }
+        this.draw();
+    }
+
+    /**
+     * Suivi du recadrage ou du trait en cours
+     * @param {PointerEvent} event - Événement du pointeur
+     */
+    onPointerMove(event) {
+        const point = this.getPointerPosition(event);
+
+        if (this.currentStroke) {
+            this.currentStroke.points.push(this.toSource(point));
+            this.draw();
+        } else if (this.pointerStart) {
+            this.crop = {
+                x: Math.min(this.pointerStart.x, point.x),
+                y: Math.min(this.pointerStart.y, point.y),
+                width: Math.abs(point.x - this.pointerStart.x),
+                height: Math.abs(point.y - this.pointerStart.y)
+            };
+            this.draw();
+        }
+    }
+
+    /**
+     * Fin du geste: l'image retouchée est recalculée
+     */
+    onPointerUp() {
+        if (!this.currentStroke && !this.pointerStart) return;
+
+        // Un simple clic (cadre minuscule) annule le recadrage
+        if (this.pointerStart && this.crop && (this.crop.width < 5 || this.crop.height < 5)) {
+            this.crop = null;
+        }
+
+        this.currentStroke = null;
+        this.pointerStart = null;
+        this.apply();
+    }
+}
+
+// Exporter la classe
+window.ImageEditor = ImageEditor;
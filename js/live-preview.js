@@ -0,0 +1,128 @@
+/**
+ * LivePreview - Aperçu en direct de la binarisation du flux webcam
+ * Chaque image est réduite puis seuillée avec les réglages courants, à une cadence limitée.
+ */
+class LivePreview {
+    /**
+     * @param {HTMLVideoElement} video - Flux vidéo de la webcam
+     * @param {HTMLCanvasElement} canvas - Canvas superposé à la vidéo
+     * @param {Function} getSettings - Renvoie les réglages courants
+     * {threshold, thresholdMethod, adaptiveThreshold, binarization, blurradius, showContours}
+     */
+    constructor(video, canvas, getSettings) {
+        this.video = video;
+        this.canvas = canvas;
+        this.getSettings = getSettings;
+        this.vectorizer = new Vectorizer(); // Instance dédiée: l'image chargée n'est pas modifiée
+        this.maxWidth = 480; // Largeur de traitement maximale en pixels
+        this.minInterval = 100; // Intervalle minimal entre deux images en ms (10 images/s au plus)
+        this.interval = this.minInterval;
+        this.lastFrame = 0;
+        this.frameRequest = null;
+        this.frameCanvas = document.createElement('canvas');
+    }
+
+    /**
+     * Démarre l'aperçu
+     */
+    start() {
+        if (this.frameRequest !== null) return;
+        this.canvas.style.display = 'block';
+        this.frameRequest = requestAnimationFrame(time => this.update(time));
+    }
+
+    /**
+     * Arrête l'aperçu et cache le canvas
+     */
+    stop() {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        this.canvas.style.display = 'none';
+    }
+
+    /**
+     * Traite une image du flux si l'intervalle minimal est écoulé
+     * @param {number} time - Horodatage fourni par requestAnimationFrame
+     */
+    update(time) {
+        this.frameRequest = requestAnimationFrame(nextTime => this.update(nextTime));
+
+        if (time - this.lastFrame < this.interval || this.video.readyState < 2 || this.video.videoWidth === 0) {
+            return;
+        }
+        this.lastFrame = time;
+
+        const start = performance.now();
+        try {
+            this.renderFrame();
+        } catch (error) {
+            console.error("Erreur lors de l'aperçu en direct:", error);
+            this.stop();
+            return;
+        }
+
+        // Ralentir si le traitement est trop long pour la machine
+        this.interval = Math.max(this.minInterval, (performance.now() - start) * 3);
+    }
+
+    /**
+     * Seuille l'image courante de la vidéo et l'affiche
+     */
+    renderFrame() {
+        const settings = this.getSettings();
+        const scale = Math.min(1, this.maxWidth / this.video.videoWidth);
+        const width = Math.round(this.video.videoWidth * scale);
+        const height = Math.round(this.video.videoHeight * scale);
+
+        // Image réduite, floutée comme lors de la vectorisation
+        this.frameCanvas.width = width;
+        this.frameCanvas.height = height;
+        const frameCtx = this.frameCanvas.getContext('2d');
+        frameCtx.filter = settings.blurradius > 0 ? `blur(${settings.blurradius * scale}px)` : 'none';
+        frameCtx.drawImage(this.video, 0, 0, width, height);
+
+        this.vectorizer.setImageData(frameCtx.getImageData(0, 0, width, height));
+        this.vectorizer.setAdaptiveThreshold(settings.adaptiveThreshold);
+        this.vectorizer.setBinarization(settings.binarization);
+        const binary = this.vectorizer.applyThreshold(settings.threshold, settings.thresholdMethod);
+
+        if (settings.showContours) {
+            this.markContours(binary);
+        }
+
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.canvas.getContext('2d').putImageData(binary, 0, 0);
+    }
+
+    /**
+     * Colore en rouge les pixels noirs situés en bordure d'une zone blanche
+     * @param {ImageData} binary - Image binarisée (modifiée sur place)
+     */
+    markContours(binary) {
+        const { width, height, data } = binary;
+        const isBlack = (x, y) => x < 0 || y < 0 || x >= width || y >= height ?
+            false : data[(y * width + x) * 4] === 0;
+
+        const edges = [];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (isBlack(x, y) &&
+                    (!isBlack(x - 1, y) || !isBlack(x + 1, y) || !isBlack(x, y - 1) || !isBlack(x, y + 1))) {
+                    edges.push((y * width + x) * 4);
+                }
+            }
+        }
+
+        for (const i of edges) {
+            data[i] = 231;
+            data[i + 1] = 76;
+            data[i + 2] = 60;
+        }
+    }
+}
+
+// Exporter la classe
+window.LivePreview = LivePreview;
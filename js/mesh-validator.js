@@ -0,0 +1,510 @@
+/**
+ * MeshValidator - Contrôle et réparation des maillages avant l'export
+ * Vérifie qu'un maillage est étanche (chaque arête partagée par exactement deux triangles),
+ * sans triangle dégénéré, avec des normales orientées de façon cohérente vers l'extérieur
+ * et sans auto-intersection. Les défauts courants peuvent être réparés: soudure des sommets,
+ * suppression des triangles dégénérés et réorientation des normales.
+ */
+class MeshValidator {
+    /**
+     * @param {Object} options - Réglages
+     * @param {number} options.weldTolerance - Distance (mm) sous laquelle deux sommets sont soudés lors d'une réparation
+     * @param {number} options.maxIntersectionTests - Nombre maximal de paires de triangles testées (auto-intersections)
+     */
+    constructor(options = {}) {
+        this.weldTolerance = options.weldTolerance || 0.001;
+        this.maxIntersectionTests = options.maxIntersectionTests || 2000000;
+    }
+
+    /**
+     * Analyse des maillages
+     * Les contrôles portent sur l'ensemble des triangles exportés, en coordonnées du monde:
+     * deux pièces qui se chevauchent ou se touchent par une face sont signalées
+     * (auto-intersections, arêtes non manifold), comme le verrait le trancheur.
+     * Pour un export en objets séparés (3MF, archive de STL) ou un modèle multicolore,
+     * dont les corps se touchent par construction, chaque corps est contrôlé seul.
+     * @param {Array} meshes - Maillages THREE.js
+     * @param {Object} options - Réglages
+     * @param {boolean} options.separateBodies - true pour contrôler chaque maillage séparément
+     * @returns {Object} - Rapport {triangles, bounds, size, bodies, openEdges, nonManifoldEdges,
+     * degenerate, flipped, selfIntersections, intersectionsComplete, watertight, valid, fixable}
+     */
+    validate(meshes, options = {}) {
+        const report = {
+            triangles: 0,
+            bounds: null,
+            size: null,
+            bodies: []
+        };
+
+        const box = new THREE.Box3();
+        meshes.forEach((mesh, index) => {
+            mesh.updateMatrixWorld(true);
+            box.expandByObject(mesh);
+
+            const indexAttribute = mesh.geometry.getIndex();
+            const count = indexAttribute ? indexAttribute.count : mesh.geometry.getAttribute('position').count;
+            report.bodies.push({ name: mesh.name || `piece_${index + 1}`, triangles: Math.floor(count / 3) });
+        });
+
+        // Défauts de chaque corps pris seul: ce sont les seuls que la réparation peut corriger
+        const alone = options.separateBodies || meshes.length <= 1;
+        const separate = meshes.map(mesh => {
+            const { positions, triangles } = this.indexMeshes([mesh], 1e-6);
+            return this.validateTriangles(positions, triangles, alone);
+        });
+
+        if (alone) {
+            Object.assign(report, {
+                triangles: 0,
+                openEdges: 0,
+                nonManifoldEdges: 0,
+                degenerate: 0,
+                flipped: 0,
+                selfIntersections: 0,
+                intersectionsComplete: true
+            });
+            for (const body of separate) {
+                for (const key of ['triangles', 'openEdges', 'nonManifoldEdges', 'degenerate', 'flipped', 'selfIntersections']) {
+                    report[key] += body[key];
+                }
+                report.intersectionsComplete = report.intersectionsComplete && body.intersectionsComplete;
+            }
+        } else {
+            const { positions, triangles } = this.indexMeshes(meshes, 1e-6);
+            Object.assign(report, this.validateTriangles(positions, triangles));
+        }
+
+        if (!box.isEmpty()) {
+            const size = box.getSize(new THREE.Vector3());
+            report.bounds = { min: box.min.clone(), max: box.max.clone() };
+            report.size = { x: size.x, y: size.y, z: size.z };
+        }
+
+        report.watertight = report.openEdges === 0 && report.nonManifoldEdges === 0;
+        report.valid = report.watertight && report.degenerate === 0 &&
+            report.flipped === 0 && report.selfIntersections === 0;
+        // Les arêtes ouvertes peuvent venir de sommets presque confondus: la soudure peut les refermer.
+        // Le contact entre deux corps distincts ne se répare pas
+        report.fixable = separate.some(body => body.degenerate > 0 || body.flipped > 0 || body.openEdges > 0);
+
+        return report;
+    }
+
+    /**
+     * Analyse une géométrie
+     * @param {THREE.BufferGeometry} geometry - Géométrie à analyser
+     * @returns {Object} - {triangles, openEdges, nonManifoldEdges, degenerate, flipped,
+     * selfIntersections, intersectionsComplete}
+     */
+    validateGeometry(geometry) {
+        // Sommets identiques (à la précision du calcul près) confondus pour retrouver la topologie
+        const { positions, triangles } = this.indexTriangles(geometry, 1e-6);
+        return this.validateTriangles(positions, triangles);
+    }
+
+    /**
+     * Analyse un ensemble de triangles indexés
+     * @param {Array} positions - Coordonnées des sommets
+     * @param {Array} triangles - Triangles [a, b, c]
+     * @param {boolean} intersections - false pour ne pas chercher les auto-intersections
+     * @returns {Object} - Voir validateGeometry
+     */
+    validateTriangles(positions, triangles, intersections = true) {
+        const degenerate = triangles.filter(triangle => this.isDegenerate(positions, triangle));
+        const valid = triangles.filter(triangle => !this.isDegenerate(positions, triangle));
+
+        const edges = this.collectEdges(valid);
+        let openEdges = 0;
+        let nonManifoldEdges = 0;
+        for (const uses of edges.values()) {
+            if (uses.length === 1) openEdges++;
+            else if (uses.length > 2) nonManifoldEdges++;
+        }
+
+        const flips = this.computeOrientation(positions, valid, edges);
+        const found = intersections ? this.countSelfIntersections(positions, valid) : { count: 0, complete: true };
+
+        return {
+            triangles: triangles.length,
+            openEdges,
+            nonManifoldEdges,
+            degenerate: degenerate.length,
+            flipped: flips.filter(Boolean).length,
+            selfIntersections: found.count,
+            intersectionsComplete: found.complete
+        };
+    }
+
+    /**
+     * Répare des maillages (leurs géométries sont remplacées) puis les analyse à nouveau
+     * @param {Array} meshes - Maillages THREE.js
+     * @param {Object} options - Réglages du contrôle (voir validate)
+     * @returns {Object} - Rapport après réparation (voir validate)
+     */
+    repair(meshes, options = {}) {
+        for (const mesh of meshes) {
+            const repaired = this.repairGeometry(mesh.geometry);
+            mesh.geometry.dispose();
+            mesh.geometry = repaired;
+        }
+        return this.validate(meshes, options);
+    }
+
+    /**
+     * Répare une géométrie: soudure des sommets, suppression des triangles dégénérés
+     * ou en double, normales réorientées de façon cohérente et vers l'extérieur
+     * @param {THREE.BufferGeometry} geometry - Géométrie d'origine
+     * @returns {THREE.BufferGeometry} - Nouvelle géométrie indexée
+     */
+    repairGeometry(geometry) {
+        const { positions, triangles } = this.indexTriangles(geometry, this.weldTolerance);
+
+        // Triangles dégénérés et doublons (mêmes sommets, quel que soit l'ordre)
+        const seen = new Set();
+        const kept = triangles.filter(triangle => {
+            if (this.isDegenerate(positions, triangle)) return false;
+            const key = triangle.slice().sort((a, b) => a - b).join(',');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        const flips = this.computeOrientation(positions, kept, this.collectEdges(kept));
+        const index = [];
+        kept.forEach((triangle, i) => {
+            if (flips[i]) {
+                index.push(triangle[0], triangle[2], triangle[1]);
+            } else {
+                index.push(triangle[0], triangle[1], triangle[2]);
+            }
+        });
+
+        const repaired = new THREE.BufferGeometry();
+        repaired.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        repaired.setIndex(index);
+        repaired.computeVertexNormals();
+        return repaired;
+    }
+
+    /**
+     * Lit les triangles de plusieurs maillages en coordonnées du monde, en confondant les sommets
+     * proches: les sommets communs à deux pièces qui se touchent sont partagés
+     * @param {Array} meshes - Maillages THREE.js (matrices du monde à jour)
+     * @param {number} tolerance - Taille de la grille de soudure
+     * @returns {Object} - {positions, triangles} (voir indexTriangles)
+     */
+    indexMeshes(meshes, tolerance) {
+        const target = { positions: [], triangles: [], ids: new Map() };
+        for (const mesh of meshes) {
+            this.indexTriangles(mesh.geometry, tolerance, mesh.matrixWorld, target);
+        }
+        return { positions: target.positions, triangles: target.triangles };
+    }
+
+    /**
+     * Lit les triangles d'une géométrie en confondant les sommets proches
+     * @param {THREE.BufferGeometry} geometry - Géométrie
+     * @param {number} tolerance - Taille de la grille de soudure
+     * @param {THREE.Matrix4} matrix - Transformation appliquée aux sommets (optionnelle)
+     * @param {Object} target - Résultat à compléter {positions, triangles, ids} (optionnel)
+     * @returns {Object} - {positions: coordonnées x, y, z à plat, triangles: indices [a, b, c]}
+     */
+    indexTriangles(geometry, tolerance, matrix = null, target = null) {
+        const source = geometry.getAttribute('position');
+        const sourceIndex = geometry.getIndex();
+        const count = sourceIndex ? sourceIndex.count : source.count;
+
+        const positions = target ? target.positions : [];
+        const ids = target ? target.ids : new Map();
+        const remap = new Int32Array(source.count).fill(-1);
+        const vertex = new THREE.Vector3();
+        const vertexId = (i) => {
+            if (remap[i] >= 0) return remap[i];
+
+            vertex.fromBufferAttribute(source, i);
+            if (matrix) vertex.applyMatrix4(matrix);
+            const { x, y, z } = vertex;
+            const key = `${Math.round(x / tolerance)},${Math.round(y / tolerance)},${Math.round(z / tolerance)}`;
+            let id = ids.get(key);
+            if (id === undefined) {
+                id = positions.length / 3;
+                ids.set(key, id);
+                positions.push(x, y, z);
+            }
+            remap[i] = id;
+            return id;
+        };
+
+        const triangles = target ? target.triangles : [];
+        for (let i = 0; i + 2 < count; i += 3) {
+            const a = sourceIndex ? sourceIndex.getX(i) : i;
+            const b = sourceIndex ? sourceIndex.getX(i + 1) : i + 1;
+            const c = sourceIndex ? sourceIndex.getX(i + 2) : i + 2;
+            triangles.push([vertexId(a), vertexId(b), vertexId(c)]);
+        }
+
+        return { positions, triangles };
+    }
+
+    /**
+     * Indique si un triangle est dégénéré (sommets confondus ou aire quasi nulle)
+     * @param {Array} positions - Coordonnées des sommets
+     * @param {Array} triangle - Indices [a, b, c]
+     * @returns {boolean} - true si le triangle est dégénéré
+     */
+    isDegenerate(positions, triangle) {
+        const [a, b, c] = triangle;
+        if (a === b || b === c || a === c) return true;
+
+        const normal = this.triangleNormal(positions, triangle);
+        const doubleArea = Math.hypot(normal[0], normal[1], normal[2]);
+
+        // Aire comparée au carré de la plus longue arête (triangle aplati)
+        let longest = 0;
+        for (const [p, q] of [[a, b], [b, c], [c, a]]) {
+            const dx = positions[q * 3] - positions[p * 3];
+            const dy = positions[q * 3 + 1] - positions[p * 3 + 1];
+            const dz = positions[q * 3 + 2] - positions[p * 3 + 2];
+            longest = Math.max(longest, dx * dx + dy * dy + dz * dz);
+        }
+        return doubleArea <= 1e-12 || doubleArea <= longest * 1e-9;
+    }
+
+    /**
+     * Normale non normalisée d'un triangle (produit vectoriel, longueur = deux fois l'aire)
+     * @param {Array} positions - Coordonnées des sommets
+     * @param {Array} triangle - Indices [a, b, c]
+     * @returns {Array} - Vecteur [x, y, z]
+     */
+    triangleNormal(positions, triangle) {
+        const [a, b, c] = triangle.map(index => index * 3);
+        const ux = positions[b] - positions[a];
+        const uy = positions[b + 1] - positions[a + 1];
+        const uz = positions[b + 2] - positions[a + 2];
+        const vx = positions[c] - positions[a];
+        const vy = positions[c + 1] - positions[a + 1];
+        const vz = positions[c + 2] - positions[a + 2];
+        return [uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx];
+    }
+
+    /**
+     * Recense les arêtes et les triangles qui les utilisent
+     * @param {Array} triangles - Triangles [a, b, c]
+     * @returns {Map} - Clé "min,max" -> liste {triangle, forward} (forward: arête parcourue de min vers max)
+     */
+    collectEdges(triangles) {
+        const edges = new Map();
+        triangles.forEach((triangle, index) => {
+            for (let i = 0; i < 3; i++) {
+                const p = triangle[i];
+                const q = triangle[(i + 1) % 3];
+                const key = p < q ? `${p},${q}` : `${q},${p}`;
+                if (!edges.has(key)) edges.set(key, []);
+                edges.get(key).push({ triangle: index, forward: p < q });
+            }
+        });
+        return edges;
+    }
+
+    /**
+     * Calcule les triangles à retourner pour une orientation cohérente et tournée vers l'extérieur
+     * Deux triangles voisins doivent parcourir leur arête commune en sens opposés; chaque
+     * partie connexe est ensuite retournée en bloc si son volume signé est négatif.
+     * @param {Array} positions - Coordonnées des sommets
+     * @param {Array} triangles - Triangles [a, b, c]
+     * @param {Map} edges - Arêtes (voir collectEdges)
+     * @returns {Array} - true pour chaque triangle à retourner
+     */
+    computeOrientation(positions, triangles, edges) {
+        const flips = new Array(triangles.length).fill(false);
+        const visited = new Uint8Array(triangles.length);
+        const neighbors = triangles.map(() => []);
+
+        // Seules les arêtes manifold (deux triangles) propagent l'orientation
+        for (const uses of edges.values()) {
+            if (uses.length !== 2) continue;
+            const [first, second] = uses;
+            const sameDirection = first.forward === second.forward;
+            neighbors[first.triangle].push({ triangle: second.triangle, sameDirection });
+            neighbors[second.triangle].push({ triangle: first.triangle, sameDirection });
+        }
+
+        for (let start = 0; start < triangles.length; start++) {
+            if (visited[start]) continue;
+
+            const component = [];
+            const stack = [start];
+            visited[start] = 1;
+            while (stack.length > 0) {
+                const current = stack.pop();
+                component.push(current);
+                for (const neighbor of neighbors[current].filter(item => !visited[item.triangle])) {
+                    // Même sens de parcours: un seul des deux triangles doit être retourné
+                    flips[neighbor.triangle] = neighbor.sameDirection ? !flips[current] : flips[current];
+                    visited[neighbor.triangle] = 1;
+                    stack.push(neighbor.triangle);
+                }
+            }
+
+            // Volume signé (théorème de la divergence): négatif si les normales pointent vers l'intérieur
+            let volume = 0;
+            for (const index of component) {
+                const [a, b, c] = triangles[index].map(vertex => vertex * 3);
+                const signed =
+                    positions[a] * (positions[b + 1] * positions[c + 2] - positions[b + 2] * positions[c + 1]) -
+                    positions[a + 1] * (positions[b] * positions[c + 2] - positions[b + 2] * positions[c]) +
+                    positions[a + 2] * (positions[b] * positions[c + 1] - positions[b + 1] * positions[c]);
+                volume += flips[index] ? -signed : signed;
+            }
+            if (volume < 0) {
+                for (const index of component) {
+                    flips[index] = !flips[index];
+                }
+            }
+        }
+
+        return flips;
+    }
+
+    /**
+     * Compte les paires de triangles qui se traversent (sans sommet commun)
+     * Les triangles sont répartis dans une grille régulière selon leur boîte englobante;
+     * seuls les triangles d'une même case sont comparés. Le nombre de paires testées est limité.
+     * @param {Array} positions - Coordonnées des sommets
+     * @param {Array} triangles - Triangles [a, b, c]
+     * @returns {Object} - {count, complete: false si la limite de tests a été atteinte}
+     */
+    countSelfIntersections(positions, triangles) {
+        if (triangles.length < 2) return { count: 0, complete: true };
+
+        const boxes = triangles.map(triangle => {
+            const box = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+            for (const vertex of triangle) {
+                for (let axis = 0; axis < 3; axis++) {
+                    box.min[axis] = Math.min(box.min[axis], positions[vertex * 3 + axis]);
+                    box.max[axis] = Math.max(box.max[axis], positions[vertex * 3 + axis]);
+                }
+            }
+            return box;
+        });
+
+        // Taille des cases: l'étendue moyenne des triangles
+        let extent = 0;
+        for (const box of boxes) {
+            extent += Math.max(box.max[0] - box.min[0], box.max[1] - box.min[1], box.max[2] - box.min[2]);
+        }
+        const cellSize = Math.max(extent / boxes.length, 1e-6);
+        const cell = (value) => Math.floor(value / cellSize);
+
+        const grid = new Map();
+        boxes.forEach((box, index) => {
+            for (let x = cell(box.min[0]); x <= cell(box.max[0]); x++) {
+                for (let y = cell(box.min[1]); y <= cell(box.max[1]); y++) {
+                    for (let z = cell(box.min[2]); z <= cell(box.max[2]); z++) {
+                        const key = `${x},${y},${z}`;
+                        if (!grid.has(key)) grid.set(key, []);
+                        grid.get(key).push(index);
+                    }
+                }
+            }
+        });
+
+        let count = 0;
+        let tests = 0;
+        for (const [key, members] of grid) {
+            const [cellX, cellY, cellZ] = key.split(',').map(Number);
+
+            for (let i = 0; i < members.length; i++) {
+                const box = boxes[members[i]];
+                for (let j = i + 1; j < members.length; j++) {
+                    const other = boxes[members[j]];
+                    const overlap = [0, 1, 2].map(axis => Math.max(box.min[axis], other.min[axis]));
+                    if ([0, 1, 2].some(axis => overlap[axis] > Math.min(box.max[axis], other.max[axis]))) continue;
+
+                    // Une paire partage plusieurs cases: elle n'est testée que dans celle du coin de leur zone commune
+                    if (cell(overlap[0]) !== cellX || cell(overlap[1]) !== cellY || cell(overlap[2]) !== cellZ) continue;
+
+                    const triangle = triangles[members[i]];
+                    const otherTriangle = triangles[members[j]];
+                    if (triangle.some(vertex => otherTriangle.includes(vertex))) continue;
+
+                    if (++tests > this.maxIntersectionTests) {
+                        return { count, complete: false };
+                    }
+                    if (this.trianglesIntersect(positions, triangle, otherTriangle)) count++;
+                }
+            }
+        }
+
+        return { count, complete: true };
+    }
+
+    /**
+     * Indique si deux triangles non coplanaires se traversent
+     * (une arête de l'un perce l'autre; un simple contact n'est pas compté)
+     * @param {Array} positions - Coordonnées des sommets
+     * @param {Array} first - Indices du premier triangle
+     * @param {Array} second - Indices du second triangle
+     * @returns {boolean} - true si les triangles se traversent
+     */
+    trianglesIntersect(positions, first, second) {
+        const point = (index) => [positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]];
+        const a = first.map(point);
+        const b = second.map(point);
+
+        // Rejet rapide: tous les sommets d'un triangle du même côté du plan de l'autre
+        const separated = (triangle, normal, others) => {
+            const offset = normal[0] * triangle[0][0] + normal[1] * triangle[0][1] + normal[2] * triangle[0][2];
+            const length = Math.hypot(normal[0], normal[1], normal[2]);
+            const epsilon = 1e-9 * Math.max(1, length);
+            const sides = others.map(p => normal[0] * p[0] + normal[1] * p[1] + normal[2] * p[2] - offset);
+            return sides.every(side => side > -epsilon) || sides.every(side => side < epsilon);
+        };
+        const normalA = this.triangleNormal(positions, first);
+        const normalB = this.triangleNormal(positions, second);
+        if (separated(a, normalA, b) || separated(b, normalB, a)) return false;
+
+        for (let i = 0; i < 3; i++) {
+            if (this.segmentCrossesTriangle(a[i], a[(i + 1) % 3], b)) return true;
+            if (this.segmentCrossesTriangle(b[i], b[(i + 1) % 3], a)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Indique si un segment traverse l'intérieur d'un triangle (Möller-Trumbore)
+     * @param {Array} start - Début du segment [x, y, z]
+     * @param {Array} end - Fin du segment [x, y, z]
+     * @param {Array} triangle - Sommets du triangle
+     * @returns {boolean} - true si le segment traverse le triangle
+     */
+    segmentCrossesTriangle(start, end, triangle) {
+        const epsilon = 1e-9;
+        const sub = (u, v) => [u[0] - v[0], u[1] - v[1], u[2] - v[2]];
+        const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        const dot = (u, v) => u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+
+        const direction = sub(end, start);
+        const edge1 = sub(triangle[1], triangle[0]);
+        const edge2 = sub(triangle[2], triangle[0]);
+        const p = cross(direction, edge2);
+        const determinant = dot(edge1, p);
+        if (Math.abs(determinant) < epsilon) return false;
+
+        const inverse = 1 / determinant;
+        const s = sub(start, triangle[0]);
+        const u = dot(s, p) * inverse;
+        if (u <= epsilon || u >= 1 - epsilon) return false;
+
+        const q = cross(s, edge1);
+        const v = dot(direction, q) * inverse;
+        if (v <= epsilon || u + v >= 1 - epsilon) return false;
+
+        const t = dot(edge2, q) * inverse;
+        return t > epsilon && t < 1 - epsilon;
+    }
+}
+
+// Exporter la classe
+window.MeshValidator = MeshValidator;
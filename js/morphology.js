@@ -0,0 +1,290 @@
+/**
+ * Morphology - Opérations morphologiques sur une image binaire
+ * Les masques sont des Uint8Array d'un octet par pixel: 1 = noir (dessin), 0 = blanc (fond).
+ * Permet d'épaissir les traits fins, de refermer les petites coupures des contours
+ * et de nettoyer les petits trous ou points isolés avant la vectorisation.
+ */
+class Morphology {
+    /**
+     * Applique une suite d'opérations configurées par l'utilisateur
+     * @param {Uint8Array} mask - Masque binaire (modifié sur place)
+     * @param {number} width - Largeur de l'image
+     * @param {number} height - Hauteur de l'image
+     * @param {Object} options - Réglages
+     * @param {string} options.operation - 'none', 'erode', 'dilate', 'open' ou 'close'
+     * @param {number} options.radius - Rayon de l'élément structurant en pixels
+     * @param {string} options.shape - Forme de l'élément structurant: 'square', 'disk' ou 'cross'
+     * @param {number} options.fillHoles - Aire maximale (px²) des trous à boucher, 0 pour désactiver
+     * @param {number} options.removeSpecks - Aire maximale (px²) des points isolés à supprimer, 0 pour désactiver
+     * @returns {Uint8Array} - Masque traité
+     */
+    static apply(mask, width, height, options = {}) {
+        const radius = Math.max(0, Math.round(options.radius || 0));
+        const shape = options.shape || 'disk';
+        let result = mask;
+
+        if (radius > 0) {
+            switch (options.operation) {
+                case 'erode':
+                    result = Morphology.erode(result, width, height, radius, shape);
+                    break;
+                case 'dilate':
+                    result = Morphology.dilate(result, width, height, radius, shape);
+                    break;
+                case 'open':
+                    result = Morphology.open(result, width, height, radius, shape);
+                    break;
+                case 'close':
+                    result = Morphology.close(result, width, height, radius, shape);
+                    break;
+            }
+        }
+
+        if (options.fillHoles > 0) {
+            Morphology.fillHoles(result, width, height, options.fillHoles);
+        }
+        if (options.removeSpecks > 0) {
+            Morphology.removeSpecks(result, width, height, options.removeSpecks);
+        }
+
+        if (result !== mask) {
+            mask.set(result);
+        }
+        return mask;
+    }
+
+    /**
+     * Érosion: amincit le dessin (un pixel reste noir si tout son voisinage est noir)
+     * Hors de l'image, les pixels sont considérés comme noirs: le dessin n'est pas rongé par le bord.
+     * @param {Uint8Array} mask - Masque binaire
+     * @param {number} width - Largeur de l'image
+     * @param {number} height - Hauteur de l'image
+     * @param {number} radius - Rayon de l'élément structurant
+     * @param {string} shape - 'square', 'disk' ou 'cross'
+     * @returns {Uint8Array} - Nouveau masque
+     */
+    static erode(mask, width, height, radius, shape = 'disk') {
+        // L'érosion du dessin est la dilatation du fond
+        return Morphology.invert(Morphology.dilate(Morphology.invert(mask), width, height, radius, shape));
+    }
+
+    /**
+     * Dilatation: épaissit le dessin (un pixel devient noir si un voisin est noir)
+     * Hors de l'image, les pixels sont considérés comme blancs.
+     * @param {Uint8Array} mask - Masque binaire
+     * @param {number} width - Largeur de l'image
+     * @param {number} height - Hauteur de l'image
+     * @param {number} radius - Rayon de l'élément structurant
+     * @param {string} shape - 'square', 'disk' ou 'cross'
+     * @returns {Uint8Array} - Nouveau masque
+     */
+    static dilate(mask, width, height, radius, shape = 'disk') {
+        if (shape === 'square') {
+            // Élément séparable: une passe horizontale puis une passe verticale
+            return Morphology.dilateLine(Morphology.dilateLine(mask, width, height, radius, 1, 0),
+                width, height, radius, 0, 1);
+        }
+
+        if (shape === 'cross') {
+            // Union d'un segment horizontal et d'un segment vertical
+            const horizontal = Morphology.dilateLine(mask, width, height, radius, 1, 0);
+            const vertical = Morphology.dilateLine(mask, width, height, radius, 0, 1);
+            for (let i = 0; i < horizontal.length; i++) {
+                horizontal[i] |= vertical[i];
+            }
+            return horizontal;
+        }
+
+        // Disque: chaque ligne du disque est un segment horizontal de demi-largeur connue
+        const rowHalfWidths = [];
+        for (let dy = -radius; dy <= radius; dy++) {
+            rowHalfWidths.push(Math.floor(Math.sqrt(radius * radius - dy * dy)));
+        }
+
+        const result = new Uint8Array(width * height);
+        const spans = {};
+        for (const halfWidth of new Set(rowHalfWidths)) {
+            spans[halfWidth] = Morphology.dilateLine(mask, width, height, halfWidth, 1, 0);
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let dy = -radius; dy <= radius; dy++) {
+                const sy = y + dy;
+                if (sy < 0 || sy >= height) continue;
+
+                const span = spans[rowHalfWidths[dy + radius]];
+                const row = y * width;
+                const sourceRow = sy * width;
+                for (let x = 0; x < width; x++) {
+                    result[row + x] |= span[sourceRow + x];
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Dilatation par un segment centré, en temps linéaire (compteur glissant)
+     * @param {Uint8Array} mask - Masque binaire
+     * @param {number} width - Largeur de l'image
+     * @param {number} height - Hauteur de l'image
+     * @param {number} radius - Demi-longueur du segment
+     * @param {number} dx - 1 pour un segment horizontal
+     * @param {number} dy - 1 pour un segment vertical
+     * @returns {Uint8Array} - Nouveau masque
+     */
+    static dilateLine(mask, width, height, radius, dx, dy) {
+        const result = new Uint8Array(width * height);
+        const length = dx ? width : height;
+        const lines = dx ? height : width;
+        const step = dx ? 1 : width;
+
+        for (let line = 0; line < lines; line++) {
+            const start = dx ? line * width : line;
+
+            // Nombre de pixels noirs dans la fenêtre [i - radius, i + radius]
+            let count = 0;
+            for (let i = 0; i < Math.min(radius, length); i++) {
+                count += mask[start + i * step];
+            }
+
+            for (let i = 0; i < length; i++) {
+                if (i + radius < length) count += mask[start + (i + radius) * step];
+                if (i - radius - 1 >= 0) count -= mask[start + (i - radius - 1) * step];
+                result[start + i * step] = count > 0 ? 1 : 0;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Ouverture (érosion puis dilatation): supprime les points et filaments plus fins que l'élément
+     * @param {Uint8Array} mask - Masque binaire
+     * @param {number} width - Largeur de l'image
+     * @param {number} height - Hauteur de l'image
+     * @param {number} radius - Rayon de l'élément structurant
+     * @param {string} shape - 'square', 'disk' ou 'cross'
+     * @returns {Uint8Array} - Nouveau masque
+     */
+    static open(mask, width, height, radius, shape = 'disk') {
+        return Morphology.dilate(Morphology.erode(mask, width, height, radius, shape), width, height, radius, shape);
+    }
+
+    /**
+     * Fermeture (dilatation puis érosion): referme les coupures et les petits creux du dessin
+     * @param {Uint8Array} mask - Masque binaire
+     * @param {number} width - Largeur de l'image
+     * @param {number} height - Hauteur de l'image
+     * @param {number} radius - Rayon de l'élément structurant
+     * @param {string} shape - 'square', 'disk' ou 'cross'
+     * @returns {Uint8Array} - Nouveau masque
+     */
+    static close(mask, width, height, radius, shape = 'disk') {
+        return Morphology.erode(Morphology.dilate(mask, width, height, radius, shape), width, height, radius, shape);
+    }
+
+    /**
+     * Inverse un masque binaire
+     * @param {Uint8Array} mask - Masque binaire
+     * @returns {Uint8Array} - Nouveau masque
+     */
+    static invert(mask) {
+        const result = new Uint8Array(mask.length);
+        for (let i = 0; i < mask.length; i++) {
+            result[i] = mask[i] ? 0 : 1;
+        }
+        return result;
+    }
+
+    /**
+     * Bouche les trous (zones blanches entourées de noir) plus petits que l'aire donnée
+     * Les zones blanches qui touchent le bord de l'image font partie du fond et sont conservées.
+     * @param {Uint8Array} mask - Masque binaire (modifié sur place)
+     * @param {number} width - Largeur de l'image
+     * @param {number} height - Hauteur de l'image
+     * @param {number} maxArea - Aire maximale en pixels
+     * @returns {Uint8Array} - Masque modifié
+     */
+    static fillHoles(mask, width, height, maxArea) {
+        Morphology.forEachComponent(mask, width, height, 0, (pixels, touchesBorder) => {
+            if (!touchesBorder && pixels.length <= maxArea) {
+                for (const index of pixels) {
+                    mask[index] = 1;
+                }
+            }
+        });
+        return mask;
+    }
+
+    /**
+     * Supprime les points isolés (zones noires) plus petits que l'aire donnée
+     * @param {Uint8Array} mask - Masque binaire (modifié sur place)
+     * @param {number} width - Largeur de l'image
+     * @param {number} height - Hauteur de l'image
+     * @param {number} maxArea - Aire maximale en pixels
+     * @returns {Uint8Array} - Masque modifié
+     */
+    static removeSpecks(mask, width, height, maxArea) {
+        Morphology.forEachComponent(mask, width, height, 1, (pixels) => {
+            if (pixels.length <= maxArea) {
+                for (const index of pixels) {
+                    mask[index] = 0;
+                }
+            }
+        });
+        return mask;
+    }
+
+    /**
+     * Parcourt les composantes connexes (4-connexité) d'une valeur donnée
+     * @param {Uint8Array} mask - Masque binaire
+     * @param {number} width - Largeur de l'image
+     * @param {number} height - Hauteur de l'image
+     * @param {number} value - Valeur des pixels à regrouper (0 ou 1)
+     * @param {Function} callback - Appelée avec (indices des pixels, touche le bord)
+     */
+    static forEachComponent(mask, width, height, value, callback) {
+        const visited = new Uint8Array(width * height);
+        const stack = [];
+
+        for (let start = 0; start < mask.length; start++) {
+            if (visited[start] || mask[start] !== value) continue;
+
+            const pixels = [];
+            let touchesBorder = false;
+            visited[start] = 1;
+            stack.push(start);
+
+            while (stack.length > 0) {
+                const index = stack.pop();
+                pixels.push(index);
+
+                const x = index % width;
+                const y = (index - x) / width;
+                if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+                    touchesBorder = true;
+                }
+
+                const neighbors = [
+                    x > 0 ? index - 1 : -1,
+                    x < width - 1 ? index + 1 : -1,
+                    y > 0 ? index - width : -1,
+                    y < height - 1 ? index + width : -1
+                ];
+                for (const neighbor of neighbors) {
+                    if (neighbor >= 0 && !visited[neighbor] && mask[neighbor] === value) {
+                        visited[neighbor] = 1;
+                        stack.push(neighbor);
+                    }
+                }
+            }
+
+            callback(pixels, touchesBorder);
+        }
+    }
+}
+
+// Exporter la classe
+window.Morphology = Morphology;
@@ -0,0 +1,380 @@
+/**
+ * PolygonUtils - Opérations sur les polygones 2D (décalage et booléens)
+ * S'appuie sur Clipper (ClipperLib), qui travaille en coordonnées entières.
+ *
+ * Les formes manipulées ont la structure {outer, holes} où outer est un contour
+ * (tableau de points {x, y}) et holes une liste de contours.
+ */
+class PolygonUtils {
+    /**
+     * Facteur de conversion vers les coordonnées entières de Clipper
+     * (1000 = précision du micron pour des coordonnées en mm)
+     */
+    static get SCALE() {
+        return 1000;
+    }
+
+    /**
+     * Vérifie que Clipper est chargé
+     * @returns {boolean} - true si les opérations sur les polygones sont disponibles
+     */
+    static isAvailable() {
+        return typeof ClipperLib !== 'undefined';
+    }
+
+    /**
+     * Calcule l'aire signée d'un contour (formule du lacet)
+     * @param {Array} contour - Points du contour
+     * @returns {number} - Aire signée
+     */
+    static signedArea(contour) {
+        let area = 0;
+        for (let i = 0; i < contour.length; i++) {
+            const j = (i + 1) % contour.length;
+            area += contour[i].x * contour[j].y;
+            area -= contour[j].x * contour[i].y;
+        }
+        return area / 2;
+    }
+
+    /**
+     * Indique si un point est à l'intérieur d'un contour (lancer de rayon)
+     * @param {Object} point - Point {x, y}
+     * @param {Array} contour - Points du contour
+     * @returns {boolean} - true si le point est à l'intérieur
+     */
+    static containsPoint(point, contour) {
+        let inside = false;
+        for (let i = 0, j = contour.length - 1; i < contour.length; j = i++) {
+            const a = contour[i];
+            const b = contour[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Indique si un contour est à l'intérieur d'un autre
+     * Plusieurs sommets répartis sur le contour votent: un sommet posé sur le bord
+     * du parent (fréquent pour des contours tracés au pixel près) ne fausse pas le résultat.
+     * @param {Array} inner - Contour testé
+     * @param {Array} outer - Contour englobant potentiel
+     * @returns {boolean} - true si inner est contenu dans outer
+     */
+    static containsContour(inner, outer) {
+        const samples = Math.min(inner.length, 7);
+        let inside = 0;
+        for (let i = 0; i < samples; i++) {
+            const point = inner[Math.floor(i * inner.length / samples)];
+            if (PolygonUtils.containsPoint(point, outer)) inside++;
+        }
+        return inside * 2 > samples;
+    }
+
+    /**
+     * Construit l'arbre d'inclusion des contours: chaque contour a pour parent
+     * le plus petit contour qui le contient
+     * @param {Array} contours - Contours (tableaux de points {x, y})
+     * @returns {Array} - Nœuds {contour, index, area, signedArea, depth, parent, children},
+     * dans l'ordre des contours reçus (depth = 0 pour un contour qui n'est contenu dans aucun autre)
+     */
+    static buildContourTree(contours) {
+        const nodes = contours.map((contour, index) => {
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            for (const point of contour) {
+                minX = Math.min(minX, point.x);
+                minY = Math.min(minY, point.y);
+                maxX = Math.max(maxX, point.x);
+                maxY = Math.max(maxY, point.y);
+            }
+            const signedArea = PolygonUtils.signedArea(contour);
+            return {
+                contour, index, signedArea,
+                area: Math.abs(signedArea),
+                bounds: { minX, minY, maxX, maxY },
+                depth: 0, parent: null, children: []
+            };
+        });
+
+        const encloses = (outer, inner) => outer.area > inner.area &&
+            outer.bounds.minX <= inner.bounds.minX && outer.bounds.maxX >= inner.bounds.maxX &&
+            outer.bounds.minY <= inner.bounds.minY && outer.bounds.maxY >= inner.bounds.maxY &&
+            PolygonUtils.containsContour(inner.contour, outer.contour);
+
+        // Du plus grand au plus petit: un parent est toujours placé avant ses enfants
+        const roots = [];
+        const sorted = nodes.slice().sort((a, b) => b.area - a.area);
+        for (const node of sorted) {
+            let siblings = roots;
+            let parent = null;
+
+            // Descendre dans l'arbre tant qu'un enfant contient le contour
+            let descending = true;
+            while (descending) {
+                const container = siblings.find(candidate => encloses(candidate, node));
+                if (container) {
+                    parent = container;
+                    siblings = container.children;
+                } else {
+                    descending = false;
+                }
+            }
+
+            node.parent = parent;
+            node.depth = parent ? parent.depth + 1 : 0;
+            siblings.push(node);
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Regroupe des contours en formes d'après leur arbre d'inclusion
+     * Un trou n'appartient qu'à son parent direct; un îlot dans un trou forme une nouvelle forme.
+     * @param {Array} contours - Contours (tableaux de points {x, y})
+     * @param {string} fillRule - 'evenodd': la profondeur d'imbrication décide (pair = matière, impair = trou);
+     * 'orientation': l'aire signée décide (positive = matière, négative = trou), un trou
+     * dont le parent direct n'est pas de la matière est ignoré
+     * @returns {Array} - Formes {outer, holes}, contours extérieurs d'aire positive et trous d'aire négative
+     */
+    static nestContours(contours, fillRule = 'evenodd') {
+        const nodes = PolygonUtils.buildContourTree(contours.filter(contour => contour.length >= 3));
+        const isSolid = (node) => fillRule === 'orientation' ? node.signedArea > 0 : node.depth % 2 === 0;
+        const oriented = (node, positive) => (node.signedArea > 0) === positive ?
+            node.contour : node.contour.slice().reverse();
+
+        const shapes = new Map();
+        for (const node of nodes) {
+            if (isSolid(node)) {
+                shapes.set(node, { outer: oriented(node, true), holes: [] });
+            }
+        }
+        for (const node of nodes) {
+            if (!isSolid(node) && node.parent && shapes.has(node.parent)) {
+                shapes.get(node.parent).holes.push(oriented(node, false));
+            }
+        }
+
+        return Array.from(shapes.values());
+    }
+
+    /**
+     * Oriente des contours selon leur profondeur d'imbrication (règle pair-impair),
+     * sans Clipper: utile quand la bibliothèque n'est pas chargée
+     * @param {Array} contours - Contours
+     * @returns {Array} - Contours extérieurs d'aire positive, trous d'aire négative
+     */
+    static orientByNesting(contours) {
+        return PolygonUtils.buildContourTree(contours).map(node => {
+            const wantPositive = node.depth % 2 === 0;
+            return (node.signedArea > 0) === wantPositive ? node.contour : node.contour.slice().reverse();
+        });
+    }
+
+    /**
+     * Crée des formes sans trou à partir d'une liste de contours
+     * @param {Array} contours - Liste de contours
+     * @returns {Array} - Formes {outer, holes}
+     */
+    static fromContours(contours) {
+        return contours.map(contour => ({ outer: contour, holes: [] }));
+    }
+
+    /**
+     * Convertit un contour en chemin Clipper
+     * @param {Array} contour - Points {x, y}
+     * @param {boolean} positive - Orientation voulue (true = aire signée positive)
+     * @returns {Array} - Chemin Clipper {X, Y}
+     */
+    static toClipperPath(contour, positive) {
+        const scale = PolygonUtils.SCALE;
+        const path = contour.map(point => ({
+            X: Math.round(point.x * scale),
+            Y: Math.round(point.y * scale)
+        }));
+
+        if (ClipperLib.Clipper.Orientation(path) !== positive) {
+            path.reverse();
+        }
+
+        return path;
+    }
+
+    /**
+     * Convertit un chemin Clipper en contour
+     * @param {Array} path - Chemin Clipper {X, Y}
+     * @returns {Array} - Points {x, y}
+     */
+    static fromClipperPath(path) {
+        const scale = PolygonUtils.SCALE;
+        return path.map(point => ({ x: point.X / scale, y: point.Y / scale }));
+    }
+
+    /**
+     * Convertit des formes en chemins Clipper orientés
+     * (contours extérieurs positifs, trous négatifs)
+     * @param {Array} shapes - Formes {outer, holes}
+     * @returns {Array} - Chemins Clipper
+     */
+    static toClipperPaths(shapes) {
+        const paths = [];
+
+        for (const shape of shapes) {
+            if (shape.outer.length < 3) continue;
+            paths.push(PolygonUtils.toClipperPath(shape.outer, true));
+
+            for (const hole of shape.holes || []) {
+                if (hole.length < 3) continue;
+                paths.push(PolygonUtils.toClipperPath(hole, false));
+            }
+        }
+
+        return paths;
+    }
+
+    /**
+     * Convertit un arbre de polygones Clipper en formes
+     * @param {ClipperLib.PolyTree} polyTree - Résultat d'une opération Clipper
+     * @returns {Array} - Formes {outer, holes}
+     */
+    static fromPolyTree(polyTree) {
+        const shapes = [];
+
+        const visit = (node) => {
+            for (const child of node.Childs()) {
+                // Les enfants directs d'un nœud extérieur sont ses trous,
+                // les enfants des trous sont de nouvelles formes (îlots)
+                const shape = {
+                    outer: PolygonUtils.fromClipperPath(child.Contour()),
+                    holes: []
+                };
+
+                for (const hole of child.Childs()) {
+                    shape.holes.push(PolygonUtils.fromClipperPath(hole.Contour()));
+                    visit(hole);
+                }
+
+                shapes.push(shape);
+            }
+        };
+
+        visit(polyTree);
+
+        return shapes;
+    }
+
+    /**
+     * Exécute une opération booléenne
+     * @param {number} clipType - Type d'opération ClipperLib.ClipType
+     * @param {Array} subject - Formes sujet
+     * @param {Array} clip - Formes de découpe
+     * @returns {Array} - Formes résultantes
+     */
+    static execute(clipType, subject, clip = []) {
+        const clipper = new ClipperLib.Clipper();
+        // Résultat sans sommet partagé ni contour qui se touche lui-même (triangulation fiable)
+        clipper.StrictlySimple = true;
+        clipper.AddPaths(PolygonUtils.toClipperPaths(subject), ClipperLib.PolyType.ptSubject, true);
+        clipper.AddPaths(PolygonUtils.toClipperPaths(clip), ClipperLib.PolyType.ptClip, true);
+
+        const polyTree = new ClipperLib.PolyTree();
+        clipper.Execute(
+            clipType, polyTree,
+            ClipperLib.PolyFillType.pftNonZero,
+            ClipperLib.PolyFillType.pftNonZero
+        );
+
+        return PolygonUtils.fromPolyTree(polyTree);
+    }
+
+    /**
+     * Union de formes
+     * @param {Array} shapes - Formes à fusionner
+     * @returns {Array} - Formes fusionnées
+     */
+    static union(shapes) {
+        return PolygonUtils.execute(ClipperLib.ClipType.ctUnion, shapes);
+    }
+
+    /**
+     * Calcule la zone remplie par des contours selon une règle de remplissage
+     * Contrairement aux autres opérations, l'orientation des contours est conservée:
+     * avec la règle 'nonzero', elle décide des zones qui se compensent.
+     * @param {Array} contours - Contours (tableaux de points {x, y})
+     * @param {string} fillRule - 'nonzero' ou 'evenodd' (comme l'attribut SVG fill-rule)
+     * @returns {Array} - Formes {outer, holes}
+     */
+    static fill(contours, fillRule = 'nonzero') {
+        const scale = PolygonUtils.SCALE;
+        const paths = contours
+            .filter(contour => contour.length >= 3)
+            .map(contour => contour.map(point => ({
+                X: Math.round(point.x * scale),
+                Y: Math.round(point.y * scale)
+            })));
+        const fillType = fillRule === 'evenodd' ?
+            ClipperLib.PolyFillType.pftEvenOdd : ClipperLib.PolyFillType.pftNonZero;
+
+        const clipper = new ClipperLib.Clipper();
+        clipper.AddPaths(paths, ClipperLib.PolyType.ptSubject, true);
+
+        const polyTree = new ClipperLib.PolyTree();
+        clipper.Execute(ClipperLib.ClipType.ctUnion, polyTree, fillType, fillType);
+
+        return PolygonUtils.fromPolyTree(polyTree);
+    }
+
+    /**
+     * Différence de formes (subject - clip)
+     * @param {Array} subject - Formes de départ
+     * @param {Array} clip - Formes à retirer
+     * @returns {Array} - Formes résultantes
+     */
+    static difference(subject, clip) {
+        return PolygonUtils.execute(ClipperLib.ClipType.ctDifference, subject, clip);
+    }
+
+    /**
+     * Intersection de formes
+     * @param {Array} subject - Formes de départ
+     * @param {Array} clip - Formes à conserver
+     * @returns {Array} - Parties communes
+     */
+    static intersection(subject, clip) {
+        return PolygonUtils.execute(ClipperLib.ClipType.ctIntersection, subject, clip);
+    }
+
+    /**
+     * Décale (offset) des formes vers l'extérieur ou l'intérieur
+     * @param {Array} shapes - Formes à décaler
+     * @param {number} delta - Distance de décalage (positive = grossir, négative = amincir)
+     * @param {string} joinType - Type de jonction des angles: 'round', 'miter' ou 'square'
+     * @returns {Array} - Formes décalées
+     */
+    static offset(shapes, delta, joinType = 'round') {
+        const joinTypes = {
+            round: ClipperLib.JoinType.jtRound,
+            miter: ClipperLib.JoinType.jtMiter,
+            square: ClipperLib.JoinType.jtSquare
+        };
+
+        // Tolérance des arrondis: 0,02 unité (mm) au maximum
+        const offsetter = new ClipperLib.ClipperOffset(2, 0.02 * PolygonUtils.SCALE);
+        offsetter.AddPaths(
+            PolygonUtils.toClipperPaths(shapes),
+            joinTypes[joinType] !== undefined ? joinTypes[joinType] : ClipperLib.JoinType.jtRound,
+            ClipperLib.EndType.etClosedPolygon
+        );
+
+        const polyTree = new ClipperLib.PolyTree();
+        offsetter.Execute(polyTree, delta * PolygonUtils.SCALE);
+
+        return PolygonUtils.fromPolyTree(polyTree);
+    }
+}
+
+// Exporter la classe
+window.PolygonUtils = PolygonUtils;
@@ -0,0 +1,405 @@
+/**
+ * ProfileExtrusion - Extrusion d'une forme selon un profil de hauteur
+ * Le profil est une suite de niveaux {z, inset}: à la hauteur z, chaque contour est décalé
+ * de inset mm vers l'intérieur de la matière (les contours extérieurs rétrécissent, les trous
+ * s'agrandissent). Les parois relient les niveaux successifs et les deux niveaux extrêmes
+ * sont fermés par des faces planes (voir SolidBuilder): le solide reste étanche et ne déborde
+ * jamais de sa base.
+ * Un niveau peut aussi être mis à l'échelle (scale) et tourné (rotation, en radians) autour
+ * du centre de la forme.
+ * Sert aux chanfreins et aux arrondis des arêtes, à la dépouille, aux pyramides et à la torsion.
+ */
+class ProfileExtrusion {
+    /**
+     * Calcule le profil complet d'une extrusion: arêtes, dépouille ou pyramide, et torsion
+     * @param {number} height - Hauteur d'extrusion en mm
+     * @param {Object} edges - Réglages des arêtes (voir getEdgeProfile)
+     * @param {Object} taper - Réglages {type: 'none' | 'draft' | 'pyramid', angle, twist}
+     * @param {number} taper.angle - Angle de dépouille en degrés (positif: le dessus rétrécit, négatif: il s'élargit)
+     * @param {number} taper.twist - Rotation du dessus par rapport à la base, en degrés
+     * @returns {Array|null} - Niveaux {z, inset, scale, rotation} du bas vers le haut, null pour une extrusion droite
+     */
+    static getProfile(height, edges = {}, taper = {}) {
+        if (!(height > 0)) return null;
+
+        const pyramid = taper.type === 'pyramid';
+        const angle = taper.type === 'draft' ? Math.max(-60, Math.min(60, taper.angle || 0)) : 0;
+        const draft = Math.tan(angle * Math.PI / 180);
+        const twist = (taper.twist || 0) * Math.PI / 180;
+
+        // La pointe de la pyramide remplace l'arête du haut
+        const profile = ProfileExtrusion.getEdgeProfile(height, {
+            top: pyramid ? null : edges.top,
+            bottom: edges.bottom
+        });
+        if (!profile && !pyramid && !draft && !twist) return null;
+
+        let levels = profile || [{ z: 0, inset: 0 }, { z: height, inset: 0 }];
+
+        // Torsion: des niveaux intermédiaires limitent la rotation de chaque tranche à 3°
+        if (twist) {
+            const steps = Math.min(360, Math.ceil(Math.abs(twist) / (Math.PI / 60)));
+            levels = ProfileExtrusion.subdivide(levels, height / steps);
+        }
+
+        return levels.map(level => ({
+            z: level.z,
+            inset: level.inset + level.z * draft,
+            scale: pyramid ? 1 - level.z / height : 1,
+            rotation: twist * level.z / height
+        }));
+    }
+
+    /**
+     * Ajoute des niveaux intermédiaires (retrait interpolé) pour qu'aucune tranche
+     * ne dépasse la hauteur donnée
+     * @param {Array} levels - Niveaux {z, inset}
+     * @param {number} maxStep - Hauteur maximale d'une tranche en mm
+     * @returns {Array} - Nouveaux niveaux
+     */
+    static subdivide(levels, maxStep) {
+        const result = [levels[0]];
+        for (let i = 1; i < levels.length; i++) {
+            const from = levels[i - 1];
+            const to = levels[i];
+            const count = Math.max(1, Math.ceil((to.z - from.z) / maxStep - 1e-9));
+            for (let j = 1; j <= count; j++) {
+                const t = j / count;
+                result.push({ z: from.z + (to.z - from.z) * t, inset: from.inset + (to.inset - from.inset) * t });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Calcule le profil des arêtes (chanfreins ou arrondis en haut et en bas)
+     * @param {number} height - Hauteur d'extrusion en mm
+     * @param {Object} edges - Réglages {top, bottom}, chacun {type: 'none' | 'chamfer' | 'round', size, segments}
+     * @returns {Array|null} - Niveaux {z, inset} du bas vers le haut, null si aucune arête n'est travaillée
+     */
+    static getEdgeProfile(height, edges = {}) {
+        const read = (edge) => {
+            if (!edge || !edge.type || edge.type === 'none' || !(edge.size > 0)) return null;
+            return {
+                type: edge.type,
+                size: edge.size,
+                segments: edge.type === 'round' ? Math.max(1, Math.round(edge.segments || 1)) : 1
+            };
+        };
+        const top = read(edges.top);
+        const bottom = read(edges.bottom);
+        if ((!top && !bottom) || !(height > 0)) return null;
+
+        // Les deux arêtes se partagent la hauteur disponible
+        const total = (top ? top.size : 0) + (bottom ? bottom.size : 0);
+        const fit = total > height ? height / total : 1;
+
+        const levels = [];
+        if (bottom) {
+            const size = bottom.size * fit;
+            for (let i = 0; i <= bottom.segments; i++) {
+                const angle = i / bottom.segments * Math.PI / 2;
+                levels.push(bottom.type === 'round' ?
+                    { z: size - size * Math.cos(angle), inset: size - size * Math.sin(angle) } :
+                    { z: size * i / bottom.segments, inset: size * (1 - i / bottom.segments) });
+            }
+        } else {
+            levels.push({ z: 0, inset: 0 });
+        }
+
+        if (top) {
+            const size = top.size * fit;
+            for (let i = 0; i <= top.segments; i++) {
+                const angle = i / top.segments * Math.PI / 2;
+                levels.push(top.type === 'round' ?
+                    { z: height - size + size * Math.sin(angle), inset: size - size * Math.cos(angle) } :
+                    { z: height - size + size * i / top.segments, inset: size * i / top.segments });
+            }
+        } else {
+            levels.push({ z: height, inset: 0 });
+        }
+
+        // Niveaux confondus (les deux arêtes se rejoignent)
+        return levels.filter((level, index) => index === 0 || level.z - levels[index - 1].z > 1e-6);
+    }
+
+    /**
+     * Calcule les contours d'une forme extrudée selon un profil, niveau par niveau
+     * Les sommets se correspondent d'un niveau à l'autre: SolidBuilder relie les niveaux
+     * successifs par des parois et ferme le premier et le dernier par des faces planes.
+     * Les retraits doivent déjà tenir dans la forme (voir getFit).
+     * @param {Array} outer - Contour extérieur {x, y} en mm
+     * @param {Array} holes - Trous (tableaux de points)
+     * @param {Array} levels - Niveaux {z, inset, scale, rotation} du bas vers le haut
+     * @returns {Object} - Loft {levels: [{z, contours}], apex}: contours[0] est le contour extérieur
+     * (sens trigonométrique), les suivants les trous (sens horaire); apex est la pointe {x, y, z} ou null
+     */
+    static createLoft(outer, holes, levels) {
+        const contours = ProfileExtrusion.prepareContours(outer, holes);
+        const vectors = contours.map(contour => ProfileExtrusion.getInsetVectors(contour));
+        const shapeOuter = contours[0];
+        const shapeHoles = contours.slice(1);
+
+        // Une forme sans trou réduite à rien se termine en pointe; avec des trous,
+        // le dessus garde une taille minimale pour que les parois ne se rejoignent pas
+        const center = ProfileExtrusion.getCentroid(shapeOuter);
+        const last = levels[levels.length - 1];
+        const apex = last.scale !== undefined && last.scale <= 1e-6 && shapeHoles.length === 0;
+        const rings = apex ? levels.slice(0, -1) : levels;
+
+        return {
+            levels: rings.map(level => {
+                const inset = level.inset;
+                const scale = level.scale === undefined ? 1 : Math.max(0.02, level.scale);
+                const cos = Math.cos(level.rotation || 0) * scale;
+                const sin = Math.sin(level.rotation || 0) * scale;
+                return {
+                    z: level.z,
+                    contours: contours.map((contour, c) => contour.map((point, i) => {
+                        const x = point.x + vectors[c][i].x * inset - center.x;
+                        const y = point.y + vectors[c][i].y * inset - center.y;
+                        return { x: center.x + x * cos - y * sin, y: center.y + x * sin + y * cos };
+                    }))
+                };
+            }),
+            apex: apex ? { x: center.x, y: center.y, z: last.z } : null
+        };
+    }
+
+    /**
+     * Calcule la part des retraits d'un profil que les formes peuvent recevoir
+     * Les sommets se déplacent en ligne droite avec le retrait: au-delà d'un certain retrait,
+     * une arête se retourne ou deux arêtes se croisent (bras étroit, creux, formes voisines
+     * qui se rejoignent en s'élargissant). Le plus grand facteur sans croisement est cherché
+     * par dichotomie, sur toutes les formes ensemble, puis réduit d'une marge.
+     * @param {Array} shapes - Formes {outer, holes} en mm
+     * @param {Array} levels - Niveaux {z, inset} du profil
+     * @returns {number} - Facteur entre 0 et 1 à appliquer aux retraits (1: profil respecté)
+     */
+    static getFit(shapes, levels) {
+        const contours = shapes.flatMap(shape => ProfileExtrusion.prepareContours(shape.outer, shape.holes));
+        const vectors = contours.map(contour => ProfileExtrusion.getInsetVectors(contour));
+        const largest = Math.max(0, ...levels.map(level => level.inset));
+        const smallest = Math.min(0, ...levels.map(level => level.inset));
+
+        // Un croisement peut apparaître puis disparaître: plusieurs retraits intermédiaires sont contrôlés
+        const fits = (factor) => [0.25, 0.5, 0.75, 1].every(t =>
+            (largest === 0 || ProfileExtrusion.isValidInset(contours, vectors, largest * factor * t)) &&
+            (smallest === 0 || ProfileExtrusion.isValidInset(contours, vectors, smallest * factor * t)));
+
+        if (fits(1)) return 1;
+
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < 20; i++) {
+            const middle = (low + high) / 2;
+            if (fits(middle)) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return 0.9 * low;
+    }
+
+    /**
+     * Calcule la part de la torsion que les formes peuvent recevoir
+     * Chaque forme tourne autour de son propre centre: deux formes voisines, ou une forme
+     * qui en entoure une autre, se heurtent en tournant. Les contours de toutes les formes
+     * sont contrôlés ensemble à chaque niveau; le plus grand facteur sans contact est cherché
+     * par dichotomie, puis réduit d'une marge.
+     * @param {Array} shapes - Formes {outer, holes} en mm
+     * @param {Array} levels - Niveaux {z, inset, scale, rotation} du profil, retraits déjà ajustés (voir getFit)
+     * @returns {number} - Facteur entre 0 et 1 à appliquer aux rotations (1: torsion respectée)
+     */
+    static getTwistFit(shapes, levels) {
+        if (!levels.some(level => level.rotation)) return 1;
+
+        const fits = (factor) => {
+            const lofts = shapes.map(shape => ProfileExtrusion.createLoft(shape.outer, shape.holes, levels.map(level =>
+                Object.assign({}, level, { rotation: (level.rotation || 0) * factor }))));
+            const count = Math.min(...lofts.map(loft => loft.levels.length));
+            for (let l = 0; l < count; l++) {
+                if (!ProfileExtrusion.isSimple(lofts.flatMap(loft => loft.levels[l].contours))) return false;
+            }
+            return true;
+        };
+
+        if (fits(1)) return 1;
+
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < 12; i++) {
+            const middle = (low + high) / 2;
+            if (fits(middle)) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return 0.9 * low;
+    }
+
+    /**
+     * Vérifie que les contours décalés d'un retrait restent simples: aucune arête retournée
+     * et aucun contact entre deux arêtes non voisines (d'un même contour ou de deux contours)
+     * @param {Array} contours - Contours préparés (voir prepareContours)
+     * @param {Array} vectors - Vecteurs de retrait de chaque contour (voir getInsetVectors)
+     * @param {number} inset - Retrait en mm
+     * @returns {boolean} - true si les contours décalés ne se croisent pas
+     */
+    static isValidInset(contours, vectors, inset) {
+        const rings = contours.map((contour, c) => contour.map((point, i) => ({
+            x: point.x + vectors[c][i].x * inset,
+            y: point.y + vectors[c][i].y * inset
+        })));
+
+        for (let c = 0; c < contours.length; c++) {
+            const n = contours[c].length;
+            for (let i = 0; i < n; i++) {
+                const a = rings[c][i];
+                const b = rings[c][(i + 1) % n];
+                const p = contours[c][i];
+                const q = contours[c][(i + 1) % n];
+                if ((b.x - a.x) * (q.x - p.x) + (b.y - a.y) * (q.y - p.y) <= 0) return false;
+            }
+        }
+        return ProfileExtrusion.isSimple(rings);
+    }
+
+    /**
+     * Vérifie que des contours ne se croisent ni ne se touchent, entre eux ou eux-mêmes
+     * @param {Array} rings - Contours (tableaux de points {x, y})
+     * @returns {boolean} - true si aucune arête n'en touche une autre non voisine
+     */
+    static isSimple(rings) {
+        const segments = [];
+        rings.forEach((ring, c) => ring.forEach((a, i) => {
+            const b = ring[(i + 1) % ring.length];
+            segments.push({ a, b, contour: c, index: i, count: ring.length, minX: Math.min(a.x, b.x), maxX: Math.max(a.x, b.x) });
+        }));
+
+        // Balayage selon x: seules les arêtes dont les intervalles se recouvrent sont comparées.
+        // Deux arêtes qui se touchent ou se superposent (formes voisines qui se rejoignent
+        // en s'élargissant ou en tournant) comptent comme un croisement
+        const side = (a, b, p) => {
+            const cross = (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+            return Math.abs(cross) < 1e-9 ? 0 : Math.sign(cross);
+        };
+        segments.sort((s1, s2) => s1.minX - s2.minX);
+        let active = [];
+        for (const segment of segments) {
+            active = active.filter(other => other.maxX >= segment.minX);
+            for (const other of active) {
+                if (other.contour === segment.contour) {
+                    const gap = Math.abs(other.index - segment.index);
+                    if (gap <= 1 || gap === segment.count - 1) continue;
+                }
+                if (Math.min(segment.a.y, segment.b.y) > Math.max(other.a.y, other.b.y) ||
+                    Math.min(other.a.y, other.b.y) > Math.max(segment.a.y, segment.b.y)) {
+                    continue;
+                }
+                if (side(segment.a, segment.b, other.a) * side(segment.a, segment.b, other.b) <= 0 &&
+                    side(other.a, other.b, segment.a) * side(other.a, other.b, segment.b) <= 0) {
+                    return false;
+                }
+            }
+            active.push(segment);
+        }
+        return true;
+    }
+
+    /**
+     * Nettoie et oriente les contours d'une forme: extérieur dans le sens trigonométrique,
+     * trous dans le sens horaire, la matière est à gauche
+     * @param {Array} outer - Contour extérieur {x, y}
+     * @param {Array} holes - Trous (tableaux de points)
+     * @returns {Array} - Contour extérieur puis trous
+     */
+    static prepareContours(outer, holes) {
+        let shapeOuter = ProfileExtrusion.cleanContour(outer);
+        if (THREE.ShapeUtils.isClockWise(shapeOuter)) shapeOuter = shapeOuter.reverse();
+        const shapeHoles = holes
+            .map(hole => ProfileExtrusion.cleanContour(hole))
+            .filter(hole => hole.length >= 3)
+            .map(hole => THREE.ShapeUtils.isClockWise(hole) ? hole : hole.reverse());
+        return [shapeOuter, ...shapeHoles];
+    }
+
+    /**
+     * Calcule le centre de gravité d'un contour
+     * @param {Array} contour - Points {x, y}
+     * @returns {Object} - Point {x, y}
+     */
+    static getCentroid(contour) {
+        let area = 0;
+        let x = 0;
+        let y = 0;
+        for (let i = 0; i < contour.length; i++) {
+            const p = contour[i];
+            const q = contour[(i + 1) % contour.length];
+            const cross = p.x * q.y - q.x * p.y;
+            area += cross;
+            x += (p.x + q.x) * cross;
+            y += (p.y + q.y) * cross;
+        }
+        if (Math.abs(area) < 1e-12) return { x: contour[0].x, y: contour[0].y };
+        return { x: x / (3 * area), y: y / (3 * area) };
+    }
+
+    /**
+     * Supprime les points répétés (dont le point de fermeture)
+     * @param {Array} contour - Points {x, y}
+     * @returns {Array} - Nouveau contour
+     */
+    static cleanContour(contour) {
+        const cleaned = [];
+        for (const point of contour) {
+            const previous = cleaned[cleaned.length - 1];
+            if (!previous || Math.hypot(point.x - previous.x, point.y - previous.y) > 1e-9) {
+                cleaned.push({ x: point.x, y: point.y });
+            }
+        }
+        while (cleaned.length > 1 &&
+            Math.hypot(cleaned[0].x - cleaned[cleaned.length - 1].x, cleaned[0].y - cleaned[cleaned.length - 1].y) <= 1e-9) {
+            cleaned.pop();
+        }
+        return cleaned;
+    }
+
+    /**
+     * Calcule, pour chaque sommet, le déplacement qui décale ses deux arêtes d'une unité
+     * vers la gauche (l'intérieur de la matière)
+     * @param {Array} contour - Points {x, y}, matière à gauche du sens de parcours
+     * @returns {Array} - Vecteurs {x, y}
+     */
+    static getInsetVectors(contour) {
+        const n = contour.length;
+        const normal = (from, to) => {
+            const dx = to.x - from.x;
+            const dy = to.y - from.y;
+            const length = Math.hypot(dx, dy) || 1;
+            return { x: -dy / length, y: dx / length };
+        };
+
+        return contour.map((point, i) => {
+            const n1 = normal(contour[(i - 1 + n) % n], point);
+            const n2 = normal(point, contour[(i + 1) % n]);
+            const denominator = 1 + n1.x * n2.x + n1.y * n2.y;
+            if (denominator < 1e-6) return n1;
+
+            // Onglet limité: un angle très aigu ne projette pas le sommet trop loin
+            let x = (n1.x + n2.x) / denominator;
+            let y = (n1.y + n2.y) / denominator;
+            const length = Math.hypot(x, y);
+            if (length > 4) {
+                x *= 4 / length;
+                y *= 4 / length;
+            }
+            return { x, y };
+        });
+    }
+}
+
+// Exporter la classe
+window.ProfileExtrusion = ProfileExtrusion;
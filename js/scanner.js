@@ -0,0 +1,461 @@
+/**
+ * DocumentScanner - Détection et redressement d'une feuille photographiée
+ * La feuille (zone claire la plus grande) est détectée automatiquement, ses quatre coins
+ * peuvent être ajustés à la souris, puis l'image est redressée par homographie.
+ */
+class DocumentScanner {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas d'édition des coins
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.source = null; // Canvas de l'image capturée
+        this.corners = []; // Coins {x, y} dans l'ordre: haut-gauche, haut-droit, bas-droit, bas-gauche
+        this.dragIndex = -1;
+        this.detectionSize = 320; // Taille maximale de l'image analysée pour la détection
+        this.maxOutputSize = 2000; // Taille maximale de l'image redressée
+
+        this.canvas.addEventListener('pointerdown', (event) => {
+            if (!this.source) return;
+            const point = this.getPointerPosition(event);
+            this.dragIndex = this.findCorner(point);
+            if (this.dragIndex >= 0) {
+                this.canvas.setPointerCapture(event.pointerId);
+            }
+        });
+        this.canvas.addEventListener('pointermove', (event) => {
+            if (this.dragIndex < 0) return;
+            const point = this.getPointerPosition(event);
+            this.corners[this.dragIndex] = {
+                x: Math.max(0, Math.min(this.source.width, point.x)),
+                y: Math.max(0, Math.min(this.source.height, point.y))
+            };
+            this.draw();
+        });
+        this.canvas.addEventListener('pointerup', () => {
+            this.dragIndex = -1;
+        });
+        this.canvas.addEventListener('pointercancel', () => {
+            this.dragIndex = -1;
+        });
+    }
+
+    /**
+     * Définit l'image à redresser et détecte la feuille
+     * @param {HTMLCanvasElement} source - Canvas contenant l'image capturée
+     * @returns {boolean} - true si une feuille a été détectée
+     */
+    setImage(source) {
+        this.source = source;
+        this.canvas.width = source.width;
+        this.canvas.height = source.height;
+
+        const corners = this.detectDocument(source);
+        if (corners) {
+            this.corners = corners;
+        } else {
+            // Sans détection, proposer un cadre légèrement en retrait des bords
+            const marginX = source.width * 0.05;
+            const marginY = source.height * 0.05;
+            this.corners = [
+                { x: marginX, y: marginY },
+                { x: source.width - marginX, y: marginY },
+                { x: source.width - marginX, y: source.height - marginY },
+                { x: marginX, y: source.height - marginY }
+            ];
+        }
+
+        this.draw();
+        return corners !== null;
+    }
+
+    /**
+     * Détecte le quadrilatère de la feuille: plus grande zone claire de l'image
+     * @param {HTMLCanvasElement} source - Image à analyser
+     * @returns {Array|null} - Coins {x, y} (haut-gauche, haut-droit, bas-droit, bas-gauche), null si rien n'est trouvé
+     */
+    detectDocument(source) {
+        // Travailler sur une image réduite
+        const scale = Math.min(1, this.detectionSize / Math.max(source.width, source.height));
+        const width = Math.max(1, Math.round(source.width * scale));
+        const height = Math.max(1, Math.round(source.height * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0, width, height);
+        const data = ctx.getImageData(0, 0, width, height).data;
+
+        // Luminance lissée (flou moyen 5x5) pour ignorer le contenu de la feuille
+        const gray = new Float32Array(width * height);
+        for (let p = 0; p < gray.length; p++) {
+            gray[p] = 0.299 * data[p * 4] + 0.587 * data[p * 4 + 1] + 0.114 * data[p * 4 + 2];
+        }
+        const smooth = this.blur(gray, width, height, 2);
+
+        // Séparer la feuille (claire) du fond par un seuil d'Otsu
+        const threshold = this.computeOtsuThreshold(smooth);
+        const bright = new Float32Array(width * height);
+        for (let p = 0; p < bright.length; p++) {
+            bright[p] = smooth[p] >= threshold ? 1 : 0;
+        }
+
+        // Fermeture (dilatation puis érosion): les traits du dessin ne coupent plus la feuille
+        const dilated = this.blur(bright, width, height, 3).map(value => value > 0 ? 1 : 0);
+        const closed = this.blur(dilated, width, height, 3);
+        const mask = new Uint8Array(width * height);
+        for (let p = 0; p < mask.length; p++) {
+            mask[p] = closed[p] > 0.999 ? 1 : 0;
+        }
+
+        // Plus grande composante claire
+        const component = this.findLargestComponent(mask, width, height);
+        if (component.length < width * height * 0.1) {
+            return null;
+        }
+
+        // Les coins sont les points extrêmes selon les diagonales
+        let topLeft = component[0];
+        let topRight = component[0];
+        let bottomRight = component[0];
+        let bottomLeft = component[0];
+        for (const p of component) {
+            const x = p % width;
+            const y = Math.floor(p / width);
+            if (x + y < (topLeft % width) + Math.floor(topLeft / width)) topLeft = p;
+            if (x + y > (bottomRight % width) + Math.floor(bottomRight / width)) bottomRight = p;
+            if (x - y > (topRight % width) - Math.floor(topRight / width)) topRight = p;
+            if (x - y < (bottomLeft % width) - Math.floor(bottomLeft / width)) bottomLeft = p;
+        }
+
+        const corners = [topLeft, topRight, bottomRight, bottomLeft].map(p => ({
+            x: Math.min(source.width, ((p % width) + 0.5) / scale),
+            y: Math.min(source.height, (Math.floor(p / width) + 0.5) / scale)
+        }));
+
+        // Rejeter les quadrilatères dégénérés (moins de 20 % de l'image)
+        let area = 0;
+        for (let i = 0; i < 4; i++) {
+            const j = (i + 1) % 4;
+            area += corners[i].x * corners[j].y - corners[j].x * corners[i].y;
+        }
+        if (Math.abs(area / 2) < source.width * source.height * 0.2) {
+            return null;
+        }
+
+        return corners;
+    }
+
+    /**
+     * Flou moyen sur une fenêtre carrée
+     * @param {Float32Array} values - Valeur de chaque pixel
+     * @param {number} width - Largeur de l'image
+     * @param {number} height - Hauteur de l'image
+     * @param {number} radius - Demi-taille de la fenêtre
+     * @returns {Float32Array} - Valeurs lissées
+     */
+    blur(values, width, height, radius) {
+        const result = new Float32Array(values.length);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                let count = 0;
+                for (let dy = -radius; dy <= radius; dy++) {
+                    const yy = y + dy;
+                    if (yy < 0 || yy >= height) continue;
+                    for (let dx = -radius; dx <= radius; dx++) {
+                        const xx = x + dx;
+                        if (xx < 0 || xx >= width) continue;
+                        sum += values[yy * width + xx];
+                        count++;
+                    }
+                }
+                result[y * width + x] = sum / count;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Calcule le seuil d'Otsu (variance inter-classes maximale)
+     * @param {Float32Array} gray - Luminance de chaque pixel
+     * @returns {number} - Seuil (les pixels >= seuil forment la classe claire)
+     */
+    computeOtsuThreshold(gray) {
+        const histogram = new Float64Array(256);
+        for (let p = 0; p < gray.length; p++) {
+            histogram[Math.min(255, Math.round(gray[p]))]++;
+        }
+
+        let sum = 0;
+        for (let value = 0; value < 256; value++) {
+            sum += value * histogram[value];
+        }
+
+        let darkCount = 0;
+        let darkSum = 0;
+        let bestVariance = -1;
+        let threshold = 128;
+        for (let t = 1; t < 256; t++) {
+            darkCount += histogram[t - 1];
+            darkSum += (t - 1) * histogram[t - 1];
+            const lightCount = gray.length - darkCount;
+            if (darkCount === 0) continue;
+            if (lightCount === 0) break;
+
+            const variance = darkCount * lightCount * (darkSum / darkCount - (sum - darkSum) / lightCount) ** 2;
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                threshold = t;
+            }
+        }
+
+        return threshold;
+    }
+
+    /**
+     * Trouve la plus grande composante connexe (4-voisinage) d'un masque
+     * @param {Uint8Array} mask - 1 pour les pixels retenus
+     * @param {number} width - Largeur du masque
+     * @param {number} height - Hauteur du masque
+     * @returns {Array} - Indices des pixels de la plus grande composante
+     */
+    findLargestComponent(mask, width, height) {
+        const visited = new Uint8Array(mask.length);
+        let largest = [];
+
+        for (let start = 0; start < mask.length; start++) {
+            if (!mask[start] || visited[start]) continue;
+
+            // Parcours en largeur de la composante
+            const component = [start];
+            visited[start] = 1;
+            for (let i = 0; i < component.length; i++) {
+                const p = component[i];
+                const x = p % width;
+                const neighbors = [
+                    x > 0 ? p - 1 : -1,
+                    x < width - 1 ? p + 1 : -1,
+                    p >= width ? p - width : -1,
+                    p < width * (height - 1) ? p + width : -1
+                ];
+                for (const n of neighbors) {
+                    if (n >= 0 && mask[n] && !visited[n]) {
+                        visited[n] = 1;
+                        component.push(n);
+                    }
+                }
+            }
+
+            if (component.length > largest.length) {
+                largest = component;
+            }
+        }
+
+        return largest;
+    }
+
+    /**
+     * Calcule l'homographie qui envoie quatre points sur quatre autres
+     * @param {Array} from - Points de départ {x, y}
+     * @param {Array} to - Points d'arrivée {x, y}
+     * @returns {Array} - Matrice 3x3 (9 coefficients, ligne par ligne, h33 = 1)
+     */
+    computeHomography(from, to) {
+        // Système linéaire 8x8 (méthode DLT avec h33 = 1)
+        const rows = [];
+        for (let i = 0; i < 4; i++) {
+            const { x, y } = from[i];
+            const { x: u, y: v } = to[i];
+            rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+            rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+        }
+
+        // Élimination de Gauss avec pivot partiel
+        for (let col = 0; col < 8; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < 8; row++) {
+                if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+            }
+            if (Math.abs(rows[pivot][col]) < 1e-12) {
+                throw new Error("Les coins sélectionnés ne forment pas un quadrilatère valide");
+            }
+            [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+            for (let row = 0; row < 8; row++) {
+                if (row === col) continue;
+                const factor = rows[row][col] / rows[col][col];
+                for (let k = col; k < 9; k++) {
+                    rows[row][k] -= factor * rows[col][k];
+                }
+            }
+        }
+
+        const h = rows.map((row, i) => row[8] / row[i]);
+        h.push(1);
+        return h;
+    }
+
+    /**
+     * Redresse la zone délimitée par les coins en une image rectangulaire
+     * @returns {HTMLCanvasElement} - Canvas de l'image redressée
+     */
+    rectify() {
+        if (!this.source) {
+            throw new Error("Aucune image à redresser");
+        }
+
+        const [topLeft, topRight, bottomRight, bottomLeft] = this.corners;
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+        // Dimensions de sortie: les plus grands côtés opposés
+        let width = Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight));
+        let height = Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight));
+        const reduction = Math.max(1, Math.max(width, height) / this.maxOutputSize);
+        width = Math.max(1, Math.round(width / reduction));
+        height = Math.max(1, Math.round(height / reduction));
+
+        // Homographie de l'image de sortie vers l'image source (échantillonnage inverse)
+        const h = this.computeHomography(
+            [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }],
+            this.corners
+        );
+
+        const sourceData = this.source.getContext('2d').getImageData(0, 0, this.source.width, this.source.height);
+        const src = sourceData.data;
+        const sourceWidth = sourceData.width;
+        const sourceHeight = sourceData.height;
+
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const outputCtx = output.getContext('2d');
+        const outputData = outputCtx.createImageData(width, height);
+        const dst = outputData.data;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                // Centre du pixel de sortie projeté dans la source
+                const px = x + 0.5;
+                const py = y + 0.5;
+                const w = h[6] * px + h[7] * py + h[8];
+                const sx = Math.max(0, Math.min(sourceWidth - 1, (h[0] * px + h[1] * py + h[2]) / w - 0.5));
+                const sy = Math.max(0, Math.min(sourceHeight - 1, (h[3] * px + h[4] * py + h[5]) / w - 0.5));
+
+                // Interpolation bilinéaire
+                const x0 = Math.floor(sx);
+                const y0 = Math.floor(sy);
+                const x1 = Math.min(sourceWidth - 1, x0 + 1);
+                const y1 = Math.min(sourceHeight - 1, y0 + 1);
+                const fx = sx - x0;
+                const fy = sy - y0;
+
+                const i00 = (y0 * sourceWidth + x0) * 4;
+                const i10 = (y0 * sourceWidth + x1) * 4;
+                const i01 = (y1 * sourceWidth + x0) * 4;
+                const i11 = (y1 * sourceWidth + x1) * 4;
+                const o = (y * width + x) * 4;
+
+                for (let c = 0; c < 4; c++) {
+                    const top = src[i00 + c] * (1 - fx) + src[i10 + c] * fx;
+                    const bottom = src[i01 + c] * (1 - fx) + src[i11 + c] * fx;
+                    dst[o + c] = top * (1 - fy) + bottom * fy;
+                }
+            }
+        }
+
+        outputCtx.putImageData(outputData, 0, 0);
+        return output;
+    }
+
+    /**
+     * Convertit la position du pointeur en coordonnées de l'image
+     * @param {PointerEvent} event - Événement du pointeur
+     * @returns {Object} - Point {x, y}
+     */
+    getPointerPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * this.canvas.width / rect.width,
+            y: (event.clientY - rect.top) * this.canvas.height / rect.height
+        };
+    }
+
+    /**
+     * Rayon des poignées en pixels de l'image (environ 12 pixels à l'écran)
+     * @returns {number} - Rayon
+     */
+    getHandleRadius() {
+        const rect = this.canvas.getBoundingClientRect();
+        return 12 * (rect.width > 0 ? this.canvas.width / rect.width : 1);
+    }
+
+    /**
+     * Trouve le coin le plus proche d'un point
+     * @param {Object} point - Point {x, y}
+     * @returns {number} - Indice du coin, -1 si aucun n'est à portée
+     */
+    findCorner(point) {
+        const radius = this.getHandleRadius() * 2;
+        let nearest = -1;
+        let nearestDistance = radius;
+
+        this.corners.forEach((corner, index) => {
+            const d = Math.hypot(corner.x - point.x, corner.y - point.y);
+            if (d < nearestDistance) {
+                nearestDistance = d;
+                nearest = index;
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Dessine l'image, le quadrilatère et les poignées des coins
+     */
+    draw() {
+        if (!this.source) return;
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.drawImage(this.source, 0, 0);
+
+        // Assombrir l'extérieur de la feuille
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.beginPath();
+        ctx.rect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.moveTo(this.corners[0].x, this.corners[0].y);
+        for (let i = 3; i >= 1; i--) {
+            ctx.lineTo(this.corners[i].x, this.corners[i].y);
+        }
+        ctx.closePath();
+        ctx.fill('evenodd');
+        ctx.restore();
+
+        const radius = this.getHandleRadius();
+        ctx.strokeStyle = '#3498db';
+        ctx.lineWidth = radius / 4;
+        ctx.beginPath();
+        this.corners.forEach((corner, index) => {
+            if (index === 0) ctx.moveTo(corner.x, corner.y);
+            else ctx.lineTo(corner.x, corner.y);
+        });
+        ctx.closePath();
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(52, 152, 219, 0.6)';
+        for (const corner of this.corners) {
+            ctx.beginPath();
+            ctx.arc(corner.x, corner.y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+    }
+}
+
+// Exporter la classe
+window.DocumentScanner = DocumentScanner;
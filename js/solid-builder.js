@@ -0,0 +1,426 @@
+/**
+ * SolidBuilder - Assemblage de pièces empilées en solides fermés
+ * Les pièces sont des prismes (une région 2D entre deux hauteurs) et des lofts (contours
+ * reliés de niveau en niveau, voir ProfileExtrusion.createLoft). Plutôt que de juxtaposer
+ * des maillages qui se touchent par une face, le volume est découpé en tranches horizontales
+ * aux hauteurs où une pièce commence ou se termine: chaque tranche reçoit les parois de sa
+ * région, et chaque raccord la seule partie des faces horizontales qui sépare la matière du
+ * vide (différence entre la région du dessous et celle du dessus).
+ * Les sommets sont soudés sur la grille de Clipper (le micron) et les arêtes horizontales
+ * sur lesquelles tombe un sommet voisin (jonction en T) sont découpées: chaque région d'un
+ * seul tenant donne un maillage fermé, où chaque arête est partagée par deux triangles.
+ *
+ * Les lofts ne doivent pas recouvrir la hauteur d'un prisme (ils se posent dessus) et les
+ * pièces d'une même tranche ne doivent pas se croiser.
+ */
+class SolidBuilder {
+    constructor() {
+        this.prisms = [];
+        this.lofts = [];
+    }
+
+    /**
+     * Ajoute un prisme: une région extrudée verticalement
+     * @param {Array} shapes - Formes {outer, holes} en mm
+     * @param {number} bottom - Hauteur du dessous en mm
+     * @param {number} top - Hauteur du dessus en mm
+     */
+    addPrism(shapes, bottom, top) {
+        const cleaned = shapes.map(shape => this.orientShape(shape)).filter(Boolean);
+        bottom = this.snap(bottom);
+        top = this.snap(top);
+        if (cleaned.length === 0 || top <= bottom) return;
+
+        this.prisms.push({ shapes: cleaned, bottom, top });
+    }
+
+    /**
+     * Ajoute un loft: des contours dont les sommets se correspondent d'un niveau à l'autre
+     * @param {Object} loft - {levels: [{z, contours}], apex} (voir ProfileExtrusion.createLoft);
+     * contours[0] est le contour extérieur (sens trigonométrique), les suivants les trous (sens horaire)
+     */
+    addLoft(loft) {
+        if (!loft || loft.levels.length === 0) return;
+
+        const levels = loft.levels.map(level => ({
+            z: this.snap(level.z),
+            contours: level.contours.map(contour => contour.map(point => ({
+                x: this.snap(point.x),
+                y: this.snap(point.y)
+            })))
+        }));
+        const apex = loft.apex ? { x: this.snap(loft.apex.x), y: this.snap(loft.apex.y), z: this.snap(loft.apex.z) } : null;
+        if (levels.length + (apex ? 1 : 0) < 2) return;
+
+        this.lofts.push({
+            levels,
+            apex,
+            bottom: levels[0].z,
+            top: apex ? apex.z : levels[levels.length - 1].z
+        });
+    }
+
+    /**
+     * Construit les maillages
+     * @returns {Array} - Géométries indexées THREE.js, une par région d'un seul tenant
+     */
+    build() {
+        this.positions = [];
+        this.ids = new Map();
+        this.triangles = [];
+
+        const heights = Array.from(new Set([
+            ...this.prisms.flatMap(prism => [prism.bottom, prism.top]),
+            ...this.lofts.flatMap(loft => [loft.bottom, loft.top])
+        ])).sort((a, b) => a - b);
+
+        // Parois des prismes, tranche par tranche
+        const regions = [];
+        for (let k = 0; k + 1 < heights.length; k++) {
+            const active = this.prisms.filter(prism => prism.bottom <= heights[k] && prism.top >= heights[k + 1]);
+            let region = active.flatMap(prism => prism.shapes);
+            if (active.length > 1) {
+                if (!PolygonUtils.isAvailable()) {
+                    throw new Error("Clipper n'est pas disponible pour réunir les pièces");
+                }
+                region = PolygonUtils.union(region).map(shape => this.orientShape(shape)).filter(Boolean);
+            }
+            regions.push(region);
+
+            for (const shape of region) {
+                for (const ring of [shape.outer, ...shape.holes]) {
+                    this.addWall(ring, heights[k], ring, heights[k + 1]);
+                }
+            }
+        }
+
+        // Parois des lofts, de niveau en niveau, jusqu'à la pointe le cas échéant
+        for (const loft of this.lofts) {
+            for (let l = 0; l + 1 < loft.levels.length; l++) {
+                const lower = loft.levels[l];
+                const upper = loft.levels[l + 1];
+                lower.contours.forEach((ring, c) => this.addWall(ring, lower.z, upper.contours[c], upper.z));
+            }
+            if (loft.apex) {
+                const last = loft.levels[loft.levels.length - 1];
+                const ring = last.contours[0];
+                const tip = this.vertex(loft.apex.x, loft.apex.y, loft.apex.z);
+                for (let i = 0; i < ring.length; i++) {
+                    const next = ring[(i + 1) % ring.length];
+                    this.addTriangle(this.vertex(ring[i].x, ring[i].y, last.z), this.vertex(next.x, next.y, last.z), tip);
+                }
+            }
+        }
+
+        // Faces horizontales à chaque raccord
+        const section = (level) => ({ outer: level.contours[0], holes: level.contours.slice(1) });
+        heights.forEach((z, k) => {
+            const below = (k > 0 ? regions[k - 1] : []).concat(this.lofts
+                .filter(loft => loft.top === z && !loft.apex)
+                .map(loft => section(loft.levels[loft.levels.length - 1])));
+            const above = (k < regions.length ? regions[k] : []).concat(this.lofts
+                .filter(loft => loft.bottom === z)
+                .map(loft => section(loft.levels[0])));
+            this.addCaps(below, above, z);
+        });
+
+        this.splitTJunctions();
+        return this.toGeometries();
+    }
+
+    /**
+     * Arrondit une coordonnée sur la grille de Clipper
+     * @param {number} value - Coordonnée en mm
+     * @returns {number} - Coordonnée arrondie
+     */
+    snap(value) {
+        return Math.round(value * PolygonUtils.SCALE) / PolygonUtils.SCALE;
+    }
+
+    /**
+     * Arrondit un contour sur la grille et retire les points répétés (dont le point de fermeture)
+     * @param {Array} contour - Points {x, y}
+     * @returns {Array} - Nouveau contour
+     */
+    cleanRing(contour) {
+        const cleaned = [];
+        for (const point of contour) {
+            const x = this.snap(point.x);
+            const y = this.snap(point.y);
+            const previous = cleaned[cleaned.length - 1];
+            if (!previous || previous.x !== x || previous.y !== y) {
+                cleaned.push({ x, y });
+            }
+        }
+        while (cleaned.length > 1 &&
+            cleaned[0].x === cleaned[cleaned.length - 1].x && cleaned[0].y === cleaned[cleaned.length - 1].y) {
+            cleaned.pop();
+        }
+        return cleaned;
+    }
+
+    /**
+     * Nettoie et oriente une forme: contour extérieur dans le sens trigonométrique, trous dans le sens horaire
+     * @param {Object} shape - Forme {outer, holes}
+     * @returns {Object|null} - Forme nettoyée, null si elle est vide
+     */
+    orientShape(shape) {
+        const orient = (contour, positive) => {
+            const ring = this.cleanRing(contour);
+            if (ring.length < 3) return null;
+            const area = PolygonUtils.signedArea(ring);
+            if (area === 0) return null;
+            return (area > 0) === positive ? ring : ring.reverse();
+        };
+
+        const outer = orient(shape.outer, true);
+        if (!outer) return null;
+        return { outer, holes: (shape.holes || []).map(hole => orient(hole, false)).filter(Boolean) };
+    }
+
+    /**
+     * Renvoie l'indice d'un sommet (les sommets confondus sur la grille sont soudés)
+     * @param {number} x - Coordonnée x en mm
+     * @param {number} y - Coordonnée y en mm
+     * @param {number} z - Coordonnée z en mm
+     * @returns {number} - Indice du sommet
+     */
+    vertex(x, y, z) {
+        const scale = PolygonUtils.SCALE;
+        const key = `${Math.round(x * scale)},${Math.round(y * scale)},${Math.round(z * scale)}`;
+        let id = this.ids.get(key);
+        if (id === undefined) {
+            id = this.positions.length / 3;
+            this.ids.set(key, id);
+            this.positions.push(this.snap(x), this.snap(y), this.snap(z));
+        }
+        return id;
+    }
+
+    /**
+     * Ajoute un triangle, sauf s'il est réduit à une arête ou un point
+     * @param {number} a - Indice du premier sommet
+     * @param {number} b - Indice du deuxième sommet
+     * @param {number} c - Indice du troisième sommet
+     */
+    addTriangle(a, b, c) {
+        if (a === b || b === c || a === c) return;
+        this.triangles.push([a, b, c]);
+    }
+
+    /**
+     * Ajoute la paroi qui relie deux contours dont les sommets se correspondent
+     * (matière à gauche du sens de parcours: normales vers l'extérieur)
+     * @param {Array} lower - Contour du bas
+     * @param {number} lowerZ - Hauteur du contour du bas
+     * @param {Array} upper - Contour du haut
+     * @param {number} upperZ - Hauteur du contour du haut
+     */
+    addWall(lower, lowerZ, upper, upperZ) {
+        const n = lower.length;
+        for (let i = 0; i < n; i++) {
+            const j = (i + 1) % n;
+            const a = this.vertex(lower[i].x, lower[i].y, lowerZ);
+            const b = this.vertex(lower[j].x, lower[j].y, lowerZ);
+            const c = this.vertex(upper[j].x, upper[j].y, upperZ);
+            const d = this.vertex(upper[i].x, upper[i].y, upperZ);
+            this.addTriangle(a, b, c);
+            this.addTriangle(a, c, d);
+        }
+    }
+
+    /**
+     * Ajoute les faces horizontales d'un raccord: le dessus de ce qui n'est plus couvert
+     * au-dessus, le dessous de ce qui ne repose sur rien
+     * @param {Array} below - Formes de la tranche du dessous
+     * @param {Array} above - Formes de la tranche du dessus
+     * @param {number} z - Hauteur du raccord
+     */
+    addCaps(below, above, z) {
+        let up = below;
+        let down = above;
+        if (below.length > 0 && above.length > 0) {
+            if (!PolygonUtils.isAvailable()) {
+                throw new Error("Clipper n'est pas disponible pour raccorder les pièces");
+            }
+            up = PolygonUtils.difference(below, above);
+            down = PolygonUtils.difference(above, below);
+        }
+
+        up.forEach(shape => this.addCap(shape, z, true));
+        down.forEach(shape => this.addCap(shape, z, false));
+    }
+
+    /**
+     * Triangule une face horizontale
+     * @param {Object} shape - Forme {outer, holes}
+     * @param {number} z - Hauteur de la face
+     * @param {boolean} up - true pour une face tournée vers le haut
+     */
+    addCap(shape, z, up) {
+        const outer = this.cleanRing(shape.outer);
+        const holes = (shape.holes || []).map(hole => this.cleanRing(hole)).filter(hole => hole.length >= 3);
+        if (outer.length < 3) return;
+
+        const points = [outer, ...holes].flat();
+        const ids = points.map(point => this.vertex(point.x, point.y, z));
+        const faces = THREE.ShapeUtils.triangulateShape(
+            outer.map(point => new THREE.Vector2(point.x, point.y)),
+            holes.map(hole => hole.map(point => new THREE.Vector2(point.x, point.y)))
+        );
+
+        for (const [a, b, c] of faces) {
+            const p = points[a];
+            const q = points[b];
+            const r = points[c];
+            const counterClockwise = (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x) > 0;
+            if (counterClockwise === up) {
+                this.addTriangle(ids[a], ids[b], ids[c]);
+            } else {
+                this.addTriangle(ids[a], ids[c], ids[b]);
+            }
+        }
+    }
+
+    /**
+     * Découpe les triangles dont une arête horizontale sans vis-à-vis passe par d'autres sommets
+     * (contour d'une face horizontale découpé autrement que la paroi qui le borde)
+     */
+    splitTJunctions() {
+        const scale = PolygonUtils.SCALE;
+        const positions = this.positions;
+        const tolerance = 1.01 / scale;
+        const cellSize = 1;
+
+        // Arêtes orientées: une arête bien raccordée est parcourue une fois dans chaque sens
+        const edges = new Map();
+        const countEdges = (triangle, delta) => {
+            for (let i = 0; i < 3; i++) {
+                const key = `${triangle[i]},${triangle[(i + 1) % 3]}`;
+                edges.set(key, (edges.get(key) || 0) + delta);
+            }
+        };
+        this.triangles.forEach(triangle => countEdges(triangle, 1));
+
+        // Sommets de chaque hauteur, répartis dans une grille
+        const grid = new Map();
+        const cell = (value) => Math.floor(value / cellSize);
+        const cellKey = (z, cx, cy) => `${Math.round(z * scale)}:${cx},${cy}`;
+        for (let id = 0; id < positions.length / 3; id++) {
+            const key = cellKey(positions[id * 3 + 2], cell(positions[id * 3]), cell(positions[id * 3 + 1]));
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(id);
+        }
+
+        // Sommets situés à l'intérieur de l'arête p -> q, du plus proche de p au plus éloigné
+        const verticesOnEdge = (p, q) => {
+            const z = positions[p * 3 + 2];
+            if (z !== positions[q * 3 + 2] || edges.get(`${q},${p}`) > 0) return [];
+
+            const px = positions[p * 3];
+            const py = positions[p * 3 + 1];
+            const dx = positions[q * 3] - px;
+            const dy = positions[q * 3 + 1] - py;
+            const lengthSquared = dx * dx + dy * dy;
+            const found = [];
+            const minX = cell(Math.min(px, px + dx) - tolerance);
+            const maxX = cell(Math.max(px, px + dx) + tolerance);
+            const minY = cell(Math.min(py, py + dy) - tolerance);
+            const maxY = cell(Math.max(py, py + dy) + tolerance);
+            for (let cx = minX; cx <= maxX; cx++) {
+                for (let cy = minY; cy <= maxY; cy++) {
+                    for (const v of grid.get(cellKey(z, cx, cy)) || []) {
+                        if (v === p || v === q) continue;
+                        const vx = positions[v * 3] - px;
+                        const vy = positions[v * 3 + 1] - py;
+                        const t = (vx * dx + vy * dy) / lengthSquared;
+                        if (t <= 0 || t >= 1) continue;
+                        if (Math.abs(vx * dy - vy * dx) / Math.sqrt(lengthSquared) > tolerance) continue;
+                        found.push({ v, t });
+                    }
+                }
+            }
+            return found.sort((a, b) => a.t - b.t).map(item => item.v);
+        };
+
+        const result = [];
+        const stack = this.triangles.slice();
+        while (stack.length > 0) {
+            const triangle = stack.pop();
+
+            let split = null;
+            for (let i = 0; i < 3 && !split; i++) {
+                const p = triangle[i];
+                const q = triangle[(i + 1) % 3];
+                const inner = verticesOnEdge(p, q);
+                if (inner.length > 0) split = { chain: [p, ...inner, q], opposite: triangle[(i + 2) % 3] };
+            }
+            if (!split) {
+                result.push(triangle);
+                continue;
+            }
+
+            // Éventail depuis le sommet opposé à l'arête découpée. Un triangle presque plat
+            // a son sommet opposé sur l'arête: les parts qui le contiennent deux fois sont vides
+            countEdges(triangle, -1);
+            for (let i = 0; i + 1 < split.chain.length; i++) {
+                const part = [split.chain[i], split.chain[i + 1], split.opposite];
+                if (part[0] === part[2] || part[1] === part[2]) continue;
+                countEdges(part, 1);
+                stack.push(part);
+            }
+        }
+
+        this.triangles = result;
+    }
+
+    /**
+     * Répartit les triangles en parties connexes et crée leurs géométries
+     * @returns {Array} - Géométries indexées THREE.js
+     */
+    toGeometries() {
+        const parent = new Int32Array(this.positions.length / 3).map((value, index) => index);
+        const find = (id) => {
+            while (parent[id] !== id) {
+                parent[id] = parent[parent[id]];
+                id = parent[id];
+            }
+            return id;
+        };
+        for (const [a, b, c] of this.triangles) {
+            parent[find(b)] = find(a);
+            parent[find(c)] = find(a);
+        }
+
+        const parts = new Map();
+        for (const triangle of this.triangles) {
+            const root = find(triangle[0]);
+            if (!parts.has(root)) parts.set(root, []);
+            parts.get(root).push(triangle);
+        }
+
+        return Array.from(parts.values()).map(triangles => {
+            const remap = new Map();
+            const positions = [];
+            const index = [];
+            for (const triangle of triangles) {
+                for (const id of triangle) {
+                    if (!remap.has(id)) {
+                        remap.set(id, positions.length / 3);
+                        positions.push(this.positions[id * 3], this.positions[id * 3 + 1], this.positions[id * 3 + 2]);
+                    }
+                    index.push(remap.get(id));
+                }
+            }
+
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            geometry.setIndex(index);
+            geometry.computeVertexNormals();
+            return geometry;
+        });
+    }
+}
+
+// Exporter la classe
+window.SolidBuilder = SolidBuilder;
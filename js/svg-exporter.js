@@ -0,0 +1,90 @@
+/**
+ * SVGExporter - Module d'exportation des contours au format SVG
+ * Chaque calque devient un chemin rempli selon la règle pair-impair: les trous
+ * se découpent d'eux-mêmes dans les contours qui les entourent. Les contours d'un
+ * calque ne doivent donc pas se chevaucher (formes déjà fusionnées).
+ * Les dimensions du document sont en millimètres, à l'échelle du modèle 3D.
+ */
+class SVGExporter {
+    /**
+     * Convertit des calques de contours en document SVG
+     * @param {Array} layers - Calques {name, color, contours} (contours en pixels, origine en haut à gauche)
+     * @param {Object} options - Options d'export
+     * @param {number} options.width - Largeur de l'image d'origine en pixels
+     * @param {number} options.height - Hauteur de l'image d'origine en pixels
+     * @param {number} options.scale - Échelle en mm par pixel (la même que le modèle 3D)
+     * @param {string} options.name - Titre du document
+     * @returns {string} - Contenu du fichier SVG
+     */
+    parse(layers, options = {}) {
+        const width = options.width || 1;
+        const height = options.height || 1;
+        const scale = options.scale || 1;
+
+        // Le viewBox reste en pixels de l'image: seules les dimensions physiques dépendent de l'échelle
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" ` +
+                `width="${this.formatNumber(width * scale)}mm" height="${this.formatNumber(height * scale)}mm" ` +
+                `viewBox="0 0 ${this.formatNumber(width)} ${this.formatNumber(height)}">`,
+            `  <title>${this.escapeXML(options.name || 'extrudator')}</title>`
+        ];
+
+        for (const layer of layers) {
+            const d = this.createPathData(layer.contours);
+            if (!d) continue;
+
+            lines.push(
+                `  <g id="${this.escapeXML(layer.name)}">`,
+                `    <path d="${d}" fill="${layer.color || '#000000'}" fill-rule="evenodd" stroke="none"/>`,
+                '  </g>'
+            );
+        }
+
+        lines.push('</svg>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Crée les données d'un chemin SVG: un sous-chemin fermé par contour
+     * @param {Array} contours - Contours (tableaux de points {x, y})
+     * @returns {string} - Attribut d du chemin
+     */
+    createPathData(contours) {
+        return contours
+            .filter(contour => contour.length >= 3)
+            .map(contour => {
+                const [first, ...rest] = contour;
+                return `M${this.formatNumber(first.x)} ${this.formatNumber(first.y)}` +
+                    rest.map(point => `L${this.formatNumber(point.x)} ${this.formatNumber(point.y)}`).join('') +
+                    'Z';
+            })
+            .join('');
+    }
+
+    /**
+     * Formate une coordonnée à 3 décimales au plus
+     * @param {number} value - Nombre
+     * @returns {string} - Texte du nombre
+     */
+    formatNumber(value) {
+        return String(parseFloat(value.toFixed(3)));
+    }
+
+    /**
+     * Échappe les caractères spéciaux XML
+     * @param {string} text - Texte à échapper
+     * @returns {string} - Texte échappé
+     */
+    escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+// Exporter la classe
+window.SVGExporter = SVGExporter;
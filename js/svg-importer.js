@@ -0,0 +1,343 @@
+/**
+ * SVGImporter - Lecture directe des formes d'un fichier SVG
+ * Les éléments path, polygon, polyline, rect, circle et ellipse sont convertis en contours,
+ * avec leurs attributs transform et fill-rule, sans passer par le traçage d'une image.
+ */
+class SVGImporter {
+    /**
+     * @param {Vectorizer} vectorizer - Fournit l'analyse des chemins (parseSVGSubpaths)
+     */
+    constructor(vectorizer) {
+        this.vectorizer = vectorizer;
+        this.tolerance = 0.1; // Écart maximal entre une courbe et ses segments (unités SVG), recalculé par parse
+    }
+
+    /**
+     * Lit un document SVG
+     * @param {string} text - Contenu du fichier SVG
+     * @returns {Object} - {contours, width, height} en unités SVG, origine en haut à gauche
+     * (contours extérieurs d'aire positive, trous d'aire négative)
+     */
+    parse(text) {
+        const svgDoc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const parseError = svgDoc.querySelector('parsererror');
+        const root = svgDoc.documentElement;
+        if (parseError || !root || root.nodeName.toLowerCase() !== 'svg') {
+            throw new Error("Le fichier SVG n'est pas valide");
+        }
+
+        const viewport = this.getViewport(root);
+        this.tolerance = Math.max(viewport.width, viewport.height) / 2000;
+
+        // Le coin haut gauche de la viewBox devient l'origine
+        const matrix = [1, 0, 0, 1, -viewport.x, -viewport.y];
+        const shapes = [];
+        this.collectShapes(root, matrix, { fill: 'black', fillRule: 'nonzero' }, shapes);
+
+        // Les éléments se superposent: la zone remplie est leur union
+        let contours;
+        if (PolygonUtils.isAvailable()) {
+            contours = [];
+            for (const shape of PolygonUtils.union(shapes)) {
+                contours.push(shape.outer);
+                contours.push(...shape.holes);
+            }
+        } else {
+            contours = PolygonUtils.orientByNesting(shapes.map(shape => shape.outer));
+        }
+
+        return { contours, width: viewport.width, height: viewport.height };
+    }
+
+    /**
+     * Lit la zone visible du document (viewBox, sinon width et height)
+     * @param {Element} root - Élément <svg>
+     * @returns {Object} - {x, y, width, height} en unités SVG
+     */
+    getViewport(root) {
+        const viewBox = (root.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+        if (viewBox.length === 4 && viewBox.every(Number.isFinite) && viewBox[2] > 0 && viewBox[3] > 0) {
+            return { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] };
+        }
+
+        // Sans viewBox, les unités SVG sont des pixels (les dimensions en % sont ignorées)
+        const width = parseFloat(root.getAttribute('width'));
+        const height = parseFloat(root.getAttribute('height'));
+        return {
+            x: 0,
+            y: 0,
+            width: width > 0 && !/%/.test(root.getAttribute('width')) ? width : 300,
+            height: height > 0 && !/%/.test(root.getAttribute('height')) ? height : 150
+        };
+    }
+
+    /**
+     * Parcourt les éléments et accumule les zones remplies
+     * @param {Element} element - Élément courant
+     * @param {Array} matrix - Transformation vers le repère du document [a, b, c, d, e, f]
+     * @param {Object} style - Style hérité {fill, fillRule}
+     * @param {Array} shapes - Formes {outer, holes} trouvées (complété)
+     */
+    collectShapes(element, matrix, style, shapes) {
+        const ignored = ['defs', 'clippath', 'mask', 'symbol', 'marker', 'pattern', 'style', 'title', 'desc', 'metadata'];
+
+        for (const child of Array.from(element.children)) {
+            const name = child.nodeName.toLowerCase().replace(/^svg:/, '');
+            if (ignored.includes(name)) continue;
+
+            const display = this.getStyleValue(child, 'display');
+            const visibility = this.getStyleValue(child, 'visibility');
+            if (display === 'none' || visibility === 'hidden') continue;
+
+            const childStyle = {
+                fill: this.getStyleValue(child, 'fill') || style.fill,
+                fillRule: this.getStyleValue(child, 'fill-rule') || style.fillRule
+            };
+
+            let childMatrix = this.multiply(matrix, this.parseTransform(child.getAttribute('transform')));
+            if (name === 'svg') {
+                // SVG imbriqué: seul le décalage x/y est appliqué
+                childMatrix = this.multiply(childMatrix, [1, 0, 0, 1,
+                    parseFloat(child.getAttribute('x')) || 0, parseFloat(child.getAttribute('y')) || 0]);
+            }
+
+            if (name === 'g' || name === 'svg' || name === 'a' || name === 'switch') {
+                this.collectShapes(child, childMatrix, childStyle, shapes);
+                continue;
+            }
+
+            // Une forme sans remplissage n'a pas de surface à extruder
+            if (childStyle.fill === 'none' || childStyle.fill === 'transparent') continue;
+
+            const subpaths = this.getElementSubpaths(child, name);
+            if (subpaths.length === 0) continue;
+
+            const contours = subpaths
+                .map(points => points.map(point => this.applyMatrix(childMatrix, point)))
+                .filter(points => points.length >= 3);
+            if (contours.length === 0) continue;
+
+            if (PolygonUtils.isAvailable()) {
+                shapes.push(...PolygonUtils.fill(contours, childStyle.fillRule));
+            } else {
+                shapes.push(...PolygonUtils.fromContours(contours));
+            }
+        }
+    }
+
+    /**
+     * Convertit un élément de forme en sous-chemins
+     * @param {Element} element - Élément SVG
+     * @param {string} name - Nom de l'élément (en minuscules)
+     * @returns {Array} - Sous-chemins (tableaux de points) dans le repère de l'élément
+     */
+    getElementSubpaths(element, name) {
+        const number = (attribute) => parseFloat(element.getAttribute(attribute)) || 0;
+
+        switch (name) {
+            case 'path':
+                return this.vectorizer.parseSVGSubpaths(element.getAttribute('d') || '', this.tolerance);
+
+            case 'polygon':
+            case 'polyline': {
+                // Une polyligne remplie se referme comme un polygone
+                const values = this.vectorizer.parseSVGPathArgs(element.getAttribute('points') || '');
+                const points = [];
+                for (let i = 0; i + 1 < values.length; i += 2) {
+                    points.push({ x: values[i], y: values[i + 1] });
+                }
+                return [points];
+            }
+
+            case 'rect':
+                return [this.getRectPoints(number('x'), number('y'), number('width'), number('height'),
+                    element.getAttribute('rx'), element.getAttribute('ry'))];
+
+            case 'circle': {
+                const r = number('r');
+                return r > 0 ? [this.getEllipsePoints(number('cx'), number('cy'), r, r, 0, Math.PI * 2)] : [];
+            }
+
+            case 'ellipse': {
+                const rx = number('rx');
+                const ry = number('ry');
+                return rx > 0 && ry > 0 ?
+                    [this.getEllipsePoints(number('cx'), number('cy'), rx, ry, 0, Math.PI * 2)] : [];
+            }
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Points d'un rectangle, aux coins éventuellement arrondis
+     * @param {number} x - Abscisse du coin haut gauche
+     * @param {number} y - Ordonnée du coin haut gauche
+     * @param {number} width - Largeur
+     * @param {number} height - Hauteur
+     * @param {string} rxAttribute - Attribut rx (rayon horizontal des coins), null si absent
+     * @param {string} ryAttribute - Attribut ry (rayon vertical des coins), null si absent
+     * @returns {Array} - Points du contour
+     */
+    getRectPoints(x, y, width, height, rxAttribute, ryAttribute) {
+        if (width <= 0 || height <= 0) return [];
+
+        // Si un seul rayon est donné, l'autre prend la même valeur
+        let rx = parseFloat(rxAttribute);
+        let ry = parseFloat(ryAttribute);
+        if (!(rx > 0)) rx = ry > 0 ? ry : 0;
+        if (!(ry > 0)) ry = rx;
+        rx = Math.min(rx, width / 2);
+        ry = Math.min(ry, height / 2);
+
+        if (rx === 0 || ry === 0) {
+            return [
+                { x, y },
+                { x: x + width, y },
+                { x: x + width, y: y + height },
+                { x, y: y + height }
+            ];
+        }
+
+        // Quarts d'ellipse dans l'ordre haut droit, bas droit, bas gauche, haut gauche
+        return [
+            ...this.getEllipsePoints(x + width - rx, y + ry, rx, ry, -Math.PI / 2, 0),
+            ...this.getEllipsePoints(x + width - rx, y + height - ry, rx, ry, 0, Math.PI / 2),
+            ...this.getEllipsePoints(x + rx, y + height - ry, rx, ry, Math.PI / 2, Math.PI),
+            ...this.getEllipsePoints(x + rx, y + ry, rx, ry, Math.PI, Math.PI * 1.5)
+        ];
+    }
+
+    /**
+     * Points d'un arc d'ellipse, assez nombreux pour respecter la tolérance
+     * @param {number} cx - Centre X
+     * @param {number} cy - Centre Y
+     * @param {number} rx - Rayon horizontal
+     * @param {number} ry - Rayon vertical
+     * @param {number} startAngle - Angle de départ en radians
+     * @param {number} endAngle - Angle d'arrivée en radians
+     * @returns {Array} - Points de l'arc (l'extrémité est exclue pour un tour complet)
+     */
+    getEllipsePoints(cx, cy, rx, ry, startAngle, endAngle) {
+        const sweep = endAngle - startAngle;
+        const radius = Math.max(rx, ry);
+
+        // Angle maximal par segment pour que la flèche reste sous la tolérance
+        const maxStep = radius > this.tolerance ? 2 * Math.acos(1 - this.tolerance / radius) : Math.PI / 2;
+        const segments = Math.max(4, Math.ceil(Math.abs(sweep) / maxStep));
+        const closed = Math.abs(Math.abs(sweep) - Math.PI * 2) < 1e-9;
+
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            if (closed && i === segments) break;
+            const angle = startAngle + sweep * i / segments;
+            points.push({ x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) });
+        }
+
+        return points;
+    }
+
+    /**
+     * Lit une propriété de style (attribut style prioritaire sur l'attribut de présentation)
+     * @param {Element} element - Élément SVG
+     * @param {string} property - Nom de la propriété (ex: 'fill')
+     * @returns {string|null} - Valeur, ou null si non définie ou héritée
+     */
+    getStyleValue(element, property) {
+        const style = element.getAttribute('style') || '';
+        for (const declaration of style.split(';')) {
+            const [name, value] = declaration.split(':').map(part => part && part.trim());
+            if (name === property && value) {
+                return value === 'inherit' ? null : value.replace(/\s*!important$/, '');
+            }
+        }
+
+        const attribute = element.getAttribute(property);
+        return attribute && attribute !== 'inherit' ? attribute.trim() : null;
+    }
+
+    /**
+     * Analyse un attribut transform
+     * @param {string} transform - Liste de transformations (matrix, translate, scale, rotate, skewX, skewY)
+     * @returns {Array} - Matrice [a, b, c, d, e, f]
+     */
+    parseTransform(transform) {
+        let matrix = [1, 0, 0, 1, 0, 0];
+        if (!transform) return matrix;
+
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+        while ((match = pattern.exec(transform)) !== null) {
+            const args = match[2].trim().split(/[\s,]+/).filter(arg => arg.length > 0).map(parseFloat);
+            let next;
+
+            switch (match[1]) {
+                case 'matrix':
+                    next = args.length === 6 ? args : [1, 0, 0, 1, 0, 0];
+                    break;
+                case 'translate':
+                    next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                    break;
+                case 'scale': {
+                    const sx = args[0] !== undefined ? args[0] : 1;
+                    next = [sx, 0, 0, args[1] !== undefined ? args[1] : sx, 0, 0];
+                    break;
+                }
+                case 'rotate': {
+                    const angle = (args[0] || 0) * Math.PI / 180;
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    const cx = args[1] || 0;
+                    const cy = args[2] || 0;
+                    // Rotation autour de (cx, cy)
+                    next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                    break;
+                }
+                case 'skewX':
+                    next = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+                    break;
+                case 'skewY':
+                    next = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+                    break;
+            }
+
+            matrix = this.multiply(matrix, next);
+        }
+
+        return matrix;
+    }
+
+    /**
+     * Compose deux transformations (m1 appliquée après m2)
+     * @param {Array} m1 - Matrice [a, b, c, d, e, f]
+     * @param {Array} m2 - Matrice [a, b, c, d, e, f]
+     * @returns {Array} - Matrice m1 × m2
+     */
+    multiply(m1, m2) {
+        return [
+            m1[0] * m2[0] + m1[2] * m2[1],
+            m1[1] * m2[0] + m1[3] * m2[1],
+            m1[0] * m2[2] + m1[2] * m2[3],
+            m1[1] * m2[2] + m1[3] * m2[3],
+            m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+            m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+        ];
+    }
+
+    /**
+     * Applique une transformation à un point
+     * @param {Array} matrix - Matrice [a, b, c, d, e, f]
+     * @param {Object} point - Point {x, y}
+     * @returns {Object} - Point transformé
+     */
+    applyMatrix(matrix, point) {
+        return {
+            x: matrix[0] * point.x + matrix[2] * point.y + matrix[4],
+            y: matrix[1] * point.x + matrix[3] * point.y + matrix[5]
+        };
+    }
+}
+
+// Exporter la classe
+window.SVGImporter = SVGImporter;
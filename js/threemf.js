@@ -0,0 +1,168 @@
+/**
+ * ThreeMFExporter - Module d'exportation au format 3MF
+ * Chaque maillage devient un objet 3MF avec son propre matériau (couleur),
+ * ce qui permet aux trancheurs d'attribuer un filament par corps.
+ * L'archive est créée avec JSZip.
+ */
+class ThreeMFExporter {
+    /**
+     * Convertit des maillages THREE.js en archive 3MF
+     * @param {Array} meshes - Maillages à exporter (un objet par maillage)
+     * @param {Object} options - Options d'export
+     * @param {string} options.name - Nom du modèle (métadonnée Title)
+     * @returns {Promise<Blob>} - Promise résolue avec l'archive 3MF
+     */
+    parse(meshes, options = {}) {
+        if (typeof JSZip === 'undefined') {
+            return Promise.reject(new Error("JSZip n'est pas disponible"));
+        }
+
+        const zip = new JSZip();
+        zip.file('[Content_Types].xml', this.createContentTypes());
+        zip.file('_rels/.rels', this.createRelationships());
+        zip.file('3D/3dmodel.model', this.createModel(meshes, options.name || 'extrudator'));
+
+        return zip.generateAsync({
+            type: 'blob',
+            mimeType: 'application/vnd.ms-package.3dmanufacturing-3dmodel+xml',
+            compression: 'DEFLATE'
+        });
+    }
+
+    /**
+     * Crée le document XML du modèle 3D
+     * @param {Array} meshes - Maillages à exporter
+     * @param {string} name - Nom du modèle
+     * @returns {string} - Contenu de 3D/3dmodel.model
+     */
+    createModel(meshes, name) {
+        const materials = [];
+        const objects = [];
+        const items = [];
+
+        meshes.forEach((mesh, index) => {
+            mesh.updateMatrixWorld(true);
+
+            // Les identifiants 3MF commencent à 1, le groupe de matériaux porte l'identifiant 1
+            const objectId = index + 2;
+            const objectName = mesh.name || `piece_${index + 1}`;
+            const color = mesh.material && mesh.material.color ?
+                '#' + mesh.material.color.getHexString().toUpperCase() : '#808080';
+
+            materials.push(`<base name="${this.escapeXML(objectName)}" displaycolor="${color}" />`);
+            objects.push(
+                `<object id="${objectId}" type="model" name="${this.escapeXML(objectName)}" pid="1" pindex="${index}">` +
+                this.createMesh(mesh) +
+                '</object>'
+            );
+            items.push(`<item objectid="${objectId}" />`);
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<model unit="millimeter" xml:lang="fr-FR" ' +
+            'xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">\n' +
+            `<metadata name="Title">${this.escapeXML(name)}</metadata>\n` +
+            '<metadata name="Application">Extrudator</metadata>\n' +
+            '<resources>\n' +
+            `<basematerials id="1">\n${materials.join('\n')}\n</basematerials>\n` +
+            objects.join('\n') + '\n' +
+            '</resources>\n' +
+            `<build>\n${items.join('\n')}\n</build>\n` +
+            '</model>\n';
+    }
+
+    /**
+     * Convertit la géométrie d'un maillage en élément <mesh> 3MF
+     * Les sommets identiques sont fusionnés: le 3MF attend un maillage
+     * dont les triangles partagent leurs sommets
+     * @param {THREE.Mesh} mesh - Maillage à convertir
+     * @returns {string} - Élément <mesh>
+     */
+    createMesh(mesh) {
+        const geometry = mesh.geometry;
+        const position = geometry.getAttribute('position');
+        const index = geometry.getIndex();
+        const vertex = new THREE.Vector3();
+
+        const vertices = [];
+        const vertexIds = new Map();
+        const remap = new Array(position.count);
+
+        for (let i = 0; i < position.count; i++) {
+            vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+
+            // Fusionner les sommets au micron près
+            const key = `${Math.round(vertex.x * 1000)},${Math.round(vertex.y * 1000)},${Math.round(vertex.z * 1000)}`;
+            if (!vertexIds.has(key)) {
+                vertexIds.set(key, vertices.length);
+                vertices.push(`<vertex x="${this.formatNumber(vertex.x)}" y="${this.formatNumber(vertex.y)}" z="${this.formatNumber(vertex.z)}" />`);
+            }
+            remap[i] = vertexIds.get(key);
+        }
+
+        const triangles = [];
+        const faceCount = index ? index.count / 3 : position.count / 3;
+
+        for (let f = 0; f < faceCount; f++) {
+            const a = remap[index ? index.getX(f * 3) : f * 3];
+            const b = remap[index ? index.getX(f * 3 + 1) : f * 3 + 1];
+            const c = remap[index ? index.getX(f * 3 + 2) : f * 3 + 2];
+
+            // Ignorer les triangles dégénérés après fusion
+            if (a === b || b === c || a === c) continue;
+
+            triangles.push(`<triangle v1="${a}" v2="${b}" v3="${c}" />`);
+        }
+
+        return `<mesh><vertices>\n${vertices.join('\n')}\n</vertices><triangles>\n${triangles.join('\n')}\n</triangles></mesh>`;
+    }
+
+    /**
+     * Crée la description des types de contenu de l'archive
+     * @returns {string} - Contenu de [Content_Types].xml
+     */
+    createContentTypes() {
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">\n' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml" />\n' +
+            '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml" />\n' +
+            '</Types>\n';
+    }
+
+    /**
+     * Crée la relation désignant le modèle 3D principal
+     * @returns {string} - Contenu de _rels/.rels
+     */
+    createRelationships() {
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">\n' +
+            '<Relationship Target="/3D/3dmodel.model" Id="rel0" ' +
+            'Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel" />\n' +
+            '</Relationships>\n';
+    }
+
+    /**
+     * Formate une coordonnée (au micron près, sans zéros inutiles)
+     * @param {number} value - Coordonnée en mm
+     * @returns {string} - Coordonnée formatée
+     */
+    formatNumber(value) {
+        return String(Math.round(value * 1000) / 1000);
+    }
+
+    /**
+     * Échappe les caractères spéciaux XML
+     * @param {string} text - Texte à échapper
+     * @returns {string} - Texte échappé
+     */
+    escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Exporter la classe
+window.ThreeMFExporter = ThreeMFExporter;
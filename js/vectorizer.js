@@ -7,17 +7,53 @@ class Vectorizer {
         this.width = 0;
         this.height = 0;
         this.threshold = 128;
+        this.thresholdMethod = 'manual'; // Méthode du dernier seuil appliqué
+        this.adaptiveThreshold = null; // Seuil adaptatif {mode, windowSize, k, offset} (null = seuil global)
+        this.morphology = null; // Nettoyage morphologique {operation, radius, shape, fillHoles, removeSpecks}
+        this.binarization = { channel: 'luminance', invert: false, transparentAsBackground: true }; // Source du seuillage
         this.simplificationTolerance = 5;
+        this.previewContours = null; // Derniers contours dessinés dans l'aperçu
+        this.previewMirrored = false; // Aperçu en miroir (mode tampon)
+        this.previewLayers = null; // Derniers niveaux dessinés dans l'aperçu (mode multi-niveaux)
+        this.curveTolerance = 0.25; // Écart maximal entre une courbe et ses segments (unités du chemin)
+        this.vectorSource = null; // Contours lus directement dans un fichier vectoriel (SVG, DXF), sans traçage
+        this.vectorRasterSize = 1024; // Plus grande dimension en pixels de l'image affichée pour un fichier vectoriel
+    }
+    
+    /**
+     * Active ou désactive l'affichage en miroir de l'aperçu vectorisé
+     * @param {boolean} mirrored - true pour afficher les contours en miroir horizontal
+     */
+    setPreviewMirrored(mirrored) {
+        this.previewMirrored = mirrored;
+        
+        // Redessiner l'aperçu existant
+        if (this.previewLayers) {
+            this.drawLevelsPreview(this.previewLayers);
+        } else if (this.previewContours) {
+            this.drawVectorPreview(this.previewContours);
+        }
     }
 
     /**
      * Charge une image depuis un élément ou un fichier
+     * Un fichier SVG ou DXF est lu comme une source vectorielle (voir loadSVG et loadDXF)
      * @param {HTMLImageElement|File} source - Source de l'image
      * @returns {Promise} - Promise résolue quand l'image est chargée
      */
     loadImage(source) {
         return new Promise((resolve, reject) => {
-            if (source instanceof File) {
+            if (source instanceof File && (source.type === 'image/svg+xml' || /\.svg$/i.test(source.name))) {
+                const reader = new FileReader();
+                reader.onload = (event) => this.loadSVG(event.target.result).then(resolve).catch(reject);
+                reader.onerror = () => reject(new Error("Erreur lors de la lecture du fichier"));
+                reader.readAsText(source);
+            } else if (source instanceof File && /\.dxf$/i.test(source.name)) {
+                const reader = new FileReader();
+                reader.onload = (event) => this.loadDXF(event.target.result).then(resolve).catch(reject);
+                reader.onerror = () => reject(new Error("Erreur lors de la lecture du fichier"));
+                reader.readAsText(source);
+            } else if (source instanceof File) {
                 const reader = new FileReader();
                 reader.onload = (event) => {
                     const img = new Image();
@@ -47,17 +83,121 @@ class Vectorizer {
         });
     }
 
+    /**
+     * Charge un document SVG: ses formes deviennent directement les contours,
+     * l'image n'est rendue que pour l'affichage et les modes qui travaillent sur les pixels
+     * @param {string} text - Contenu du fichier SVG
+     * @returns {Promise} - Promise résolue avec l'image rendue
+     */
+    loadSVG(text) {
+        return new Promise((resolve, reject) => {
+            let svgData;
+            try {
+                svgData = new SVGImporter(this).parse(text);
+            } catch (error) {
+                reject(error);
+                return;
+            }
+            if (svgData.contours.length === 0) {
+                reject(new Error("Aucune forme remplie trouvée dans le SVG"));
+                return;
+            }
+            
+            // Les contours sont exprimés en pixels de l'image rendue
+            const scale = this.vectorRasterSize / Math.max(svgData.width, svgData.height);
+            const width = Math.max(1, Math.round(svgData.width * scale));
+            const height = Math.max(1, Math.round(svgData.height * scale));
+            const contours = svgData.contours.map(contour =>
+                contour.map(point => ({ x: point.x * scale, y: point.y * scale })));
+            
+            const url = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml' }));
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                this.processImage(img, width, height);
+                this.vectorSource = { contours, width, height, type: 'svg' };
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error("Erreur lors du rendu du SVG"));
+            };
+            img.src = url;
+        });
+    }
+
+    /**
+     * Charge un dessin DXF: ses contours fermés deviennent directement les contours du modèle
+     * Le dessin est rendu (noir sur blanc) pour l'affichage et les modes qui travaillent sur les pixels.
+     * L'échelle réelle du dessin est conservée dans vectorSource.mmPerPixel.
+     * @param {string} text - Contenu du fichier DXF
+     * @returns {Promise} - Promise résolue avec le canvas rendu
+     */
+    loadDXF(text) {
+        let dxfData;
+        try {
+            dxfData = new DXFImporter().parse(text);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        if (dxfData.contours.length === 0) {
+            return Promise.reject(new Error("Aucun contour fermé trouvé dans le DXF"));
+        }
+        if (dxfData.openChains > 0) {
+            console.warn(`DXF: ${dxfData.openChains} tracé(s) ouvert(s) ignoré(s)`);
+        }
+        
+        // Les contours sont exprimés en pixels de l'image rendue
+        const scale = this.vectorRasterSize / Math.max(dxfData.width, dxfData.height);
+        const width = Math.max(1, Math.round(dxfData.width * scale));
+        const height = Math.max(1, Math.round(dxfData.height * scale));
+        const contours = dxfData.contours.map(contour =>
+            contour.map(point => ({ x: point.x * scale, y: point.y * scale })));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, width, height);
+        ctx.fillStyle = '#000000';
+        ctx.beginPath();
+        for (const contour of contours) {
+            ctx.moveTo(contour[0].x, contour[0].y);
+            for (let i = 1; i < contour.length; i++) {
+                ctx.lineTo(contour[i].x, contour[i].y);
+            }
+            ctx.closePath();
+        }
+        ctx.fill('evenodd');
+        
+        this.processImage(canvas, width, height);
+        this.vectorSource = {
+            contours,
+            width,
+            height,
+            type: 'dxf',
+            units: dxfData.units,
+            mmPerPixel: dxfData.mmPerUnit / scale
+        };
+        
+        return Promise.resolve(canvas);
+    }
+
     /**
      * Traite une image pour extraire ses données
-     * @param {HTMLImageElement} img - Image à traiter
+     * @param {HTMLImageElement|HTMLCanvasElement} img - Image à traiter
+     * @param {number} width - Largeur de rendu (par défaut celle de l'image)
+     * @param {number} height - Hauteur de rendu (par défaut celle de l'image)
      */
-    processImage(img) {
+    processImage(img, width = img.width, height = img.height) {
         const canvas = document.createElement('canvas');
-        this.width = canvas.width = img.width;
-        this.height = canvas.height = img.height;
+        this.width = canvas.width = width;
+        this.height = canvas.height = height;
+        this.vectorSource = null;
         
         const ctx = canvas.getContext('2d');
-        ctx.drawImage(img, 0, 0);
+        ctx.drawImage(img, 0, 0, width, height);
         
         this.imageData = ctx.getImageData(0, 0, this.width, this.height);
         
@@ -65,32 +205,187 @@ class Vectorizer {
         const originalCanvas = document.getElementById('original-canvas');
         originalCanvas.width = this.width;
         originalCanvas.height = this.height;
-        originalCanvas.getContext('2d').drawImage(img, 0, 0);
+        originalCanvas.getContext('2d').drawImage(canvas, 0, 0);
+    }
+
+    /**
+     * Renvoie les contours du fichier vectoriel importé, sans seuillage ni traçage
+     * @returns {Promise} - Promise résolue avec {contours, width, height}
+     */
+    useVectorSource() {
+        if (!this.vectorSource) {
+            return Promise.reject(new Error("Aucun fichier vectoriel chargé"));
+        }
+        
+        const contours = this.vectorSource.contours.map(contour => contour.map(point => ({ ...point })));
+        this.drawVectorPreview(contours);
+        
+        return Promise.resolve({
+            contours,
+            width: this.vectorSource.width,
+            height: this.vectorSource.height,
+            source: this.vectorSource.type
+        });
+    }
+
+    /**
+     * Utilise directement des données d'image (image d'un flux vidéo par exemple)
+     * @param {ImageData} imageData - Données d'image
+     */
+    setImageData(imageData) {
+        this.imageData = imageData;
+        this.width = imageData.width;
+        this.height = imageData.height;
+    }
+
+    /**
+     * Définit la source de la binarisation
+     * @param {Object} options - Réglages (les valeurs absentes sont conservées)
+     * @param {string} options.channel - 'luminance', 'alpha' (opacité), 'red', 'green' ou 'blue'
+     * @param {boolean} options.invert - true pour extruder les zones claires au lieu des zones sombres
+     * @param {boolean} options.transparentAsBackground - true pour traiter les pixels transparents comme du fond
+     */
+    setBinarization(options = {}) {
+        this.binarization = { ...this.binarization, ...options };
+    }
+
+    /**
+     * Calcule la luminance de chaque pixel
+     * Si les pixels transparents font partie du fond, l'image est composée sur du blanc
+     * @param {ImageData} imageData - Données d'image (par défaut l'image chargée)
+     * @returns {Float32Array} - Luminance (0-255) de chaque pixel
+     */
+    getGrayscale(imageData = this.imageData) {
+        return this.getChannel(imageData, 'luminance');
+    }
+
+    /**
+     * Calcule les valeurs comparées au seuil, selon les réglages de binarisation
+     * Les valeurs basses (sombres) deviennent le dessin à extruder.
+     * @param {ImageData} imageData - Données d'image (par défaut l'image chargée)
+     * @returns {Float32Array} - Valeur (0-255) de chaque pixel
+     */
+    getSourceValues(imageData = this.imageData) {
+        const { channel, invert, transparentAsBackground } = this.binarization;
+        const values = this.getChannel(imageData, channel, false);
+        const data = imageData.data;
+        
+        for (let i = 0, p = 0; p < values.length; i += 4, p++) {
+            let value = invert ? 255 - values[p] : values[p];
+            
+            // Le canal alpha décrit déjà la transparence: il n'est pas recomposé
+            if (transparentAsBackground && channel !== 'alpha') {
+                const alpha = data[i + 3] / 255;
+                value = value * alpha + 255 * (1 - alpha);
+            }
+            values[p] = value;
+        }
+        
+        return values;
+    }
+
+    /**
+     * Extrait un canal de l'image
+     * @param {ImageData} imageData - Données d'image
+     * @param {string} channel - 'luminance', 'alpha', 'red', 'green' ou 'blue'
+     * (pour 'alpha', les pixels opaques valent 0 afin de former le dessin)
+     * @param {boolean} composite - true pour composer les pixels transparents sur du blanc
+     * (si les réglages de binarisation le demandent)
+     * @returns {Float32Array} - Valeur (0-255) de chaque pixel
+     */
+    getChannel(imageData, channel = 'luminance', composite = true) {
+        if (!imageData) {
+            throw new Error("Aucune image chargée");
+        }
+        
+        const data = imageData.data;
+        const values = new Float32Array(imageData.width * imageData.height);
+        const flatten = composite && this.binarization.transparentAsBackground;
+        
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            let value;
+            switch (channel) {
+                case 'alpha':
+                    values[p] = 255 - data[i + 3];
+                    continue;
+                case 'red':
+                    value = data[i];
+                    break;
+                case 'green':
+                    value = data[i + 1];
+                    break;
+                case 'blue':
+                    value = data[i + 2];
+                    break;
+                default:
+                    value = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            }
+            
+            if (flatten) {
+                const alpha = data[i + 3] / 255;
+                value = value * alpha + 255 * (1 - alpha);
+            }
+            values[p] = value;
+        }
+        
+        return values;
+    }
+
+    /**
+     * Image en couleurs utilisée pour la palette et la séparation des couleurs
+     * Si les pixels transparents font partie du fond, l'image est composée sur du blanc
+     * @returns {ImageData} - Image opaque (ou l'image chargée telle quelle)
+     */
+    getColorImageData() {
+        if (!this.binarization.transparentAsBackground) {
+            return this.imageData;
+        }
+        
+        const data = new Uint8ClampedArray(this.imageData.data);
+        for (let i = 0; i < data.length; i += 4) {
+            const alpha = data[i + 3] / 255;
+            data[i] = data[i] * alpha + 255 * (1 - alpha);
+            data[i + 1] = data[i + 1] * alpha + 255 * (1 - alpha);
+            data[i + 2] = data[i + 2] * alpha + 255 * (1 - alpha);
+            data[i + 3] = 255;
+        }
+        
+        return new ImageData(data, this.width, this.height);
     }
 
     /**
      * Applique un seuil à l'image pour la binariser
-     * @param {number} threshold - Valeur de seuil (0-255)
+     * Le canal comparé au seuil, l'inversion et la transparence suivent setBinarization.
+     * Si un seuil adaptatif est défini (voir setAdaptiveThreshold), chaque pixel est comparé
+     * à un seuil calculé sur son voisinage et la valeur globale est ignorée
+     * @param {number} threshold - Valeur de seuil (0-255), ignorée si la méthode est automatique
+     * @param {string} method - 'manual' (valeur fournie), ou seuil automatique 'otsu', 'triangle' ou 'mean'
      * @returns {ImageData} - Image binarisée
      */
-    applyThreshold(threshold) {
-        this.threshold = threshold;
-        
+    applyThreshold(threshold, method = 'manual') {
         if (!this.imageData) {
             throw new Error("Aucune image chargée");
         }
         
         const binaryData = new Uint8ClampedArray(this.imageData.data.length);
         
+        // Valeurs comparées au seuil (luminance par défaut)
+        const gray = this.getSourceValues();
+        
+        // Seuil automatique calculé sur l'histogramme
+        if (method !== 'manual') {
+            threshold = this.computeAutoThreshold(method, gray);
+        }
+        this.threshold = threshold;
+        this.thresholdMethod = method;
+        
+        // Seuils locaux pour les photos inégalement éclairées
+        const localThresholds = this.adaptiveThreshold ?
+            this.computeAdaptiveThresholds(gray, this.adaptiveThreshold) : null;
+        
         for (let i = 0; i < this.imageData.data.length; i += 4) {
-            // Calcul de la luminosité (gris)
-            const r = this.imageData.data[i];
-            const g = this.imageData.data[i + 1];
-            const b = this.imageData.data[i + 2];
-            const gray = 0.299 * r + 0.587 * g + 0.114 * b;
-            
             // Appliquer le seuil
-            const value = gray < threshold ? 0 : 255;
+            const value = gray[i / 4] < (localThresholds ? localThresholds[i / 4] : threshold) ? 0 : 255;
             
             binaryData[i] = binaryData[i + 1] = binaryData[i + 2] = value;
             binaryData[i + 3] = 255; // Alpha à 100%
@@ -99,8 +394,582 @@ class Vectorizer {
         return new ImageData(binaryData, this.width, this.height);
     }
 
+    /**
+     * Calcule l'histogramme des niveaux de gris
+     * @param {Float32Array} gray - Valeur de chaque pixel (voir getSourceValues)
+     * @returns {Uint32Array} - Nombre de pixels pour chaque niveau (0-255)
+     */
+    computeHistogram(gray = this.getSourceValues()) {
+        const histogram = new Uint32Array(256);
+        
+        for (let i = 0; i < gray.length; i++) {
+            histogram[Math.min(255, Math.round(gray[i]))]++;
+        }
+        
+        return histogram;
+    }
+
+    /**
+     * Définit le seuil adaptatif utilisé par applyThreshold
+     * @param {Object} options - Options du seuil adaptatif, null pour revenir au seuil global
+     * @param {string} options.mode - 'none', 'mean' (moyenne locale), 'gaussian' (moyenne pondérée),
+     * 'sauvola' ou 'niblack'
+     * @param {number} options.windowSize - Taille du voisinage en pixels
+     * @param {number} options.k - Sensibilité à l'écart type local (Sauvola et Niblack)
+     * @param {number} options.offset - Marge soustraite à la moyenne locale (moyenne et gaussien)
+     */
+    setAdaptiveThreshold(options) {
+        this.adaptiveThreshold = options && options.mode && options.mode !== 'none' ? { ...options } : null;
+    }
+
+    /**
+     * Définit le nettoyage morphologique appliqué par preprocessImage
+     * @param {Object} options - Réglages (voir Morphology.apply), null pour désactiver
+     */
+    setMorphology(options) {
+        const active = options && (
+            (options.operation && options.operation !== 'none' && options.radius > 0) ||
+            options.fillHoles > 0 || options.removeSpecks > 0
+        );
+        this.morphology = active ? { ...options } : null;
+    }
+
+    /**
+     * Calcule le seuil de chaque pixel à partir de son voisinage
+     * Les moyennes locales utilisent des images intégrales: le coût ne dépend pas de la taille de la fenêtre
+     * @param {Float32Array} gray - Valeur de chaque pixel (voir getSourceValues)
+     * @param {Object} options - Options du seuil adaptatif (voir setAdaptiveThreshold)
+     * @returns {Float32Array} - Seuil de chaque pixel
+     */
+    computeAdaptiveThresholds(gray, options) {
+        const windowSize = Math.max(3, Math.round(options.windowSize || 31));
+        const radius = Math.floor(windowSize / 2);
+        const k = options.k !== undefined ? options.k : 0.2;
+        const offset = options.offset !== undefined ? options.offset : 10;
+        const thresholds = new Float32Array(gray.length);
+        
+        if (options.mode === 'sauvola' || options.mode === 'niblack') {
+            // Moyenne et écart type locaux
+            const squares = new Float32Array(gray.length);
+            for (let p = 0; p < gray.length; p++) {
+                squares[p] = gray[p] * gray[p];
+            }
+            const mean = this.boxMean(gray, radius);
+            const meanSquares = this.boxMean(squares, radius);
+            
+            for (let p = 0; p < gray.length; p++) {
+                const deviation = Math.sqrt(Math.max(0, meanSquares[p] - mean[p] * mean[p]));
+                thresholds[p] = options.mode === 'sauvola' ?
+                    mean[p] * (1 + k * (deviation / 128 - 1)) : // R = 128: écart type maximal
+                    mean[p] - k * deviation;
+            }
+            
+            return thresholds;
+        }
+        
+        let mean;
+        if (options.mode === 'gaussian') {
+            // Trois flous moyens successifs approchent un flou gaussien
+            // (sigma déduit de la fenêtre comme dans OpenCV)
+            const sigma = 0.3 * ((windowSize - 1) * 0.5 - 1) + 0.8;
+            const boxRadius = Math.max(1, Math.floor(Math.sqrt(4 * sigma * sigma + 1) / 2));
+            mean = this.boxMean(this.boxMean(this.boxMean(gray, boxRadius), boxRadius), boxRadius);
+        } else {
+            mean = this.boxMean(gray, radius);
+        }
+        
+        for (let p = 0; p < gray.length; p++) {
+            thresholds[p] = mean[p] - offset;
+        }
+        
+        return thresholds;
+    }
+
+    /**
+     * Moyenne de chaque pixel sur une fenêtre carrée (tronquée aux bords de l'image)
+     * @param {Float32Array} values - Valeur de chaque pixel
+     * @param {number} radius - Demi-taille de la fenêtre
+     * @returns {Float32Array} - Moyenne locale de chaque pixel
+     */
+    boxMean(values, radius) {
+        const width = this.width;
+        const height = this.height;
+        
+        // Image intégrale (avec une ligne et une colonne de zéros)
+        const stride = width + 1;
+        const integral = new Float64Array(stride * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += values[y * width + x];
+                integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+            }
+        }
+        
+        const mean = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - radius);
+            const y1 = Math.min(height, y + radius + 1);
+            
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - radius);
+                const x1 = Math.min(width, x + radius + 1);
+                
+                const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] -
+                    integral[y1 * stride + x0] + integral[y0 * stride + x0];
+                mean[y * width + x] = sum / ((x1 - x0) * (y1 - y0));
+            }
+        }
+        
+        return mean;
+    }
+
+    /**
+     * Calcule automatiquement le seuil noir/blanc
+     * Le seuil renvoyé sépare les pixels plus sombres (valeur < seuil, le dessin) du reste
+     * @param {string} method - 'otsu' (variance inter-classes maximale), 'triangle'
+     * (distance maximale à la droite pic-extrémité) ou 'mean' (moyenne itérative)
+     * @param {Float32Array} gray - Valeur de chaque pixel (voir getSourceValues)
+     * @returns {number} - Seuil (1-255)
+     */
+    computeAutoThreshold(method = 'otsu', gray = this.getSourceValues()) {
+        const histogram = this.computeHistogram(gray);
+        
+        let total = 0;
+        let sum = 0;
+        for (let value = 0; value < 256; value++) {
+            total += histogram[value];
+            sum += value * histogram[value];
+        }
+        if (total === 0) return this.threshold;
+        
+        let threshold;
+        
+        if (method === 'triangle') {
+            // Pic de l'histogramme et extrémités non vides
+            let peak = 0;
+            let first = -1;
+            let last = 0;
+            for (let value = 0; value < 256; value++) {
+                if (histogram[value] > histogram[peak]) peak = value;
+                if (histogram[value] > 0) {
+                    if (first < 0) first = value;
+                    last = value;
+                }
+            }
+            
+            // La droite relie le pic à l'extrémité la plus éloignée (la traîne)
+            const darkTail = peak - first > last - peak;
+            const end = darkTail ? first : last;
+            const peakHeight = histogram[peak];
+            const length = Math.hypot(end - peak, peakHeight);
+            
+            let best = peak;
+            let bestDistance = -1;
+            const step = darkTail ? -1 : 1;
+            for (let value = peak; value !== end + step; value += step) {
+                // Distance du haut de la barre à la droite (pic, hauteur) - (extrémité, 0)
+                const distance = Math.abs(peakHeight * (value - end) - histogram[value] * (peak - end)) / length;
+                if (distance > bestDistance) {
+                    bestDistance = distance;
+                    best = value;
+                }
+            }
+            
+            // Le seuil englobe la barre trouvée côté sombre
+            threshold = darkTail ? best + 1 : best;
+        } else if (method === 'mean') {
+            // Moyenne itérative (Ridler-Calvard): le seuil est le milieu des moyennes des deux classes
+            threshold = sum / total;
+            for (let iteration = 0; iteration < 100; iteration++) {
+                let darkCount = 0;
+                let darkSum = 0;
+                for (let value = 0; value < threshold; value++) {
+                    darkCount += histogram[value];
+                    darkSum += value * histogram[value];
+                }
+                const lightCount = total - darkCount;
+                if (darkCount === 0 || lightCount === 0) break;
+                
+                const updated = (darkSum / darkCount + (sum - darkSum) / lightCount) / 2;
+                if (Math.abs(updated - threshold) < 0.5) {
+                    threshold = updated;
+                    break;
+                }
+                threshold = updated;
+            }
+            threshold = Math.ceil(threshold);
+        } else {
+            // Otsu: maximiser la variance entre la classe sombre [0, t[ et la classe claire [t, 255]
+            let darkCount = 0;
+            let darkSum = 0;
+            let bestVariance = -1;
+            let bestStart = 128;
+            let bestEnd = 128;
+            for (let t = 1; t < 256; t++) {
+                darkCount += histogram[t - 1];
+                darkSum += (t - 1) * histogram[t - 1];
+                const lightCount = total - darkCount;
+                if (darkCount === 0) continue;
+                if (lightCount === 0) break;
+                
+                const darkMean = darkSum / darkCount;
+                const lightMean = (sum - darkSum) / lightCount;
+                const variance = darkCount * lightCount * (darkMean - lightMean) ** 2;
+                if (variance > bestVariance) {
+                    bestVariance = variance;
+                    bestStart = bestEnd = t;
+                } else if (variance === bestVariance) {
+                    // Niveaux absents de l'image: se placer au milieu de l'intervalle vide
+                    bestEnd = t;
+                }
+            }
+            threshold = (bestStart + bestEnd) / 2;
+        }
+        
+        return Math.max(1, Math.min(255, Math.round(threshold)));
+    }
+
+    /**
+     * Calcule les seuils séparant l'image en plusieurs niveaux de gris (postérisation)
+     * @param {number} levels - Nombre de niveaux à extruder
+     * @param {string} method - 'even' (intervalles réguliers) ou 'kmeans' (regroupement des niveaux présents)
+     * @returns {Array} - Seuils triés du plus clair au plus sombre
+     * (le premier seuil englobe le plus de pixels)
+     */
+    computeLevelThresholds(levels, method = 'even') {
+        const count = Math.max(1, Math.round(levels));
+        const thresholds = [];
+        
+        if (method === 'kmeans') {
+            const histogram = this.computeHistogram();
+            
+            // Le fond (niveau le plus clair) est un groupe à part entière:
+            // on cherche count + 1 centres, les seuils sont les milieux entre centres
+            const k = count + 1;
+            let centers = [];
+            for (let i = 0; i < k; i++) {
+                centers.push((i + 0.5) * 256 / k);
+            }
+            
+            // K-moyennes à une dimension sur l'histogramme
+            for (let iteration = 0; iteration < 50; iteration++) {
+                const sums = new Float64Array(k);
+                const weights = new Float64Array(k);
+                
+                for (let value = 0; value < 256; value++) {
+                    if (histogram[value] === 0) continue;
+                    
+                    let nearest = 0;
+                    for (let c = 1; c < k; c++) {
+                        if (Math.abs(value - centers[c]) < Math.abs(value - centers[nearest])) {
+                            nearest = c;
+                        }
+                    }
+                    sums[nearest] += value * histogram[value];
+                    weights[nearest] += histogram[value];
+                }
+                
+                const updated = centers.map((center, c) => weights[c] > 0 ? sums[c] / weights[c] : center);
+                const moved = updated.some((center, c) => Math.abs(center - centers[c]) > 0.01);
+                centers = updated.sort((a, b) => a - b);
+                if (!moved) break;
+            }
+            
+            for (let c = 0; c < k - 1; c++) {
+                thresholds.push(Math.round((centers[c] + centers[c + 1]) / 2));
+            }
+        } else {
+            for (let i = 1; i <= count; i++) {
+                thresholds.push(Math.round(256 * i / (count + 1)));
+            }
+        }
+        
+        // Seuils distincts, du plus englobant au plus sélectif
+        return [...new Set(thresholds)]
+            .map(value => Math.max(1, Math.min(255, value)))
+            .sort((a, b) => b - a);
+    }
+
+    /**
+     * Vectorise l'image en plusieurs niveaux de gris empilés
+     * Chaque niveau contient les pixels plus sombres que son seuil:
+     * les zones sombres apparaissent dans plus de niveaux et seront donc plus hautes
+     * @param {number} levels - Nombre de niveaux
+     * @param {string} method - Méthode de calcul des seuils ('even' ou 'kmeans')
+     * @param {number} simplification - Niveau de simplification des contours
+     * @param {Object} advancedOptions - Options avancées supplémentaires
+     * @returns {Promise} - Promise résolue avec les niveaux vectorisés
+     */
+    vectorizeLevels(levels, method = 'even', simplification = this.simplificationTolerance, advancedOptions = {}) {
+        const threshold = this.threshold;
+        const thresholdMethod = this.thresholdMethod;
+        const thresholds = this.computeLevelThresholds(levels, method);
+        const layers = [];
+        
+        // Vectoriser chaque niveau l'un après l'autre
+        let chain = Promise.resolve();
+        for (const cut of thresholds) {
+            chain = chain
+                .then(() => this.vectorize(cut, simplification, { ...advancedOptions, thresholdMethod: 'manual', adaptiveThreshold: null }))
+                .then(result => {
+                    layers.push({ threshold: cut, contours: result.contours });
+                });
+        }
+        
+        return chain.then(() => {
+            // Le seuil courant reste celui choisi par l'utilisateur
+            this.threshold = threshold;
+            this.thresholdMethod = thresholdMethod;
+            this.drawLevelsPreview(layers);
+            
+            return {
+                layers,
+                thresholds,
+                contours: layers.length > 0 ? layers[0].contours : [],
+                width: this.width,
+                height: this.height
+            };
+        }).catch(error => {
+            this.threshold = threshold;
+            this.thresholdMethod = thresholdMethod;
+            throw error;
+        });
+    }
+
+    /**
+     * Calcule une palette représentative de l'image (k-moyennes dans l'espace RVB)
+     * @param {number} count - Nombre de couleurs
+     * @returns {Array} - Couleurs {r, g, b} triées de la plus sombre à la plus claire
+     */
+    computePalette(count) {
+        if (!this.imageData) {
+            throw new Error("Aucune image chargée");
+        }
+        
+        const data = this.getColorImageData().data;
+        const pixelCount = this.width * this.height;
+        const k = Math.max(1, Math.round(count));
+        
+        // Échantillonner au plus ~20000 pixels pour rester rapide
+        const stride = Math.max(1, Math.floor(pixelCount / 20000));
+        const samples = [];
+        for (let p = 0; p < pixelCount; p += stride) {
+            samples.push([data[p * 4], data[p * 4 + 1], data[p * 4 + 2]]);
+        }
+        
+        const distance = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+        
+        // Initialisation déterministe: couleur moyenne, puis les couleurs les plus éloignées
+        const mean = [0, 0, 0];
+        for (const sample of samples) {
+            mean[0] += sample[0] / samples.length;
+            mean[1] += sample[1] / samples.length;
+            mean[2] += sample[2] / samples.length;
+        }
+        let centers = [mean];
+        const nearestDistance = samples.map(sample => distance(sample, mean));
+        while (centers.length < k) {
+            let farthest = 0;
+            for (let i = 1; i < samples.length; i++) {
+                if (nearestDistance[i] > nearestDistance[farthest]) farthest = i;
+            }
+            if (nearestDistance[farthest] === 0) break; // Moins de couleurs que demandé
+            
+            const center = samples[farthest].slice();
+            centers.push(center);
+            for (let i = 0; i < samples.length; i++) {
+                nearestDistance[i] = Math.min(nearestDistance[i], distance(samples[i], center));
+            }
+        }
+        
+        // Affiner les centres
+        for (let iteration = 0; iteration < 10; iteration++) {
+            const sums = centers.map(() => [0, 0, 0, 0]);
+            
+            for (const sample of samples) {
+                let nearest = 0;
+                for (let c = 1; c < centers.length; c++) {
+                    if (distance(sample, centers[c]) < distance(sample, centers[nearest])) nearest = c;
+                }
+                sums[nearest][0] += sample[0];
+                sums[nearest][1] += sample[1];
+                sums[nearest][2] += sample[2];
+                sums[nearest][3]++;
+            }
+            
+            centers = centers.map((center, c) => sums[c][3] > 0 ?
+                [sums[c][0] / sums[c][3], sums[c][1] / sums[c][3], sums[c][2] / sums[c][3]] : center);
+        }
+        
+        return centers
+            .map(center => ({ r: Math.round(center[0]), g: Math.round(center[1]), b: Math.round(center[2]) }))
+            .sort((a, b) => (0.299 * a.r + 0.587 * a.g + 0.114 * a.b) - (0.299 * b.r + 0.587 * b.g + 0.114 * b.b));
+    }
+
+    /**
+     * Trouve la couleur de la palette la plus présente sur le bord de l'image (le fond)
+     * @param {Array} palette - Couleurs {r, g, b}
+     * @param {ImageData} imageData - Image en couleurs (voir getColorImageData)
+     * @returns {number} - Indice de la couleur du fond
+     */
+    findBackgroundColor(palette, imageData = this.getColorImageData()) {
+        const data = imageData.data;
+        const counts = new Array(palette.length).fill(0);
+        
+        const countPixel = (x, y) => {
+            const i = (y * this.width + x) * 4;
+            let nearest = 0;
+            let nearestDistance = Infinity;
+            palette.forEach((color, c) => {
+                const d = Math.abs(color.r - data[i]) + Math.abs(color.g - data[i + 1]) + Math.abs(color.b - data[i + 2]);
+                if (d < nearestDistance) {
+                    nearestDistance = d;
+                    nearest = c;
+                }
+            });
+            counts[nearest]++;
+        };
+        
+        for (let x = 0; x < this.width; x++) {
+            countPixel(x, 0);
+            countPixel(x, this.height - 1);
+        }
+        for (let y = 1; y < this.height - 1; y++) {
+            countPixel(0, y);
+            countPixel(this.width - 1, y);
+        }
+        
+        return counts.indexOf(Math.max(...counts));
+    }
+
+    /**
+     * Vectorise l'image en plusieurs couleurs: chaque pixel est rattaché à la couleur
+     * la plus proche de la palette, puis chaque couleur est tracée séparément
+     * @param {Array} palette - Couleurs {r, g, b} de la palette
+     * @param {number} simplification - Niveau de simplification des contours
+     * @param {Object} advancedOptions - Options avancées supplémentaires
+     * @param {boolean} ignoreBackground - true pour ne pas tracer la couleur du fond
+     * @returns {Promise} - Promise résolue avec les contours de chaque couleur
+     */
+    vectorizeColors(palette, simplification = this.simplificationTolerance, advancedOptions = {}, ignoreBackground = true) {
+        return new Promise((resolve, reject) => {
+            if (!this.imageData) {
+                reject(new Error("Aucune image chargée"));
+                return;
+            }
+            if (typeof ImageTracer === 'undefined') {
+                reject(new Error("ImageTracer est nécessaire pour la séparation des couleurs"));
+                return;
+            }
+            
+            this.simplificationTolerance = simplification;
+            if (advancedOptions.binarization) {
+                this.setBinarization(advancedOptions.binarization);
+            }
+            
+            const options = {
+                ltres: advancedOptions.ltres !== undefined ? advancedOptions.ltres : Math.max(0.1, (11 - simplification) / 10),
+                qtres: advancedOptions.qtres !== undefined ? advancedOptions.qtres : Math.max(0.1, (11 - simplification) / 10),
+                pathomit: advancedOptions.pathomit !== undefined ? advancedOptions.pathomit : Math.max(1, simplification),
+                blurradius: advancedOptions.blurradius !== undefined ? advancedOptions.blurradius : 0,
+                blurdelta: advancedOptions.blurdelta !== undefined ? advancedOptions.blurdelta : 20,
+                rightangleenhance: advancedOptions.rightangleenhance !== undefined ? advancedOptions.rightangleenhance : false,
+                
+                // Palette imposée: un seul cycle pour ne pas la modifier
+                pal: palette.map(color => ({ r: color.r, g: color.g, b: color.b, a: 255 })),
+                numberofcolors: palette.length,
+                colorquantcycles: 1,
+                mincolorratio: 0,
+                layering: 0,
+                linefilter: true
+            };
+            
+            try {
+                const colorData = this.getColorImageData();
+                const tracedata = ImageTracer.imagedataToTracedata(colorData, options);
+                const backgroundIndex = this.findBackgroundColor(palette, colorData);
+                const simplifyTolerance = options.ltres < 1 ? options.ltres / 2 : simplification / 20;
+                const colors = [];
+                
+                tracedata.layers.forEach((paths, index) => {
+                    if (ignoreBackground && index === backgroundIndex) return;
+                    
+                    const contours = [];
+                    for (const path of paths) {
+                        let points = this.tracePathToContour(path);
+                        if (points.length < 3) continue;
+                        
+                        points = simplify(points, simplifyTolerance);
+                        if (points.length < 3) continue;
+                        
+                        // Orientation attendue par l'extrudeur: extérieurs positifs, trous négatifs
+                        const area = this.calculateArea(points);
+                        if ((area < 0) !== Boolean(path.isholepath)) {
+                            points.reverse();
+                        }
+                        contours.push(points);
+                    }
+                    
+                    if (contours.length === 0) return;
+                    
+                    const color = palette[index];
+                    colors.push({
+                        color,
+                        hex: '#' + [color.r, color.g, color.b].map(v => v.toString(16).padStart(2, '0')).join(''),
+                        contours
+                    });
+                });
+                
+                this.drawLevelsPreview(colors);
+                
+                resolve({
+                    colors,
+                    palette,
+                    backgroundIndex,
+                    contours: colors.reduce((all, layer) => all.concat(layer.contours), []),
+                    width: this.width,
+                    height: this.height
+                });
+            } catch (error) {
+                console.error("Erreur lors de la séparation des couleurs:", error);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Convertit un chemin tracé par ImageTracer (segments droits et quadratiques) en points
+     * @param {Object} path - Chemin de tracedata ({segments: [{type, x1, y1, x2, y2, x3, y3}]})
+     * @returns {Array} - Points du contour
+     */
+    tracePathToContour(path) {
+        const points = [];
+        if (!path.segments || path.segments.length === 0) return points;
+        
+        points.push({ x: path.segments[0].x1, y: path.segments[0].y1 });
+        for (const segment of path.segments) {
+            if (segment.type === 'Q') {
+                this.approximateQuadraticBezier(points, segment.x1, segment.y1,
+                    segment.x2, segment.y2, segment.x3, segment.y3);
+            } else {
+                points.push({ x: segment.x2, y: segment.y2 });
+            }
+        }
+        
+        // Le dernier point rejoint le premier
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (points.length > 1 && first.x === last.x && first.y === last.y) {
+            points.pop();
+        }
+        
+        return points;
+    }
+
     /**
      * Prétraitement de l'image pour améliorer la qualité de vectorisation
+     * Filtre médian, puis nettoyage morphologique éventuel (voir setMorphology)
      * @param {ImageData} imageData - Données d'image à prétraiter
      * @returns {ImageData} - Image prétraitée
      */
@@ -135,6 +1004,25 @@ class Vectorizer {
             }
         }
         
+        // Nettoyage morphologique de l'image binaire
+        if (this.morphology && typeof Morphology !== 'undefined') {
+            // Le pourtour (non filtré par la médiane) est traité comme du fond
+            const mask = new Uint8Array(width * height);
+            for (let y = 2; y < height - 2; y++) {
+                for (let x = 2; x < width - 2; x++) {
+                    const i = y * width + x;
+                    mask[i] = temp[i * 4] < 128 ? 1 : 0;
+                }
+            }
+            
+            Morphology.apply(mask, width, height, this.morphology);
+            
+            for (let i = 0; i < mask.length; i++) {
+                temp[i * 4] = temp[i * 4 + 1] = temp[i * 4 + 2] = mask[i] ? 0 : 255;
+                temp[i * 4 + 3] = 255;
+            }
+        }
+        
         // Blanchir les bords pour éviter le cadre noir
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
@@ -189,14 +1077,24 @@ class Vectorizer {
      * @param {number} threshold - Valeur de seuil pour la binarisation
      * @param {number} simplification - Niveau de simplification des contours
      * @param {Object} advancedOptions - Options avancées supplémentaires
-     * @returns {Object} - Contours vectorisés
+     * (advancedOptions.thresholdMethod: 'manual', 'otsu', 'triangle' ou 'mean';
+     * advancedOptions.adaptiveThreshold: seuil adaptatif, voir setAdaptiveThreshold;
+     * advancedOptions.morphology: nettoyage morphologique, voir setMorphology;
+     * advancedOptions.binarization: canal, inversion et transparence, voir setBinarization)
+     * @returns {Object} - Contours vectorisés, avec la méthode et la valeur du seuil utilisé
      */
     vectorize(threshold = this.threshold, simplification = this.simplificationTolerance, advancedOptions = {}) {
-        this.threshold = threshold;
         this.simplificationTolerance = simplification;
+        const thresholdMethod = advancedOptions.thresholdMethod || 'manual';
+        this.setAdaptiveThreshold(advancedOptions.adaptiveThreshold);
+        this.setMorphology(advancedOptions.morphology);
+        if (advancedOptions.binarization) {
+            this.setBinarization(advancedOptions.binarization);
+        }
         
-        // Binariser l'image
-        const binaryData = this.applyThreshold(threshold);
+        // Binariser l'image (le seuil automatique remplace la valeur fournie)
+        const binaryData = this.applyThreshold(threshold, thresholdMethod);
+        threshold = this.threshold;
         
         // Prétraiter l'image pour améliorer la qualité
         const processedData = this.preprocessImage(binaryData);
@@ -283,6 +1181,12 @@ class Vectorizer {
                 console.error("Erreur générale de vectorisation:", error);
                 this.fallbackVectorize(threshold, simplification, advancedOptions).then(resolve).catch(reject);
             }
+        }).then(result => {
+            // Conserver le seuil utilisé pour pouvoir reproduire le résultat
+            result.threshold = threshold;
+            result.thresholdMethod = thresholdMethod;
+            result.adaptiveThreshold = this.adaptiveThreshold;
+            return result;
         });
     }
     
@@ -326,24 +1230,27 @@ class Vectorizer {
                 }
                 
                 paths.forEach(path => {
-                    // Ignorer les paths blancs (fond) si on n'est pas en mode préservation des trous
+                    // ImageTracer écrit les trous d'un chemin dans le même attribut d, en sous-chemins
+                    // qui suivent son contour. Les chemins blancs (fond, intérieur des trous) reprennent
+                    // exactement les trous des chemins noirs: ils sont ignorés
                     const fillColor = path.getAttribute('fill');
                     const isWhite = fillColor === '#FFFFFF' || fillColor === 'white' || 
                                     fillColor === '#ffffff' || fillColor === 'rgb(255,255,255)';
-                    
-                    // Si c'est un chemin blanc et qu'on ne préserve pas les trous, l'ignorer
-                    if (isWhite && !options.preserveholes) {
-                        return;
-                    }
+                    if (isWhite) return;
                     
                     const d = path.getAttribute('d');
                     if (!d || d.trim().length === 0) return;
                     
-                    // Analyser le chemin SVG
-                    const points = this.parseSVGPath(d);
-                    
-                    // Vérifier si le contour est valide
-                    if (points.length > 2) {
+                    // Analyser le chemin SVG: le premier sous-chemin est le contour, les suivants ses trous
+                    this.parseSVGSubpaths(d).forEach((points, index) => {
+                        const isHole = index > 0;
+                        
+                        // Sans préservation des trous, seul le contour extérieur est gardé (forme pleine)
+                        if (isHole && !options.preserveholes) return;
+                        
+                        // Vérifier si le contour est valide
+                        if (points.length <= 2) return;
+                        
                         // Ajuster la tolérance en fonction du niveau de simplification
                         // Utiliser ltres/qtres comme guide pour la tolérance de simplification
                         const simplifyTolerance = options.ltres < 1 ? 
@@ -356,15 +1263,15 @@ class Vectorizer {
                         if (simplifiedPoints.length > 2 && !this.isFrameContour(simplifiedPoints)) {
                             // Si pathomit est défini, vérifier la taille minimale du contour
                             if (!options.pathomit || simplifiedPoints.length >= options.pathomit) {
-                                // Ajouter un marqueur pour les trous (contours blancs)
+                                // Ajouter un marqueur pour les trous
                                 allContours.push({
                                     points: simplifiedPoints,
-                                    isHole: isWhite,
+                                    isHole: isHole,
                                     area: this.calculateArea(simplifiedPoints)
                                 });
                             }
                         }
-                    }
+                    });
                 });
                 
                 // Trier les contours par aire (du plus grand au plus petit)
@@ -380,45 +1287,11 @@ class Vectorizer {
                 let contours = [];
                 
                 if (options.preserveholes) {
-                    // Trouver le contour parent pour chaque trou potentiel
-                    for (let i = 0; i < allContours.length; i++) {
-                        if (allContours[i].isHole) {
-                            // C'est un trou, trouver son parent
-                            let foundParent = false;
-                            for (let j = 0; j < allContours.length; j++) {
-                                if (!allContours[j].isHole && this.isPointInContour(
-                                    allContours[i].points[0], allContours[j].points)) {
-                                    // Si ce contour n'a pas encore de trous, initialiser le tableau
-                                    if (!allContours[j].holes) {
-                                        allContours[j].holes = [];
-                                    }
-                                    // Ajouter ce trou à son parent
-                                    allContours[j].holes.push(allContours[i].points);
-                                    foundParent = true;
-                                    break;
-                                }
-                            }
-                            // Si aucun parent trouvé, traiter comme un contour normal mais inversé
-                            if (!foundParent && allContours[i].points.length > 3) {
-                                // Inverser le sens pour un trou isolé
-                                contours.push(allContours[i].points.reverse());
-                            }
-                        } else {
-                            // Contour normal (non trou)
-                            contours.push(allContours[i].points);
-                        }
-                    }
-                    
-                    // Maintenant, ajouter les trous à la liste des contours mais avec un marqueur
-                    for (let i = 0; i < allContours.length; i++) {
-                        if (!allContours[i].isHole && allContours[i].holes && allContours[i].holes.length > 0) {
-                            // Pour chaque trou, l'ajouter comme contour séparé avec un marqueur
-                            for (let j = 0; j < allContours[i].holes.length; j++) {
-                                // Inverser l'orientation des trous pour qu'ils soient correctement traités
-                                contours.push(allContours[i].holes[j].reverse());
-                            }
-                        }
-                    }
+                    // Chaque trou (contour blanc) est rattaché au seul contour noir qui le contient directement
+                    contours = this.organizeContours(
+                        allContours.filter(c => !c.isHole).map(c => c.points),
+                        allContours.filter(c => c.isHole).map(c => c.points)
+                    );
                 } else {
                     // Si on ne préserve pas les trous, utiliser uniquement les contours noirs
                     contours = allContours.filter(c => !c.isHole).map(c => c.points);
@@ -658,37 +1531,24 @@ class Vectorizer {
     
     /**
      * Organise les contours en associant les trous à leurs parents
+     * L'arbre d'inclusion (PolygonUtils.nestContours) rattache chaque trou à son parent direct:
+     * un trou sans contour noir autour est écarté, un îlot dans un trou reste une forme.
      * @param {Array} externalContours - Contours extérieurs
      * @param {Array} internalContours - Contours intérieurs (trous)
-     * @returns {Array} - Liste finale de contours
+     * @returns {Array} - Liste finale de contours (extérieurs d'aire positive, trous d'aire négative)
      */
     organizeContours(externalContours, internalContours) {
-        let result = [...externalContours];
+        const orient = (contour, positive) =>
+            (this.calculateArea(contour) > 0) === positive ? contour : contour.slice().reverse();
+        const contours = [
+            ...externalContours.map(contour => orient(contour, true)),
+            ...internalContours.map(contour => orient(contour, false))
+        ];
         
-        // Pour chaque trou, vérifier s'il est à l'intérieur d'un contour extérieur
-        for (const hole of internalContours) {
-            if (hole.length < 3) continue;
-            
-            // Prendre un point du trou pour le test
-            const testPoint = hole[0];
-            let foundParent = false;
-            
-            // Chercher un contour extérieur qui contient ce point
-            for (const contour of externalContours) {
-                if (this.isPointInContour(testPoint, contour)) {
-                    // Ajouter ce trou à la liste des contours
-                    result.push(hole);
-                    foundParent = true;
-                    break;
-                }
-            }
-            
-            // Si aucun parent trouvé, l'ajouter comme contour normal
-            if (!foundParent) {
-                result.push(hole);
-            }
+        const result = [];
+        for (const shape of PolygonUtils.nestContours(contours, 'orientation')) {
+            result.push(shape.outer, ...shape.holes);
         }
-        
         return result;
     }
     
@@ -856,13 +1716,26 @@ class Vectorizer {
     /**
      * Parse un chemin SVG pour extraire les points
      * @param {string} d - Attribut d du chemin SVG
-     * @returns {Array} - Points du contour
+     * @returns {Array} - Points du contour (sous-chemins mis bout à bout)
      */
     parseSVGPath(d) {
+        return this.parseSVGSubpaths(d).flat();
+    }
+
+    /**
+     * Parse un chemin SVG en sous-chemins (un par commande M/m)
+     * Les courbes et les arcs sont découpés en segments dont l'écart à la courbe
+     * reste sous la tolérance: plus une courbe est grande ou serrée, plus elle a de points.
+     * @param {string} d - Attribut d du chemin SVG
+     * @param {number} tolerance - Écart maximal entre une courbe et ses segments
+     * @returns {Array} - Liste de sous-chemins (tableaux de points)
+     */
+    parseSVGSubpaths(d, tolerance = this.curveTolerance) {
         try {
             // Regex améliorée pour capturer toutes les commandes SVG
             const commands = d.match(/[MLHVCSQTAZmlhvcsqtaz][^MLHVCSQTAZmlhvcsqtaz]*/g) || [];
-            const points = [];
+            const subpaths = [];
+            let points = []; // Sous-chemin en cours
             let currentX = 0;
             let currentY = 0;
             
@@ -871,16 +1744,32 @@ class Vectorizer {
             let firstY = 0;
             let pathStarted = false;
             
+            // Dernier point de contrôle, reflété par les courbes raccourcies S/s et T/t
+            let controlX = 0;
+            let controlY = 0;
+            let controlType = null; // 'cubic' après C/S, 'quadratic' après Q/T
+            
             for (let i = 0; i < commands.length; i++) {
                 const command = commands[i];
                 const type = command.charAt(0);
                 
+                // Un nouveau sous-chemin commence à chaque MoveTo
+                if ((type === 'M' || type === 'm') && points.length > 0) {
+                    subpaths.push(points);
+                    points = [];
+                }
+                
+                // Après une fermeture, le tracé reprend au point de départ du sous-chemin
+                if (points.length === 0 && type !== 'M' && type !== 'm' && type !== 'Z' && type !== 'z') {
+                    points.push({ x: currentX, y: currentY });
+                }
+                
                 // Extraction sécurisée des arguments
-                const args = command.slice(1)
-                    .trim()
-                    .split(/[\s,]+/)
-                    .filter(arg => arg.length > 0)
-                    .map(arg => parseFloat(arg));
+                const args = this.parseSVGPathArgs(command.slice(1), type === 'A' || type === 'a');
+                
+                // Le point de contrôle n'est reflété que si la commande précédente est une courbe du même type
+                const previousControlType = controlType;
+                controlType = null;
                 
                 switch (type) {
                     case 'M': // MoveTo absolu
@@ -888,12 +1777,10 @@ class Vectorizer {
                             currentX = args[0];
                             currentY = args[1];
                             
-                            // Stocker le premier point pour fermer le chemin
-                            if (!pathStarted) {
-                                firstX = currentX;
-                                firstY = currentY;
-                                pathStarted = true;
-                            }
+                            // Stocker le premier point pour fermer le sous-chemin
+                            firstX = currentX;
+                            firstY = currentY;
+                            pathStarted = true;
                             
                             points.push({ x: currentX, y: currentY });
                             
@@ -914,13 +1801,13 @@ class Vectorizer {
                             if (!pathStarted) {
                                 currentX = args[0];
                                 currentY = args[1];
-                                firstX = currentX;
-                                firstY = currentY;
                                 pathStarted = true;
                             } else {
                                 currentX += args[0];
                                 currentY += args[1];
                             }
+                            firstX = currentX;
+                            firstY = currentY;
                             
                             points.push({ x: currentX, y: currentY });
                             
@@ -992,9 +1879,13 @@ class Vectorizer {
                                     currentX, currentY,
                                     args[j], args[j + 1],
                                     args[j + 2], args[j + 3],
-                                    args[j + 4], args[j + 5]
+                                    args[j + 4], args[j + 5],
+                                    tolerance
                                 );
                                 
+                                controlX = args[j + 2];
+                                controlY = args[j + 3];
+                                controlType = 'cubic';
                                 currentX = args[j + 4];
                                 currentY = args[j + 5];
                             }
@@ -1010,9 +1901,13 @@ class Vectorizer {
                                     currentX, currentY,
                                     currentX + args[j], currentY + args[j + 1],
                                     currentX + args[j + 2], currentY + args[j + 3],
-                                    currentX + args[j + 4], currentY + args[j + 5]
+                                    currentX + args[j + 4], currentY + args[j + 5],
+                                    tolerance
                                 );
                                 
+                                controlX = currentX + args[j + 2];
+                                controlY = currentY + args[j + 3];
+                                controlType = 'cubic';
                                 currentX += args[j + 4];
                                 currentY += args[j + 5];
                             }
@@ -1020,20 +1915,30 @@ class Vectorizer {
                         break;
                         
                     case 'S': // Courbe cubique raccourcie absolue
-                        // TODO: Meilleure implémentation
-                        if (args.length >= 4) {
-                            currentX = args[args.length - 2];
-                            currentY = args[args.length - 1];
-                            points.push({ x: currentX, y: currentY });
-                        }
-                        break;
-                        
                     case 's': // Courbe cubique raccourcie relative
-                        // TODO: Meilleure implémentation
-                        if (args.length >= 4) {
-                            currentX += args[args.length - 2];
-                            currentY += args[args.length - 1];
-                            points.push({ x: currentX, y: currentY });
+                        for (let j = 0; j + 3 < args.length; j += 4) {
+                            const offsetX = type === 's' ? currentX : 0;
+                            const offsetY = type === 's' ? currentY : 0;
+                            
+                            // Premier point de contrôle: reflet du second point de contrôle précédent
+                            const smooth = j > 0 || previousControlType === 'cubic';
+                            const x1 = smooth ? 2 * currentX - controlX : currentX;
+                            const y1 = smooth ? 2 * currentY - controlY : currentY;
+                            
+                            this.approximateCubicBezier(
+                                points,
+                                currentX, currentY,
+                                x1, y1,
+                                offsetX + args[j], offsetY + args[j + 1],
+                                offsetX + args[j + 2], offsetY + args[j + 3],
+                                tolerance
+                            );
+                            
+                            controlX = offsetX + args[j];
+                            controlY = offsetY + args[j + 1];
+                            controlType = 'cubic';
+                            currentX = offsetX + args[j + 2];
+                            currentY = offsetY + args[j + 3];
                         }
                         break;
                         
@@ -1045,9 +1950,13 @@ class Vectorizer {
                                     points,
                                     currentX, currentY,
                                     args[j], args[j + 1],
-                                    args[j + 2], args[j + 3]
+                                    args[j + 2], args[j + 3],
+                                    tolerance
                                 );
                                 
+                                controlX = args[j];
+                                controlY = args[j + 1];
+                                controlType = 'quadratic';
                                 currentX = args[j + 2];
                                 currentY = args[j + 3];
                             }
@@ -1062,9 +1971,13 @@ class Vectorizer {
                                     points,
                                     currentX, currentY,
                                     currentX + args[j], currentY + args[j + 1],
-                                    currentX + args[j + 2], currentY + args[j + 3]
+                                    currentX + args[j + 2], currentY + args[j + 3],
+                                    tolerance
                                 );
                                 
+                                controlX = currentX + args[j];
+                                controlY = currentY + args[j + 1];
+                                controlType = 'quadratic';
                                 currentX += args[j + 2];
                                 currentY += args[j + 3];
                             }
@@ -1072,38 +1985,49 @@ class Vectorizer {
                         break;
                         
                     case 'T': // Courbe quadratique raccourcie absolue
-                        // TODO: Meilleure implémentation
-                        if (args.length >= 2) {
-                            currentX = args[args.length - 2];
-                            currentY = args[args.length - 1];
-                            points.push({ x: currentX, y: currentY });
-                        }
-                        break;
-                        
                     case 't': // Courbe quadratique raccourcie relative
-                        // TODO: Meilleure implémentation
-                        if (args.length >= 2) {
-                            currentX += args[args.length - 2];
-                            currentY += args[args.length - 1];
-                            points.push({ x: currentX, y: currentY });
+                        for (let j = 0; j + 1 < args.length; j += 2) {
+                            const offsetX = type === 't' ? currentX : 0;
+                            const offsetY = type === 't' ? currentY : 0;
+                            
+                            // Point de contrôle: reflet du point de contrôle précédent
+                            const smooth = j > 0 || previousControlType === 'quadratic';
+                            const x1 = smooth ? 2 * currentX - controlX : currentX;
+                            const y1 = smooth ? 2 * currentY - controlY : currentY;
+                            
+                            this.approximateQuadraticBezier(
+                                points,
+                                currentX, currentY,
+                                x1, y1,
+                                offsetX + args[j], offsetY + args[j + 1],
+                                tolerance
+                            );
+                            
+                            controlX = x1;
+                            controlY = y1;
+                            controlType = 'quadratic';
+                            currentX = offsetX + args[j];
+                            currentY = offsetY + args[j + 1];
                         }
                         break;
                         
                     case 'A': // Arc elliptique absolu
-                        // TODO: Meilleure implémentation
-                        if (args.length >= 7) {
-                            currentX = args[args.length - 2];
-                            currentY = args[args.length - 1];
-                            points.push({ x: currentX, y: currentY });
-                        }
-                        break;
-                        
                     case 'a': // Arc elliptique relatif
-                        // TODO: Meilleure implémentation
-                        if (args.length >= 7) {
-                            currentX += args[args.length - 2];
-                            currentY += args[args.length - 1];
-                            points.push({ x: currentX, y: currentY });
+                        for (let j = 0; j + 6 < args.length; j += 7) {
+                            const endX = type === 'a' ? currentX + args[j + 5] : args[j + 5];
+                            const endY = type === 'a' ? currentY + args[j + 6] : args[j + 6];
+                            
+                            this.approximateArc(
+                                points,
+                                currentX, currentY,
+                                args[j], args[j + 1], args[j + 2],
+                                args[j + 3] !== 0, args[j + 4] !== 0,
+                                endX, endY,
+                                tolerance
+                            );
+                            
+                            currentX = endX;
+                            currentY = endY;
                         }
                         break;
                         
@@ -1116,18 +2040,168 @@ class Vectorizer {
                                 currentY = firstY;
                                 points.push({ x: currentX, y: currentY });
                             }
+                            
+                            if (points.length > 0) {
+                                subpaths.push(points);
+                                points = [];
+                            }
                         }
                         break;
                 }
             }
             
-            return points;
+            if (points.length > 0) {
+                subpaths.push(points);
+            }
+            
+            return subpaths;
         } catch (error) {
             console.error("Erreur de parsing SVG:", error);
             return [];
         }
     }
     
+    /**
+     * Lit les nombres d'une commande de chemin SVG
+     * Les séparateurs sont facultatifs ("10-5", "1.5.5"); dans un arc, les deux drapeaux
+     * tiennent sur un seul caractère et peuvent être collés ("a1 1 0 0110 10").
+     * @param {string} text - Arguments de la commande (sans la lettre)
+     * @param {boolean} isArc - true pour une commande A/a
+     * @returns {Array} - Nombres lus
+     */
+    parseSVGPathArgs(text, isArc = false) {
+        const args = [];
+        const numberPattern = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+        let index = 0;
+        
+        while (index < text.length) {
+            const char = text[index];
+            if (/[\s,]/.test(char)) {
+                index++;
+                continue;
+            }
+            
+            // Drapeaux grand arc et sens de parcours (4e et 5e arguments de chaque arc)
+            if (isArc && (args.length % 7 === 3 || args.length % 7 === 4)) {
+                if (char !== '0' && char !== '1') break;
+                args.push(char === '1' ? 1 : 0);
+                index++;
+                continue;
+            }
+            
+            numberPattern.lastIndex = index;
+            const match = numberPattern.exec(text);
+            if (!match) break; // Caractère inattendu: la suite de la commande est ignorée
+            
+            args.push(parseFloat(match[0]));
+            index = numberPattern.lastIndex;
+        }
+        
+        return args;
+    }
+
+    /**
+     * Nombre de segments nécessaires pour qu'une courbe de Bézier reste sous la tolérance
+     * (borne de Wang, calculée à partir des différences secondes des points de contrôle)
+     * @param {Array} controlPoints - Points de contrôle [x0, y0, x1, y1, ...]
+     * @param {number} tolerance - Écart maximal entre la courbe et ses segments
+     * @returns {number} - Nombre de segments
+     */
+    getBezierSegmentCount(controlPoints, tolerance) {
+        const degree = controlPoints.length / 2 - 1;
+        let maxDifference = 0;
+        
+        for (let i = 0; i + 5 < controlPoints.length; i += 2) {
+            const dx = controlPoints[i] - 2 * controlPoints[i + 2] + controlPoints[i + 4];
+            const dy = controlPoints[i + 1] - 2 * controlPoints[i + 3] + controlPoints[i + 5];
+            maxDifference = Math.max(maxDifference, Math.hypot(dx, dy));
+        }
+        
+        const segments = Math.ceil(Math.sqrt(degree * (degree - 1) / 8 * maxDifference / Math.max(tolerance, 1e-6)));
+        return Math.min(1000, Math.max(1, segments));
+    }
+
+    /**
+     * Approxime un arc elliptique SVG par des segments de ligne
+     * L'arc est converti de la forme « extrémités » vers la forme « centre » (annexe B.2.4 de SVG 2),
+     * les rayons trop petits pour relier les extrémités sont agrandis.
+     * @param {Array} points - Tableau à remplir avec les points
+     * @param {number} x1 - Point de départ X
+     * @param {number} y1 - Point de départ Y
+     * @param {number} rx - Rayon horizontal
+     * @param {number} ry - Rayon vertical
+     * @param {number} rotation - Rotation de l'ellipse en degrés
+     * @param {boolean} largeArc - true pour le plus grand des deux arcs possibles
+     * @param {boolean} sweep - true pour un parcours dans le sens des angles croissants
+     * @param {number} x2 - Point d'arrivée X
+     * @param {number} y2 - Point d'arrivée Y
+     * @param {number} tolerance - Écart maximal entre l'arc et ses segments
+     */
+    approximateArc(points, x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2, tolerance = this.curveTolerance) {
+        if (x1 === x2 && y1 === y2) return;
+        
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx === 0 || ry === 0) {
+            // Rayon nul: l'arc est une ligne droite
+            points.push({ x: x2, y: y2 });
+            return;
+        }
+        
+        const phi = rotation * Math.PI / 180;
+        const cosPhi = Math.cos(phi);
+        const sinPhi = Math.sin(phi);
+        
+        // Milieu des extrémités dans le repère de l'ellipse
+        const dx = (x1 - x2) / 2;
+        const dy = (y1 - y2) / 2;
+        const x1p = cosPhi * dx + sinPhi * dy;
+        const y1p = -sinPhi * dx + cosPhi * dy;
+        
+        // Agrandir les rayons si l'ellipse ne peut pas joindre les deux points
+        const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+        
+        // Centre de l'ellipse
+        const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+        const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+        const coefficient = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, numerator / denominator));
+        const cxp = coefficient * rx * y1p / ry;
+        const cyp = -coefficient * ry * x1p / rx;
+        const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+        const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+        
+        // Angles de départ et d'ouverture
+        const startAngle = Math.atan2((y1p - cyp) / ry, (x1p - cxp) / rx);
+        let sweepAngle = Math.atan2((-y1p - cyp) / ry, (-x1p - cxp) / rx) - startAngle;
+        if (sweep && sweepAngle < 0) {
+            sweepAngle += Math.PI * 2;
+        } else if (!sweep && sweepAngle > 0) {
+            sweepAngle -= Math.PI * 2;
+        }
+        
+        // Pas angulaire pour que la flèche de chaque segment reste sous la tolérance
+        const radius = Math.max(rx, ry);
+        const maxStep = radius > tolerance ? 2 * Math.acos(1 - tolerance / radius) : Math.PI / 2;
+        const segments = Math.min(1000, Math.max(1, Math.ceil(Math.abs(sweepAngle) / maxStep)));
+        
+        for (let i = 1; i < segments; i++) {
+            const angle = startAngle + sweepAngle * i / segments;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            points.push({
+                x: cx + rx * cosPhi * cos - ry * sinPhi * sin,
+                y: cy + rx * sinPhi * cos + ry * cosPhi * sin
+            });
+        }
+        
+        // L'arc se termine exactement sur le point demandé
+        points.push({ x: x2, y: y2 });
+    }
+
     /**
      * Approxime une courbe de Bézier cubique par des segments de ligne
      * @param {Array} points - Tableau à remplir avec les points
@@ -1139,10 +2213,11 @@ class Vectorizer {
      * @param {number} y2 - Deuxième point de contrôle Y
      * @param {number} x3 - Point d'arrivée X
      * @param {number} y3 - Point d'arrivée Y
+     * @param {number} tolerance - Écart maximal entre la courbe et ses segments
      */
-    approximateCubicBezier(points, x0, y0, x1, y1, x2, y2, x3, y3) {
-        // Nombre de segments pour l'approximation (adapter selon la précision voulue)
-        const segments = 10;
+    approximateCubicBezier(points, x0, y0, x1, y1, x2, y2, x3, y3, tolerance = this.curveTolerance) {
+        // Nombre de segments selon la taille et la courbure de la courbe
+        const segments = this.getBezierSegmentCount([x0, y0, x1, y1, x2, y2, x3, y3], tolerance);
         
         // Ajouter des points intermédiaires
         for (let i = 1; i <= segments; i++) {
@@ -1170,10 +2245,11 @@ class Vectorizer {
      * @param {number} y1 - Point de contrôle Y
      * @param {number} x2 - Point d'arrivée X
      * @param {number} y2 - Point d'arrivée Y
+     * @param {number} tolerance - Écart maximal entre la courbe et ses segments
      */
-    approximateQuadraticBezier(points, x0, y0, x1, y1, x2, y2) {
-        // Nombre de segments pour l'approximation
-        const segments = 8;
+    approximateQuadraticBezier(points, x0, y0, x1, y1, x2, y2, tolerance = this.curveTolerance) {
+        // Nombre de segments selon la taille et la courbure de la courbe
+        const segments = this.getBezierSegmentCount([x0, y0, x1, y1, x2, y2], tolerance);
         
         // Ajouter des points intermédiaires
         for (let i = 1; i <= segments; i++) {
@@ -1193,6 +2269,9 @@ class Vectorizer {
      * @param {Array} contours - Contours à dessiner
      */
     drawVectorPreview(contours) {
+        this.previewContours = contours;
+        this.previewLayers = null;
+        
         const canvas = document.getElementById('vector-canvas');
         canvas.width = this.width;
         canvas.height = this.height;
@@ -1228,6 +2307,11 @@ class Vectorizer {
             ...analyzeContour(contour)
         })).sort((a, b) => b.area - a.area);
         
+        // Miroir horizontal pour montrer le résultat d'un tampon
+        if (this.previewMirrored) {
+            ctx.setTransform(-1, 0, 0, 1, canvas.width, 0);
+        }
+        
         // Dessiner d'abord les contours extérieurs (non-trous)
         ctx.fillStyle = '#000000';
         ctx.strokeStyle = '#000000';
@@ -1274,12 +2358,63 @@ class Vectorizer {
             ctx.stroke();
         }
         
-        // Ajouter un message de diagnostic
+        // Ajouter un message de diagnostic (jamais en miroir)
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
         ctx.fillStyle = '#333333';
         ctx.font = '12px Arial';
         const holesCount = analyzedContours.filter(c => c.isHole).length;
         const shapesCount = analyzedContours.filter(c => !c.isHole).length;
-        ctx.fillText(`Contours: ${shapesCount}, Trous: ${holesCount}`, 5, 15);
+        ctx.fillText(`Contours: ${shapesCount}, Trous: ${holesCount}` +
+            (this.previewMirrored ? ' (miroir)' : ''), 5, 15);
+    }
+
+    /**
+     * Dessine l'aperçu des niveaux: chaque niveau est rempli d'un gris
+     * d'autant plus sombre qu'il est haut, ou de sa propre couleur (mode multicolore)
+     * @param {Array} layers - Niveaux {threshold, contours} du plus bas au plus haut,
+     * ou couleurs {hex, contours}
+     */
+    drawLevelsPreview(layers) {
+        this.previewLayers = layers;
+        
+        const canvas = document.getElementById('vector-canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+        const ctx = canvas.getContext('2d');
+        
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        
+        if (this.previewMirrored) {
+            ctx.setTransform(-1, 0, 0, 1, canvas.width, 0);
+        }
+        
+        layers.forEach((layer, index) => {
+            // Remplissage pair-impair: les trous sont laissés vides
+            const shade = Math.round(200 * (1 - (index + 1) / layers.length));
+            ctx.fillStyle = layer.hex || `rgb(${shade}, ${shade}, ${shade})`;
+            ctx.beginPath();
+            
+            for (const contour of layer.contours) {
+                if (contour.length < 2) continue;
+                ctx.moveTo(contour[0].x, contour[0].y);
+                for (let i = 1; i < contour.length; i++) {
+                    ctx.lineTo(contour[i].x, contour[i].y);
+                }
+                ctx.closePath();
+            }
+            
+            ctx.fill('evenodd');
+        });
+        
+        // Message de diagnostic (jamais en miroir)
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = '#333333';
+        ctx.font = '12px Arial';
+        const label = layers.length > 0 && layers[0].hex ?
+            `Couleurs: ${layers.length}` :
+            `Niveaux: ${layers.length} (seuils ${layers.map(layer => layer.threshold).join(', ')})`;
+        ctx.fillText(label + (this.previewMirrored ? ' (miroir)' : ''), 5, 15);
     }
 }
 
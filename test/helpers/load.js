@@ -0,0 +1,31 @@
+/**
+ * Chargement des scripts de l'application dans Node pour les tests
+ * Les modules sont écrits pour le navigateur (classes globales, window.X = X):
+ * ils sont exécutés dans le contexte global, avec les bibliothèques chargées par npm
+ * à la place des CDN.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+global.window = global;
+global.THREE = require('three');
+global.ClipperLib = require('clipper-lib');
+
+const loaded = new Set();
+
+/**
+ * Exécute des fichiers du dossier js/ (chacun une seule fois)
+ * @param {...string} files - Noms des fichiers, dans l'ordre des balises <script> de index.html
+ */
+function load(...files) {
+    for (const file of files) {
+        if (loaded.has(file)) continue;
+        loaded.add(file);
+
+        const filename = path.join(__dirname, '..', '..', 'js', file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    }
+}
+
+module.exports = { load };
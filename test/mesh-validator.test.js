@@ -0,0 +1,61 @@
+/**
+ * Tests du contrôle des maillages: les défauts sont cherchés sur l'ensemble
+ * des triangles exportés, pas pièce par pièce
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+load('mesh-validator.js');
+
+/**
+ * Cube de 10 mm placé dans la scène
+ * @param {number} x - Position en X
+ * @param {number} y - Position en Y
+ * @param {number} z - Position en Z
+ * @returns {THREE.Mesh} - Maillage
+ */
+function box(x = 0, y = 0, z = 0) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(10, 10, 10));
+    mesh.position.set(x, y, z);
+    return mesh;
+}
+
+test('un cube seul est valide', () => {
+    const report = new MeshValidator().validate([box()]);
+    assert.strictEqual(report.triangles, 12);
+    assert.ok(report.watertight);
+    assert.ok(report.valid);
+});
+
+test('deux cubes séparés restent valides', () => {
+    const report = new MeshValidator().validate([box(), box(20)]);
+    assert.strictEqual(report.triangles, 24);
+    assert.strictEqual(report.bodies.length, 2);
+    assert.ok(report.valid);
+});
+
+test('deux cubes qui se chevauchent sont signalés', () => {
+    const report = new MeshValidator().validate([box(), box(3, 4, 5)]);
+    assert.ok(report.selfIntersections > 0);
+    assert.ok(!report.valid);
+});
+
+test('deux cubes posés l\'un sur l\'autre ne forment pas un solide manifold', () => {
+    const report = new MeshValidator().validate([box(), box(0, 0, 10)]);
+    assert.ok(report.nonManifoldEdges > 0);
+    assert.ok(!report.valid);
+});
+
+test('le contact entre deux corps distincts ne se répare pas', () => {
+    const report = new MeshValidator().validate([box(), box(0, 0, 10)]);
+    assert.ok(!report.fixable);
+});
+
+test('objets séparés (3MF, archive de STL): chaque corps est contrôlé seul', () => {
+    const report = new MeshValidator().validate([box(), box(0, 0, 10)], { separateBodies: true });
+    assert.strictEqual(report.triangles, 24);
+    assert.strictEqual(report.nonManifoldEdges, 0);
+    assert.ok(report.valid);
+    assert.ok(!report.fixable);
+});
@@ -0,0 +1,338 @@
+/**
+ * Tests de l'assemblage des pièces en solides fermés: chaque région d'un seul tenant
+ * doit donner un maillage étanche, manifold et sans auto-intersection
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+load('polygon.js', 'mesh-validator.js', 'solid-builder.js', 'profile-extrusion.js', 'extruder.js');
+
+/**
+ * Carré en coordonnées du modèle (sens trigonométrique)
+ * @param {number} x - Coin en bas à gauche, x
+ * @param {number} y - Coin en bas à gauche, y
+ * @param {number} size - Côté
+ * @returns {Array} - Points {x, y}
+ */
+function square(x, y, size) {
+    return [{ x, y }, { x: x + size, y }, { x: x + size, y: y + size }, { x, y: y + size }];
+}
+
+/**
+ * Lettre E de 8 × 10 mm aux bras de 2 mm (sens trigonométrique)
+ * @param {number} x - Coin en bas à gauche, x
+ * @param {number} y - Coin en bas à gauche, y
+ * @returns {Array} - Points {x, y}
+ */
+function letterE(x, y) {
+    return [[0, 0], [8, 0], [8, 2], [2, 2], [2, 4], [6, 4], [6, 6], [2, 6], [2, 8], [8, 8], [8, 10], [0, 10]]
+        .map(([px, py]) => ({ x: x + px, y: y + py }));
+}
+
+/**
+ * Contrôle des géométries produites, placées dans des maillages
+ * @param {Array} geometries - Géométries THREE.js
+ * @returns {Object} - Rapport de MeshValidator.validate
+ */
+function validate(geometries) {
+    return new MeshValidator().validate(geometries.map(geometry => new THREE.Mesh(geometry)));
+}
+
+/**
+ * Extrudeur sans rendu, pour construire les modèles
+ * @returns {Extruder} - Extrudeur
+ */
+function createExtruder() {
+    const extruder = new Extruder();
+    extruder.scene = new THREE.Scene();
+    extruder.resetCamera = () => {};
+    return extruder;
+}
+
+test('un bloc posé sur une plaque forme un seul solide fermé', () => {
+    const builder = new SolidBuilder();
+    builder.addPrism([{ outer: square(0, 0, 40), holes: [] }], 0, 2);
+    builder.addPrism([{ outer: square(10, 10, 20), holes: [square(15, 15, 10).reverse()] }], 2, 10);
+
+    const geometries = builder.build();
+    assert.strictEqual(geometries.length, 1);
+    assert.ok(validate(geometries).valid);
+});
+
+test('un bloc aligné sur le bord de la plaque reste manifold (jonctions en T découpées)', () => {
+    const builder = new SolidBuilder();
+    builder.addPrism([{ outer: square(0, 0, 40), holes: [] }], 0, 2);
+    builder.addPrism([{ outer: square(0, 0, 10), holes: [] }, { outer: square(25, 0, 15), holes: [] }], 2, 5);
+
+    const geometries = builder.build();
+    assert.strictEqual(geometries.length, 1);
+    assert.ok(validate(geometries).valid);
+});
+
+test('deux blocs séparés donnent deux géométries', () => {
+    const builder = new SolidBuilder();
+    builder.addPrism([{ outer: square(0, 0, 10), holes: [] }, { outer: square(20, 0, 10), holes: [] }], 0, 5);
+
+    const geometries = builder.build();
+    assert.strictEqual(geometries.length, 2);
+    assert.ok(validate(geometries).valid);
+});
+
+test('plaque de base et relief chanfreiné ou en pyramide: un seul maillage valide', () => {
+    // Carré percé d'un trou, en coordonnées de l'image (trou d'aire signée négative)
+    const outer = square(20, 20, 40);
+    const hole = square(30, 30, 20).reverse();
+    const contourData = { contours: [outer, hole], width: 100, height: 100 };
+    const base = { type: 'rounded', thickness: 2, margin: 3, cornerRadius: 4 };
+
+    for (const options of [
+        { base },
+        { base, edges: { top: { type: 'chamfer', size: 1 } } },
+        { base, edges: { top: { type: 'round', size: 1, segments: 3 } }, taper: { type: 'draft', angle: 5, twist: 30 } }
+    ]) {
+        const extruder = createExtruder();
+        extruder.createModel(contourData, 10, Object.assign({ mode: 'solid' }, options));
+        assert.strictEqual(extruder.meshes.length, 1);
+        assert.ok(extruder.validateMeshes().valid);
+        assert.strictEqual(extruder.meshes[0].userData.contours.length, 2);
+        assert.deepStrictEqual(extruder.warnings, []);
+    }
+
+    const extruder = createExtruder();
+    extruder.createModel({ contours: [outer], width: 100, height: 100 }, 10, { mode: 'solid', base, taper: { type: 'pyramid' } });
+    assert.strictEqual(extruder.meshes.length, 1);
+    assert.ok(extruder.validateMeshes().valid);
+});
+
+test('plaque sans marge ou à petits arrondis: un seul maillage valide', () => {
+    const contourData = { contours: [square(20, 20, 40), square(30, 30, 20).reverse()], width: 100, height: 100 };
+
+    for (const base of [
+        { type: 'rounded', thickness: 2, margin: 0, cornerRadius: 1 },
+        { type: 'rounded', thickness: 2, margin: 0, cornerRadius: 2 },
+        { type: 'rounded', thickness: 2, margin: 0.2, cornerRadius: 0.5 },
+        { type: 'ellipse', thickness: 2, margin: 0 },
+        { type: 'outline', thickness: 2, margin: 0 }
+    ]) {
+        const extruder = createExtruder();
+        extruder.createModel(contourData, 5, { mode: 'solid', base });
+
+        assert.strictEqual(extruder.meshes.length, 1);
+        assert.ok(extruder.validateMeshes().valid);
+    }
+
+    // Sans marge, les coins arrondis entameraient les formes: le rayon est réduit et signalé
+    const extruder = createExtruder();
+    extruder.createModel(contourData, 5, { mode: 'solid', base: { type: 'rounded', thickness: 2, margin: 0, cornerRadius: 2 } });
+    assert.strictEqual(extruder.warnings.length, 1);
+});
+
+test('plaque épousant deux îlots sans marge: un seul maillage valide', () => {
+    const circle = Array.from({ length: 60 }, (_, i) => ({
+        x: 60 + 15 * Math.cos(i * Math.PI / 30),
+        y: 60 + 15 * Math.sin(i * Math.PI / 30)
+    }));
+    const extruder = createExtruder();
+    extruder.createModel({ contours: [square(20, 20, 20), circle], width: 100, height: 100 }, 5, {
+        mode: 'solid',
+        base: { type: 'outline', thickness: 2, margin: 0 }
+    });
+
+    assert.strictEqual(extruder.meshes.length, 1);
+    assert.ok(extruder.validateMeshes().valid);
+});
+
+test('chanfrein ou arrondi plus large que les bras de la forme: réduit et signalé', () => {
+    const contourData = { contours: [letterE(20, 20)], width: 100, height: 100 };
+
+    for (const top of [{ type: 'chamfer', size: 1.5 }, { type: 'round', size: 1.5, segments: 4 }]) {
+        const extruder = createExtruder();
+        extruder.createModel(contourData, 5, { mode: 'solid', edges: { top } });
+
+        const report = extruder.validateMeshes();
+        assert.strictEqual(report.selfIntersections, 0);
+        assert.ok(report.valid);
+        assert.strictEqual(extruder.warnings.length, 1);
+    }
+});
+
+test('dépouille trop forte pour les bras de la forme: angle réduit et signalé', () => {
+    const contourData = { contours: [letterE(20, 20)], width: 100, height: 100 };
+    const extruder = createExtruder();
+    extruder.createModel(contourData, 10, { mode: 'solid', taper: { type: 'draft', angle: 15 } });
+
+    const report = extruder.validateMeshes();
+    assert.strictEqual(report.selfIntersections, 0);
+    assert.ok(report.valid);
+    assert.strictEqual(extruder.warnings.length, 1);
+    assert.match(extruder.warnings[0], /dépouille/);
+});
+
+test('formes alignées qui se rejoignent en s\'élargissant: dépouille réduite et signalée', () => {
+    // Côtés face à face et arêtes du haut et du bas alignées: les parois se touchent sans se croiser
+    const contourData = { contours: [square(20, 20, 10), square(32, 20, 10)], width: 100, height: 100 };
+    const extruder = createExtruder();
+    extruder.createModel(contourData, 10, { mode: 'solid', taper: { type: 'draft', angle: -20 } });
+
+    const report = extruder.validateMeshes();
+    assert.strictEqual(report.selfIntersections, 0);
+    assert.ok(report.valid);
+    assert.strictEqual(extruder.warnings.length, 1);
+});
+
+test('torsion de deux formes voisines: réduite et signalée avant qu\'elles ne se heurtent', () => {
+    const contourData = { contours: [square(20, 20, 10), square(32, 20, 10)], width: 100, height: 100 };
+
+    for (const base of [{}, { type: 'rectangle', thickness: 2, margin: 2 }]) {
+        const extruder = createExtruder();
+        extruder.createModel(contourData, 10, { mode: 'solid', base, taper: { type: 'none', twist: 90 } });
+
+        const report = extruder.validateMeshes();
+        assert.strictEqual(report.selfIntersections, 0);
+        assert.ok(report.valid);
+        assert.strictEqual(extruder.warnings.length, 1);
+        assert.match(extruder.warnings[0], /Torsion/);
+    }
+
+    // Formes éloignées: la torsion est respectée
+    const extruder = createExtruder();
+    extruder.createModel({ contours: [square(10, 10, 10), square(60, 60, 10)], width: 100, height: 100 }, 10, {
+        mode: 'solid',
+        taper: { type: 'none', twist: 90 }
+    });
+    assert.ok(extruder.validateMeshes().valid);
+    assert.deepStrictEqual(extruder.warnings, []);
+});
+
+test('emporte-pièce: collerette, paroi et arête forment un seul solide', () => {
+    const contourData = { contours: [square(20, 20, 40)], width: 100, height: 100 };
+    const extruder = createExtruder();
+    extruder.createModel(contourData, 15, {
+        mode: 'cutter',
+        cutter: { wallThickness: 1.2, flangeWidth: 5, flangeHeight: 1.5, edgeThickness: 0.6, edgeHeight: 3 }
+    });
+
+    assert.strictEqual(extruder.meshes.length, 1);
+    assert.ok(extruder.validateMeshes().valid);
+    assert.deepStrictEqual(extruder.warnings, []);
+});
+
+test('emporte-pièce: réglages hors limites ramenés dans leurs limites et signalés', () => {
+    const contourData = { contours: [square(20, 20, 40)], width: 100, height: 100 };
+    const extruder = createExtruder();
+    extruder.createModel(contourData, 15, {
+        mode: 'cutter',
+        cutter: { wallThickness: 1.2, flangeWidth: 1, flangeHeight: 1.5, edgeThickness: 2, edgeHeight: 20 }
+    });
+
+    assert.strictEqual(extruder.meshes.length, 1);
+    assert.ok(extruder.validateMeshes().valid);
+    assert.strictEqual(extruder.warnings.length, 3);
+
+    // La collerette (1,4 mm) élargit l'emporte-pièce au-delà de la paroi (1,2 mm)
+    const size = extruder.getModelDimensions();
+    assert.ok(Math.abs(size.x - (40 + 2 * 1.4)) < 0.01);
+});
+
+test('emporte-pièce: épaisseur de paroi nulle ou illisible ramenée au minimum et signalée', () => {
+    const contourData = { contours: [square(20, 20, 40)], width: 100, height: 100 };
+
+    for (const wallThickness of [0, NaN]) {
+        const extruder = createExtruder();
+        extruder.createModel(contourData, 15, { mode: 'cutter', cutter: { wallThickness, flangeWidth: 0 } });
+
+        assert.strictEqual(extruder.meshes.length, 1);
+        assert.ok(extruder.validateMeshes().valid);
+        assert.strictEqual(extruder.warnings.length, 1);
+
+        // Paroi de 0,2 mm autour du contour, et non 1,2 mm par défaut
+        const size = extruder.getModelDimensions();
+        assert.ok(Math.abs(size.x - (40 + 2 * 0.2)) < 0.01);
+    }
+});
+
+test('tampon: relief, bloc et poignée forment un seul solide', () => {
+    const contourData = { contours: [square(20, 20, 40), square(30, 30, 20).reverse()], width: 100, height: 100 };
+
+    for (const handle of ['knob', 'bar', 'none']) {
+        const extruder = createExtruder();
+        extruder.createModel(contourData, 3, {
+            mode: 'stamp',
+            stamp: { blockThickness: 5, margin: 3, handle, handleHeight: 20, handleDiameter: 46 },
+            edges: { top: { type: 'chamfer', size: 0.5 } }
+        });
+
+        assert.strictEqual(extruder.meshes.length, 1);
+        assert.ok(extruder.validateMeshes().valid);
+
+        // Poignée sous le bloc: 20 mm + bloc 5 mm + relief 3 mm
+        const size = extruder.getModelDimensions();
+        assert.ok(Math.abs(size.z - (handle === 'none' ? 8 : 28)) < 1e-3);
+    }
+});
+
+test('tampon sans marge ou à petite marge: bloc aux coins réduits, un seul solide', () => {
+    const contourData = { contours: [square(20, 20, 40), square(30, 30, 20).reverse()], width: 100, height: 100 };
+
+    for (const margin of [0, 0.5]) {
+        const extruder = createExtruder();
+        extruder.createModel(contourData, 3, {
+            mode: 'stamp',
+            stamp: { blockThickness: 5, margin, handle: 'knob', handleHeight: 20, handleDiameter: 30 }
+        });
+
+        assert.strictEqual(extruder.meshes.length, 1);
+        assert.ok(extruder.validateMeshes().valid);
+        assert.deepStrictEqual(extruder.warnings, []);
+    }
+});
+
+test('multi-niveaux: les marches empilées et la plaque forment un seul solide', () => {
+    const levelData = {
+        width: 100,
+        height: 100,
+        layers: [
+            { threshold: 200, contours: [square(10, 10, 80)] },
+            { threshold: 120, contours: [square(20, 20, 60), square(40, 40, 20).reverse()] },
+            { threshold: 60, contours: [square(20, 20, 30)] }
+        ]
+    };
+
+    for (const base of [{}, { type: 'rectangle', thickness: 2, margin: 0 }]) {
+        const extruder = createExtruder();
+        extruder.createLayeredModel(levelData, 9, { base });
+
+        assert.strictEqual(extruder.meshes.length, 1);
+        assert.ok(extruder.validateMeshes().valid);
+    }
+});
+
+test('multicolore: les corps de couleur posés sur la plaque sont contrôlés séparément', () => {
+    const colorData = {
+        width: 100,
+        height: 100,
+        colors: [
+            { hex: '#ff0000', contours: [square(10, 10, 40)] },
+            { hex: '#0000ff', contours: [square(30, 30, 40)] }
+        ]
+    };
+    const extruder = createExtruder();
+    extruder.createColorModel(colorData, 5, { base: { type: 'rectangle', thickness: 2, margin: 2 } });
+
+    assert.strictEqual(extruder.meshes.length, 3);
+    assert.ok(extruder.validateMeshes().valid);
+    assert.ok(!extruder.validateMeshes({ separateBodies: false }).fixable);
+});
+
+test('formes qui se chevauchent, avec ou sans plaque: un seul solide', () => {
+    const contourData = { contours: [square(10, 10, 40), square(30, 30, 40)], width: 100, height: 100 };
+
+    for (const base of [{}, { type: 'ellipse', thickness: 2, margin: 2 }]) {
+        const extruder = createExtruder();
+        extruder.createModel(contourData, 5, { mode: 'solid', base });
+
+        assert.strictEqual(extruder.meshes.length, 1);
+        assert.ok(extruder.validateMeshes().valid);
+    }
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests de l'export STL: les fichiers binaires et ASCII sont relus et comparés
+ * à la géométrie exportée
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+load('extruder.js');
+
+/**
+ * Relit un STL binaire
+ * @param {ArrayBuffer} buffer - Données du fichier
+ * @returns {Object} - {header, triangles: [{normal, vertices}]}
+ */
+function parseBinarySTL(buffer) {
+    const view = new DataView(buffer);
+    const header = String.fromCharCode(...new Uint8Array(buffer, 0, 80));
+    const count = view.getUint32(80, true);
+    assert.strictEqual(buffer.byteLength, 84 + 50 * count, 'taille du fichier binaire');
+
+    const triangles = [];
+    for (let i = 0; i < count; i++) {
+        const offset = 84 + i * 50;
+        const read = (k) => view.getFloat32(offset + k * 4, true);
+        triangles.push({
+            normal: [read(0), read(1), read(2)],
+            vertices: [[read(3), read(4), read(5)], [read(6), read(7), read(8)], [read(9), read(10), read(11)]]
+        });
+    }
+    return { header, triangles };
+}
+
+/**
+ * Relit un STL ASCII
+ * @param {string} text - Contenu du fichier
+ * @returns {Object} - {name, endName, triangles: [{normal, vertices}]}
+ */
+function parseAsciiSTL(text) {
+    const lines = text.trim().split('\n').map(line => line.trim());
+    const name = lines[0].replace(/^solid ?/, '');
+    const endName = lines[lines.length - 1].replace(/^endsolid ?/, '');
+    const numbers = (line, keyword) => line.slice(keyword.length).trim().split(/\s+/).map(Number);
+
+    const triangles = [];
+    for (let i = 1; i < lines.length - 1; i++) {
+        if (!lines[i].startsWith('facet normal')) continue;
+        assert.strictEqual(lines[i + 1], 'outer loop');
+        assert.strictEqual(lines[i + 5], 'endloop');
+        assert.strictEqual(lines[i + 6], 'endfacet');
+        triangles.push({
+            normal: numbers(lines[i], 'facet normal'),
+            vertices: [1, 2, 3].map(k => numbers(lines[i + 1 + k], 'vertex'))
+        });
+        i += 6;
+    }
+    return { name, endName, triangles };
+}
+
+/**
+ * Vérifie les normales relues: unitaires, perpendiculaires au triangle
+ * et tournées vers l'extérieur du volume (centré sur center)
+ */
+function checkNormals(triangles, center) {
+    for (const { normal, vertices: [a, b, c] } of triangles) {
+        const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        const cross = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        const length = Math.hypot(...cross);
+
+        assert.ok(Math.abs(Math.hypot(...normal) - 1) < 1e-5, 'normale unitaire');
+        for (let k = 0; k < 3; k++) {
+            assert.ok(Math.abs(normal[k] - cross[k] / length) < 1e-5, 'normale selon la règle de la main droite');
+        }
+
+        const centroid = [0, 1, 2].map(k => (a[k] + b[k] + c[k]) / 3 - center[k]);
+        assert.ok(centroid[0] * normal[0] + centroid[1] * normal[1] + centroid[2] * normal[2] > 0,
+            'normale tournée vers l\'extérieur');
+    }
+}
+
+/**
+ * Cube de 10 mm décalé par la position du maillage
+ * @param {boolean} indexed - true pour une géométrie indexée
+ */
+function createCube(indexed) {
+    let geometry = new THREE.BoxGeometry(10, 10, 10);
+    if (!indexed) geometry = geometry.toNonIndexed();
+    const mesh = new THREE.Mesh(geometry);
+    mesh.position.set(5, 5, 5);
+    return mesh;
+}
+
+for (const indexed of [true, false]) {
+    const kind = indexed ? 'indexée' : 'non indexée';
+
+    test(`STL binaire relu (géométrie ${kind})`, () => {
+        const exporter = new THREE.STLExporter();
+        const buffer = exporter.parse(createCube(indexed), { binary: true, name: 'Cube' });
+        const { header, triangles } = parseBinarySTL(buffer);
+
+        assert.strictEqual(header.trim(), 'Extrudator - Cube');
+        assert.ok(!header.startsWith('solid'), 'l\'en-tête binaire ne commence pas par "solid"');
+        assert.strictEqual(triangles.length, 12);
+        checkNormals(triangles, [5, 5, 5]);
+
+        // La position du maillage est appliquée aux sommets
+        const xs = triangles.flatMap(triangle => triangle.vertices.map(vertex => vertex[0]));
+        assert.strictEqual(Math.min(...xs), 0);
+        assert.strictEqual(Math.max(...xs), 10);
+    });
+
+    test(`STL ASCII relu (géométrie ${kind})`, () => {
+        const exporter = new THREE.STLExporter();
+        const text = exporter.parse(createCube(indexed), { binary: false, name: 'Cube' });
+        const { name, endName, triangles } = parseAsciiSTL(text);
+
+        assert.strictEqual(name, 'Cube');
+        assert.strictEqual(endName, 'Cube');
+        assert.strictEqual(triangles.length, 12);
+        checkNormals(triangles, [5, 5, 5]);
+    });
+}
+
+test('nom du solide limité à l\'ASCII imprimable', () => {
+    const exporter = new THREE.STLExporter();
+    const text = exporter.parse(createCube(true), { binary: false, name: 'Modèle\nété' });
+    assert.ok(text.startsWith('solid Modele_ete\n'));
+    assert.ok(text.trim().endsWith('endsolid Modele_ete'));
+
+    const { header } = parseBinarySTL(exporter.parse(createCube(true), { binary: true, name: '' }));
+    assert.strictEqual(header.trim(), 'Extrudator - extrudator');
+});
+
+test('Extruder.exportSTL réunit tous les maillages dans un seul fichier', async () => {
+    const extruder = new Extruder();
+    extruder.meshes = [createCube(true), createCube(false)];
+    extruder.meshes[1].position.set(30, 5, 5);
+
+    const blob = extruder.exportSTL({ binary: true, name: 'Deux cubes' });
+    const { header, triangles } = parseBinarySTL(await blob.arrayBuffer());
+    assert.strictEqual(header.trim(), 'Extrudator - Deux cubes');
+    assert.strictEqual(triangles.length, 24);
+    checkNormals(triangles.slice(0, 12), [5, 5, 5]);
+    checkNormals(triangles.slice(12), [30, 5, 5]);
+
+    const text = await extruder.exportSTL({ binary: false, name: 'Deux cubes' }).text();
+    assert.strictEqual(parseAsciiSTL(text).triangles.length, 24);
+});
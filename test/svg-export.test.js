@@ -0,0 +1,95 @@
+/**
+ * Tests de l'export SVG (Extruder.exportSVG): les calques reprennent les formes
+ * du modèle, sans chevauchement que la règle pair-impair viderait
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+load('polygon.js', 'svg-exporter.js', 'extruder.js');
+
+/**
+ * Carré en coordonnées de l'image
+ * @param {number} x - Coin, x
+ * @param {number} y - Coin, y
+ * @param {number} size - Côté
+ * @returns {Array} - Points {x, y}
+ */
+function square(x, y, size) {
+    return [{ x, y }, { x: x + size, y }, { x: x + size, y: y + size }, { x, y: y + size }];
+}
+
+/**
+ * Lit les calques d'un document SVG exporté
+ * @param {string} svg - Contenu du fichier
+ * @returns {Object} - Sous-chemins de chaque calque, par identifiant
+ */
+function readLayers(svg) {
+    const layers = {};
+    for (const [, id, d] of svg.matchAll(/<g id="([^"]+)">\s*<path d="([^"]*)"/g)) {
+        layers[id] = d.split('Z').filter(Boolean).map(subpath =>
+            subpath.slice(1).split('L').map(pair => {
+                const [x, y] = pair.split(' ').map(Number);
+                return { x, y };
+            })
+        );
+    }
+    return layers;
+}
+
+/**
+ * Surface remplie selon la règle pair-impair, pour des contours qui ne se croisent pas
+ * @param {Array} contours - Sous-chemins
+ * @returns {number} - Surface en pixels²
+ */
+function filledArea(contours) {
+    const areas = contours.map(contour => Math.abs(PolygonUtils.signedArea(contour)));
+    const depth = contours.map((contour, index) => contours.filter((other, otherIndex) =>
+        otherIndex !== index && areas[otherIndex] > areas[index] &&
+        PolygonUtils.containsPoint(contour[0], other)).length);
+    return areas.reduce((total, area, index) => total + (depth[index] % 2 === 0 ? area : -area), 0);
+}
+
+test('deux formes qui se chevauchent sont exportées fusionnées', async () => {
+    const vectorData = { contours: [square(10, 10, 40), square(30, 30, 40)], width: 100, height: 100 };
+    const svg = await new Extruder().exportSVG(vectorData, { mode: 'solid' }).text();
+    const layers = readLayers(svg);
+
+    assert.strictEqual(layers.contours.length, 1);
+    assert.ok(Math.abs(filledArea(layers.contours) - (1600 + 1600 - 400)) < 1e-6);
+});
+
+test('multicolore: chaque calque contient la région attribuée à sa couleur', async () => {
+    const vectorData = {
+        width: 100,
+        height: 100,
+        colors: [
+            { hex: '#ff0000', contours: [square(10, 10, 40)] },
+            { hex: '#0000ff', contours: [square(30, 30, 40)] }
+        ]
+    };
+    vectorData.contours = vectorData.colors.flatMap(layer => layer.contours);
+    const svg = await new Extruder().exportSVG(vectorData, { mode: 'colors' }).text();
+    const layers = readLayers(svg);
+
+    assert.ok(Math.abs(filledArea(layers.couleur_1_ff0000) - 1600) < 1e-6);
+    assert.ok(Math.abs(filledArea(layers.couleur_2_0000ff) - (1600 - 400)) < 1e-6);
+});
+
+test('multi-niveaux: chaque niveau est limité au niveau inférieur', async () => {
+    const vectorData = {
+        width: 100,
+        height: 100,
+        layers: [
+            { threshold: 200, contours: [square(10, 10, 40), square(20, 20, 10).reverse()] },
+            { threshold: 100, contours: [square(30, 30, 40)] }
+        ]
+    };
+    vectorData.contours = vectorData.layers[0].contours;
+    const svg = await new Extruder().exportSVG(vectorData, { mode: 'levels' }).text();
+    const layers = readLayers(svg);
+
+    assert.strictEqual(layers.niveau_1.length, 2);
+    assert.ok(Math.abs(filledArea(layers.niveau_1) - (1600 - 100)) < 1e-6);
+    assert.ok(Math.abs(filledArea(layers.niveau_2) - 400) < 1e-6);
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests de la lecture des chemins SVG (Vectorizer.parseSVGSubpaths):
+ * arcs, courbes raccourcies et précision du découpage en segments
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+load('vectorizer.js');
+
+const vectorizer = new Vectorizer();
+
+/**
+ * Plus grand écart au cercle, mesuré aux sommets et au milieu de chaque segment
+ * @param {Array} points - Points du contour
+ * @param {Object} center - Centre du cercle {x, y}
+ * @param {number} radius - Rayon du cercle
+ * @param {boolean} closed - false pour un arc ouvert (sans segment de fermeture)
+ * @returns {number} - Écart radial maximal
+ */
+function maxRadialError(points, center, radius, closed = true) {
+    let error = 0;
+    for (let i = 0; i < (closed ? points.length : points.length - 1); i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        error = Math.max(
+            error,
+            Math.abs(Math.hypot(a.x - center.x, a.y - center.y) - radius),
+            Math.abs(Math.hypot((a.x + b.x) / 2 - center.x, (a.y + b.y) / 2 - center.y) - radius)
+        );
+    }
+    return error;
+}
+
+/**
+ * Vérifie que deux listes de points sont identiques (aux erreurs d'arrondi près)
+ */
+function assertSamePoints(actual, expected) {
+    assert.strictEqual(actual.length, expected.length, 'nombre de points');
+    actual.forEach((point, i) => {
+        assert.ok(Math.abs(point.x - expected[i].x) < 1e-9 && Math.abs(point.y - expected[i].y) < 1e-9,
+            `point ${i}: (${point.x}, ${point.y}) au lieu de (${expected[i].x}, ${expected[i].y})`);
+    });
+}
+
+const circle = 'M 60 50 A 10 10 0 0 1 40 50 A 10 10 0 0 1 60 50 Z';
+
+test('cercle tracé avec deux arcs: écart radial sous la tolérance', () => {
+    for (const tolerance of [0.25, 0.05, 0.01]) {
+        const subpaths = vectorizer.parseSVGSubpaths(circle, tolerance);
+        assert.strictEqual(subpaths.length, 1);
+
+        const points = subpaths[0];
+        assert.deepStrictEqual(points[0], { x: 60, y: 50 });
+        assert.ok(maxRadialError(points, { x: 50, y: 50 }, 10) <= tolerance,
+            `écart radial avec une tolérance de ${tolerance}`);
+
+        // Les deux demi-cercles passent par le point opposé
+        assert.ok(points.some(point => point.x === 40 && point.y === 50));
+    }
+});
+
+test('arcs relatifs, rayons trop petits agrandis', () => {
+    // Rayon 1 impossible pour une corde de 20: l'arc devient un demi-cercle de rayon 10
+    const [points] = vectorizer.parseSVGSubpaths('M 60 50 a 1 1 0 0 1 -20 0 a 1 1 0 0 1 20 0 z', 0.05);
+    assert.ok(maxRadialError(points, { x: 50, y: 50 }, 10) <= 0.05);
+});
+
+test('S/s reflètent le second point de contrôle de la courbe cubique précédente', () => {
+    const [expected] = vectorizer.parseSVGSubpaths('M0 0 C10 0 20 10 20 20 C20 30 30 40 40 40');
+    assertSamePoints(vectorizer.parseSVGSubpaths('M0 0 C10 0 20 10 20 20 S30 40 40 40')[0], expected);
+    assertSamePoints(vectorizer.parseSVGSubpaths('m0 0 c10 0 20 10 20 20 s10 20 20 20')[0], expected);
+
+    // Sans courbe cubique avant, le premier point de contrôle est le point courant
+    const [line] = vectorizer.parseSVGSubpaths('M0 0 L10 0 S20 0 30 0');
+    assert.ok(line.every(point => point.y === 0));
+    assert.deepStrictEqual(line[line.length - 1], { x: 30, y: 0 });
+});
+
+test('T/t reflètent le point de contrôle de la courbe quadratique précédente', () => {
+    const [expected] = vectorizer.parseSVGSubpaths('M0 0 Q10 20 20 0 Q30 -20 40 0');
+    assertSamePoints(vectorizer.parseSVGSubpaths('M0 0 Q10 20 20 0 T40 0')[0], expected);
+    assertSamePoints(vectorizer.parseSVGSubpaths('m0 0 q10 20 20 0 t20 0')[0], expected);
+
+    // Après une commande qui n'est pas quadratique, T trace une ligne droite
+    const [line] = vectorizer.parseSVGSubpaths('M0 0 L10 0 T20 10');
+    for (const point of line.slice(1)) {
+        assert.ok(Math.abs(point.y - (point.x - 10)) < 1e-9, 'point sur la droite');
+    }
+});
+
+test('drapeaux d\'arc collés ("a1 1 0 0110 10")', () => {
+    assert.deepStrictEqual(vectorizer.parseSVGPathArgs('1 1 0 0110 10', true), [1, 1, 0, 0, 1, 10, 10]);
+    assert.deepStrictEqual(vectorizer.parseSVGPathArgs('1 1 0 1 0 10 10', true), [1, 1, 0, 1, 0, 10, 10]);
+
+    // Même arc, écrit avec et sans séparateurs
+    const [packed] = vectorizer.parseSVGSubpaths('M0 0 a1 1 0 0110 10');
+    const [spaced] = vectorizer.parseSVGSubpaths('M0 0 a 1 1 0 0 1 10 10');
+    assertSamePoints(packed, spaced);
+    assert.deepStrictEqual(packed[packed.length - 1], { x: 10, y: 10 });
+
+    // Demi-cercle de diamètre (0,0)-(10,10), parcouru dans le sens positif
+    assert.ok(maxRadialError(packed, { x: 5, y: 5 }, Math.hypot(5, 5), false) <= vectorizer.curveTolerance);
+});
+
+test('le nombre de segments suit la tolérance', () => {
+    // Flèche d'un segment ≈ r·θ²/8: diviser la tolérance par 4 double le nombre de segments
+    const coarse = vectorizer.parseSVGSubpaths(circle, 0.2)[0].length - 1;
+    const fine = vectorizer.parseSVGSubpaths(circle, 0.05)[0].length - 1;
+    assert.ok(Math.abs(fine - 2 * coarse) <= 2, `${coarse} puis ${fine} segments`);
+
+    // Même comportement pour les courbes de Bézier
+    const curve = 'M0 0 C0 50 100 50 100 0';
+    const coarseCurve = vectorizer.parseSVGSubpaths(curve, 1)[0].length - 1;
+    const fineCurve = vectorizer.parseSVGSubpaths(curve, 0.25)[0].length - 1;
+    assert.ok(fineCurve >= 2 * coarseCurve - 1 && fineCurve <= 2 * coarseCurve + 1,
+        `${coarseCurve} puis ${fineCurve} segments`);
+
+    // Une petite courbe demande moins de segments qu'une grande
+    const small = vectorizer.parseSVGSubpaths('M0 0 C0 5 10 5 10 0', 0.25)[0].length - 1;
+    assert.ok(small < fineCurve);
+});